@@ -0,0 +1,403 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "./IdentityRegistry.sol";
+
+/**
+ * @title GroupRegistry
+ * @dev Contract for group membership and anchoring group messages
+ */
+contract GroupRegistry {
+    // Group structure
+    // epoch: bumped on every membership change, so senders rotate their sender keys
+    struct Group {
+        string name;
+        address creator;
+        uint256 createdAt;
+        uint256 epoch;
+        uint256 memberCount;
+    }
+    
+    // Group message structure
+    struct GroupMessage {
+        address from;
+        uint256 epoch;
+        bytes32 messageHash;
+        string ipfsHash;
+        uint256 timestamp;
+        uint256 blockNumber;
+    }
+    
+    // Maximum number of members added in one call
+    uint256 public constant MAX_MEMBERS_PER_CALL = 50;
+    
+    // Maximum number of messages returned by one page query
+    uint256 public constant MAX_PAGE_SIZE = 100;
+    
+    IdentityRegistry public immutable identityRegistry;
+    
+    // Number of groups created; group IDs start at 1
+    uint256 public groupCount;
+    
+    // Mapping from group ID to group
+    mapping(uint256 => Group) private groups;
+    
+    // Mapping from group ID to its members, and each member's 1-based index in it
+    mapping(uint256 => address[]) private groupMembers;
+    mapping(uint256 => mapping(address => uint256)) private memberIndex;
+    
+    // Mapping from group ID to its admins
+    mapping(uint256 => mapping(address => bool)) private groupAdmins;
+    mapping(uint256 => uint256) private adminCount;
+    
+    // Mapping from user address to their group IDs, and each group's 1-based index in it
+    mapping(address => uint256[]) private userGroups;
+    mapping(address => mapping(uint256 => uint256)) private userGroupIndex;
+    
+    // Mapping from group ID to its messages
+    mapping(uint256 => GroupMessage[]) private groupMessages;
+    
+    // Events
+    event GroupCreated(uint256 indexed groupId, address indexed creator, string name);
+    event MemberAdded(uint256 indexed groupId, address indexed member, address indexed addedBy, uint256 epoch);
+    event MemberRemoved(uint256 indexed groupId, address indexed member, address indexed removedBy, uint256 epoch);
+    event AdminAdded(uint256 indexed groupId, address indexed admin);
+    event AdminRemoved(uint256 indexed groupId, address indexed admin);
+    event SenderKeyPublished(
+        uint256 indexed groupId,
+        address indexed sender,
+        uint256 indexed epoch,
+        bytes32 distributionHash,
+        string ipfsHash
+    );
+    event GroupMessageAnchored(
+        uint256 indexed groupId,
+        uint256 indexed messageId,
+        address indexed from,
+        uint256 epoch,
+        bytes32 messageHash,
+        string ipfsHash
+    );
+    
+    modifier groupExists(uint256 groupId) {
+        require(groupId != 0 && groupId <= groupCount, "Group does not exist");
+        _;
+    }
+    
+    modifier onlyMember(uint256 groupId) {
+        require(memberIndex[groupId][msg.sender] != 0, "Not a group member");
+        _;
+    }
+    
+    modifier onlyAdmin(uint256 groupId) {
+        require(groupAdmins[groupId][msg.sender], "Not a group admin");
+        _;
+    }
+    
+    constructor(address identityRegistryAddress) {
+        require(identityRegistryAddress != address(0), "Invalid identity registry address");
+        identityRegistry = IdentityRegistry(identityRegistryAddress);
+    }
+    
+    /**
+     * @dev Create a group with the caller as its first admin
+     * @param name The group name
+     * @param members Initial members besides the caller
+     * @return groupId The new group's ID
+     */
+    function createGroup(string memory name, address[] memory members) external returns (uint256 groupId) {
+        require(bytes(name).length > 0, "Group name cannot be empty");
+        require(identityRegistry.isRegistered(msg.sender), "User not registered");
+        
+        groupId = ++groupCount;
+        groups[groupId] = Group({
+            name: name,
+            creator: msg.sender,
+            createdAt: block.timestamp,
+            epoch: 1,
+            memberCount: 0
+        });
+        emit GroupCreated(groupId, msg.sender, name);
+        
+        _addMember(groupId, msg.sender);
+        groupAdmins[groupId][msg.sender] = true;
+        adminCount[groupId] = 1;
+        emit AdminAdded(groupId, msg.sender);
+        
+        _addMembers(groupId, members);
+    }
+    
+    /**
+     * @dev Add members to a group
+     * @param groupId The group ID
+     * @param members The addresses to add
+     */
+    function addMembers(uint256 groupId, address[] memory members)
+        external
+        groupExists(groupId)
+        onlyAdmin(groupId)
+    {
+        require(members.length > 0, "No members to add");
+        groups[groupId].epoch++;
+        _addMembers(groupId, members);
+    }
+    
+    /**
+     * @dev Remove a member from a group
+     * @param groupId The group ID
+     * @param member The address to remove
+     */
+    function removeMember(uint256 groupId, address member)
+        external
+        groupExists(groupId)
+        onlyAdmin(groupId)
+    {
+        require(member != msg.sender, "Use leaveGroup to leave");
+        _removeMember(groupId, member);
+    }
+    
+    /**
+     * @dev Leave a group. The last admin cannot leave while other members remain.
+     * @param groupId The group ID
+     */
+    function leaveGroup(uint256 groupId) external groupExists(groupId) onlyMember(groupId) {
+        _removeMember(groupId, msg.sender);
+    }
+    
+    /**
+     * @dev Make a member an admin
+     * @param groupId The group ID
+     * @param member The member to promote
+     */
+    function addAdmin(uint256 groupId, address member) external groupExists(groupId) onlyAdmin(groupId) {
+        require(memberIndex[groupId][member] != 0, "Not a group member");
+        require(!groupAdmins[groupId][member], "Already an admin");
+        
+        groupAdmins[groupId][member] = true;
+        adminCount[groupId]++;
+        emit AdminAdded(groupId, member);
+    }
+    
+    /**
+     * @dev Revoke a member's admin rights. A group always keeps at least one admin.
+     * @param groupId The group ID
+     * @param admin The admin to demote
+     */
+    function removeAdmin(uint256 groupId, address admin) external groupExists(groupId) onlyAdmin(groupId) {
+        require(groupAdmins[groupId][admin], "Not a group admin");
+        require(adminCount[groupId] > 1, "Group needs an admin");
+        
+        groupAdmins[groupId][admin] = false;
+        adminCount[groupId]--;
+        emit AdminRemoved(groupId, admin);
+    }
+    
+    /**
+     * @dev Announce the caller's sender key for the current epoch. The key itself is
+     *      stored off-chain, encrypted to each member separately. The caller names the
+     *      epoch it wrapped the key for, so a distribution made for an earlier member
+     *      set is rejected instead of landing under the new epoch.
+     * @param groupId The group ID
+     * @param epoch The epoch the key was distributed for
+     * @param distributionHash The hash of the key distribution
+     * @param ipfsHash The IPFS hash where the key distribution is stored
+     */
+    function publishSenderKey(uint256 groupId, uint256 epoch, bytes32 distributionHash, string memory ipfsHash)
+        external
+        groupExists(groupId)
+        onlyMember(groupId)
+    {
+        require(epoch == groups[groupId].epoch, "Epoch has changed");
+        require(distributionHash != bytes32(0), "Invalid distribution hash");
+        require(bytes(ipfsHash).length > 0, "IPFS hash cannot be empty");
+        
+        emit SenderKeyPublished(groupId, msg.sender, epoch, distributionHash, ipfsHash);
+    }
+    
+    /**
+     * @dev Anchor a message to a group
+     * @param groupId The group ID
+     * @param messageHash The hash of the encrypted message
+     * @param ipfsHash The IPFS hash where the encrypted message is stored
+     */
+    function anchorGroupMessage(uint256 groupId, bytes32 messageHash, string memory ipfsHash)
+        external
+        groupExists(groupId)
+        onlyMember(groupId)
+    {
+        require(messageHash != bytes32(0), "Invalid message hash");
+        require(bytes(ipfsHash).length > 0, "IPFS hash cannot be empty");
+        
+        uint256 epoch = groups[groupId].epoch;
+        groupMessages[groupId].push(GroupMessage({
+            from: msg.sender,
+            epoch: epoch,
+            messageHash: messageHash,
+            ipfsHash: ipfsHash,
+            timestamp: block.timestamp,
+            blockNumber: block.number
+        }));
+        uint256 messageId = groupMessages[groupId].length - 1;
+        
+        emit GroupMessageAnchored(groupId, messageId, msg.sender, epoch, messageHash, ipfsHash);
+    }
+    
+    /**
+     * @dev Get group details
+     * @param groupId The group ID
+     * @return The group struct
+     */
+    function getGroup(uint256 groupId) external view groupExists(groupId) returns (Group memory) {
+        return groups[groupId];
+    }
+    
+    /**
+     * @dev Get the members of a group
+     * @param groupId The group ID
+     * @return Array of member addresses
+     */
+    function getMembers(uint256 groupId) external view groupExists(groupId) returns (address[] memory) {
+        return groupMembers[groupId];
+    }
+    
+    /**
+     * @dev Check if an address is a member of a group
+     * @param groupId The group ID
+     * @param user The address to check
+     * @return True if the address is a member
+     */
+    function isMember(uint256 groupId, address user) external view returns (bool) {
+        return memberIndex[groupId][user] != 0;
+    }
+    
+    /**
+     * @dev Check if an address is an admin of a group
+     * @param groupId The group ID
+     * @param user The address to check
+     * @return True if the address is an admin
+     */
+    function isAdmin(uint256 groupId, address user) external view returns (bool) {
+        return groupAdmins[groupId][user];
+    }
+    
+    /**
+     * @dev Get the groups a user currently belongs to
+     * @param user The user's address
+     * @return Array of group IDs
+     */
+    function getUserGroups(address user) external view returns (uint256[] memory) {
+        return userGroups[user];
+    }
+    
+    /**
+     * @dev Get the number of messages in a group
+     * @param groupId The group ID
+     * @return The message count
+     */
+    function getGroupMessageCount(uint256 groupId) external view groupExists(groupId) returns (uint256) {
+        return groupMessages[groupId].length;
+    }
+    
+    /**
+     * @dev Get a group message by ID
+     * @param groupId The group ID
+     * @param messageId The message ID within the group
+     * @return The group message struct
+     */
+    function getGroupMessage(uint256 groupId, uint256 messageId)
+        external
+        view
+        groupExists(groupId)
+        returns (GroupMessage memory)
+    {
+        require(messageId < groupMessages[groupId].length, "Message does not exist");
+        return groupMessages[groupId][messageId];
+    }
+    
+    /**
+     * @dev Get a page of a group's messages, oldest first
+     * @param groupId The group ID
+     * @param offset ID of the first message to return
+     * @param limit Maximum number of messages to return (at most MAX_PAGE_SIZE)
+     * @return Array of group message structs, with IDs counting up from `offset`
+     */
+    function getGroupMessagesPage(uint256 groupId, uint256 offset, uint256 limit)
+        external
+        view
+        groupExists(groupId)
+        returns (GroupMessage[] memory)
+    {
+        require(limit <= MAX_PAGE_SIZE, "Limit too large");
+        GroupMessage[] storage messages = groupMessages[groupId];
+        if (offset >= messages.length) {
+            return new GroupMessage[](0);
+        }
+        
+        uint256 end = offset + limit > messages.length ? messages.length : offset + limit;
+        GroupMessage[] memory page = new GroupMessage[](end - offset);
+        for (uint256 i = offset; i < end; i++) {
+            page[i - offset] = messages[i];
+        }
+        
+        return page;
+    }
+    
+    /**
+     * @dev Add members without bumping the epoch
+     */
+    function _addMembers(uint256 groupId, address[] memory members) private {
+        require(members.length <= MAX_MEMBERS_PER_CALL, "Too many members");
+        for (uint256 i = 0; i < members.length; i++) {
+            require(identityRegistry.isRegistered(members[i]), "Member not registered");
+            require(memberIndex[groupId][members[i]] == 0, "Already a group member");
+            _addMember(groupId, members[i]);
+        }
+    }
+    
+    /**
+     * @dev Append one member to the group and to the member's group list
+     */
+    function _addMember(uint256 groupId, address member) private {
+        groupMembers[groupId].push(member);
+        memberIndex[groupId][member] = groupMembers[groupId].length;
+        userGroups[member].push(groupId);
+        userGroupIndex[member][groupId] = userGroups[member].length;
+        groups[groupId].memberCount++;
+        
+        emit MemberAdded(groupId, member, msg.sender, groups[groupId].epoch);
+    }
+    
+    /**
+     * @dev Remove a member (swap-and-pop) and bump the epoch
+     */
+    function _removeMember(uint256 groupId, address member) private {
+        uint256 index = memberIndex[groupId][member];
+        require(index != 0, "Not a group member");
+        
+        if (groupAdmins[groupId][member]) {
+            require(adminCount[groupId] > 1 || groups[groupId].memberCount == 1, "Group needs an admin");
+            groupAdmins[groupId][member] = false;
+            adminCount[groupId]--;
+            emit AdminRemoved(groupId, member);
+        }
+        
+        address[] storage members = groupMembers[groupId];
+        address last = members[members.length - 1];
+        members[index - 1] = last;
+        memberIndex[groupId][last] = index;
+        members.pop();
+        delete memberIndex[groupId][member];
+        
+        uint256[] storage memberGroups = userGroups[member];
+        uint256 groupIndex = userGroupIndex[member][groupId];
+        uint256 lastGroup = memberGroups[memberGroups.length - 1];
+        memberGroups[groupIndex - 1] = lastGroup;
+        userGroupIndex[member][lastGroup] = groupIndex;
+        memberGroups.pop();
+        delete userGroupIndex[member][groupId];
+        
+        groups[groupId].memberCount--;
+        groups[groupId].epoch++;
+        emit MemberRemoved(groupId, member, msg.sender, groups[groupId].epoch);
+    }
+}
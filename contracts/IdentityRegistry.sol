@@ -6,41 +6,110 @@ pragma solidity ^0.8.19;
  * @dev Contract for storing user public keys for encryption
  */
 contract IdentityRegistry {
-    // Mapping from user address to their public key
-    mapping(address => bytes) private userPublicKeys;
+    // How the registered key was produced
+    // Random: generated on the client (optionally backed by a recovery phrase)
+    // WalletDerived: derived from the wallet's signature over a fixed message
+    enum KeyMode { Random, WalletDerived }
+    
+    // One entry per key a user has ever registered
+    // version: 1-based position in the user's history
+    // activatedAt / revokedAt: block numbers; revokedAt is 0 while the key is not revoked
+    struct KeyRecord {
+        bytes publicKey;
+        uint256 version;
+        KeyMode mode;
+        uint256 activatedAt;
+        uint256 revokedAt;
+    }
+    
+    // Mapping from user address to their key history, oldest first
+    mapping(address => KeyRecord[]) private keyHistory;
     
     // Mapping to check if user has registered
     mapping(address => bool) public isRegistered;
     
+    // Per-user counter included in key proofs so a proof can only be used once
+    mapping(address => uint256) public nonces;
+    
+    // secp256k1 field prime and half the group order (for low-s signatures)
+    uint256 private constant FIELD_PRIME = 0xFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFEFFFFFC2F;
+    uint256 private constant HALF_CURVE_ORDER = 0x7FFFFFFFFFFFFFFFFFFFFFFFFFFFFFFF5D576E7357A4501DDFE92F46681B20A0;
+    
+    // Domain tag for key proofs
+    bytes32 private constant KEY_PROOF_TAG = keccak256("IdentityRegistry.KeyProof");
+    
     // Events
-    event KeyRegistered(address indexed user, bytes publicKey);
-    event KeyUpdated(address indexed user, bytes newPublicKey);
+    event KeyRegistered(address indexed user, bytes publicKey, KeyMode mode);
+    event KeyUpdated(address indexed user, bytes newPublicKey, KeyMode mode);
+    event KeyRevoked(address indexed user, uint256 version);
     
     /**
      * @dev Register user's public key
-     * @param publicKey The user's public key for encryption
+     * @param publicKey The user's secp256k1 public key (33-byte compressed or 65-byte uncompressed)
+     * @param mode How the key was produced
+     * @param proof Signature by the key's private key over getKeyProofHash(msg.sender, publicKey)
      */
-    function registerKey(bytes memory publicKey) external {
+    function registerKey(bytes memory publicKey, KeyMode mode, bytes memory proof) external {
         require(publicKey.length > 0, "Public key cannot be empty");
         require(!isRegistered[msg.sender], "User already registered");
+        _verifyKeyProof(msg.sender, publicKey, proof);
         
-        userPublicKeys[msg.sender] = publicKey;
+        _appendKey(msg.sender, publicKey, mode);
         isRegistered[msg.sender] = true;
         
-        emit KeyRegistered(msg.sender, publicKey);
+        emit KeyRegistered(msg.sender, publicKey, mode);
     }
     
     /**
      * @dev Update existing public key
-     * @param newPublicKey The new public key
+     * @param newPublicKey The new secp256k1 public key
+     * @param mode How the new key was produced
+     * @param proof Signature by the new key's private key over getKeyProofHash(msg.sender, newPublicKey)
      */
-    function updateKey(bytes memory newPublicKey) external {
+    function updateKey(bytes memory newPublicKey, KeyMode mode, bytes memory proof) external {
         require(newPublicKey.length > 0, "Public key cannot be empty");
         require(isRegistered[msg.sender], "User not registered");
+        _verifyKeyProof(msg.sender, newPublicKey, proof);
+        
+        _appendKey(msg.sender, newPublicKey, mode);
+        
+        emit KeyUpdated(msg.sender, newPublicKey, mode);
+    }
+    
+    /**
+     * @dev Revoke one of the caller's keys, e.g. after it was compromised.
+     * A revoked key is no longer valid from the current block on.
+     * @param version The version of the key to revoke
+     */
+    function revokeKey(uint256 version) external {
+        require(isRegistered[msg.sender], "User not registered");
+        require(version > 0 && version <= keyHistory[msg.sender].length, "Key version does not exist");
+        
+        KeyRecord storage record = keyHistory[msg.sender][version - 1];
+        require(record.revokedAt == 0, "Key already revoked");
         
-        userPublicKeys[msg.sender] = newPublicKey;
+        record.revokedAt = block.number;
         
-        emit KeyUpdated(msg.sender, newPublicKey);
+        emit KeyRevoked(msg.sender, version);
+    }
+    
+    /**
+     * @dev Hash the key's private key must sign (as an EIP-191 personal message)
+     * to prove possession. Binds this registry, the chain, the registrant, the key
+     * and the registrant's current nonce.
+     * @param user The address registering the key
+     * @param publicKey The public key being registered
+     * @return The 32-byte proof hash
+     */
+    function getKeyProofHash(address user, bytes memory publicKey) public view returns (bytes32) {
+        return keccak256(abi.encode(
+            KEY_PROOF_TAG,
+            address(this),
+            block.chainid,
+            user,
+            keccak256(publicKey),
+            nonces[user]
+        ));
     }
     
     /**
@@ -49,8 +118,204 @@ contract IdentityRegistry {
      * @return The user's public key
      */
     function getKey(address user) external view returns (bytes memory) {
+        return _currentKey(user).publicKey;
+    }
+    
+    /**
+     * @dev Get the mode of a user's current key
+     * @param user The address of the user
+     * @return The key mode
+     */
+    function getKeyMode(address user) external view returns (KeyMode) {
+        require(isRegistered[user], "User not registered");
+        return _latestKey(user).mode;
+    }
+    
+    /**
+     * @dev Get the version of a user's most recently registered key
+     * @param user The address of the user
+     * @return The key version (also the number of keys in the history)
+     */
+    function getKeyCount(address user) external view returns (uint256) {
+        return keyHistory[user].length;
+    }
+    
+    /**
+     * @dev Get one entry of a user's key history
+     * @param user The address of the user
+     * @param version The 1-based key version
+     * @return The key record
+     */
+    function getKeyRecord(address user, uint256 version) external view returns (KeyRecord memory) {
+        require(version > 0 && version <= keyHistory[user].length, "Key version does not exist");
+        return keyHistory[user][version - 1];
+    }
+    
+    /**
+     * @dev Get the key that was valid for a user at a given block: the latest key
+     * activated at or before the block, provided it was not revoked by then
+     * @param user The address of the user
+     * @param blockNumber The block to look up
+     * @return The key record
+     */
+    function getKeyAt(address user, uint256 blockNumber) external view returns (KeyRecord memory) {
+        require(isRegistered[user], "User not registered");
+        
+        KeyRecord[] storage history = keyHistory[user];
+        for (uint256 i = history.length; i > 0; i--) {
+            KeyRecord storage record = history[i - 1];
+            if (record.activatedAt <= blockNumber) {
+                require(record.revokedAt == 0 || blockNumber < record.revokedAt, "Key revoked");
+                return record;
+            }
+        }
+        
+        revert("No key valid at block");
+    }
+    
+    /**
+     * @dev Check whether a specific key version was valid at a given block
+     * @param user The address of the user
+     * @param version The 1-based key version
+     * @param blockNumber The block to check
+     * @return True if that version was the active, unrevoked key at the block
+     */
+    function isKeyValidAt(address user, uint256 version, uint256 blockNumber) external view returns (bool) {
+        KeyRecord[] storage history = keyHistory[user];
+        if (version == 0 || version > history.length) {
+            return false;
+        }
+        
+        KeyRecord storage record = history[version - 1];
+        bool activated = record.activatedAt <= blockNumber;
+        bool superseded = version < history.length && history[version].activatedAt <= blockNumber;
+        bool revoked = record.revokedAt != 0 && record.revokedAt <= blockNumber;
+        
+        return activated && !superseded && !revoked;
+    }
+    
+    /**
+     * @dev Add a key to the user's history as their current key
+     */
+    function _appendKey(address user, bytes memory publicKey, KeyMode mode) private {
+        keyHistory[user].push(KeyRecord({
+            publicKey: publicKey,
+            version: keyHistory[user].length + 1,
+            mode: mode,
+            activatedAt: block.number,
+            revokedAt: 0
+        }));
+    }
+    
+    /**
+     * @dev Most recently registered key, revoked or not
+     */
+    function _latestKey(address user) private view returns (KeyRecord storage) {
+        KeyRecord[] storage history = keyHistory[user];
+        return history[history.length - 1];
+    }
+    
+    /**
+     * @dev Current key for encrypting new messages; reverts if it was revoked
+     */
+    function _currentKey(address user) private view returns (KeyRecord storage) {
         require(isRegistered[user], "User not registered");
-        return userPublicKeys[user];
+        KeyRecord storage record = _latestKey(user);
+        require(record.revokedAt == 0, "Key revoked");
+        return record;
+    }
+    
+    /**
+     * @dev Check a proof of possession and consume the user's nonce
+     */
+    function _verifyKeyProof(address user, bytes memory publicKey, bytes memory proof) private {
+        address keyAddress = _publicKeyToAddress(publicKey);
+        bytes32 digest = keccak256(abi.encodePacked(
+            "\x19Ethereum Signed Message:\n32",
+            getKeyProofHash(user, publicKey)
+        ));
+        
+        require(_recoverSigner(digest, proof) == keyAddress, "Invalid key proof");
+        nonces[user]++;
+    }
+    
+    /**
+     * @dev Recover the signer of a 65-byte (r, s, v) signature; returns zero on failure
+     */
+    function _recoverSigner(bytes32 digest, bytes memory signature) private pure returns (address) {
+        require(signature.length == 65, "Invalid key proof length");
+        
+        bytes32 r;
+        bytes32 s;
+        uint8 v;
+        assembly {
+            r := mload(add(signature, 32))
+            s := mload(add(signature, 64))
+            v := byte(0, mload(add(signature, 96)))
+        }
+        if (v < 27) {
+            v += 27;
+        }
+        
+        // Reject malleable (high-s) signatures and invalid recovery ids
+        if (uint256(s) > HALF_CURVE_ORDER || (v != 27 && v != 28)) {
+            return address(0);
+        }
+        return ecrecover(digest, v, r, s);
+    }
+    
+    /**
+     * @dev Validate a secp256k1 public key and derive its Ethereum-style address
+     * Accepts 65-byte uncompressed (0x04 || X || Y) and 33-byte compressed (0x02/0x03 || X) points
+     */
+    function _publicKeyToAddress(bytes memory publicKey) private view returns (address) {
+        uint256 x;
+        uint256 y;
+        
+        if (publicKey.length == 65 && publicKey[0] == 0x04) {
+            assembly {
+                x := mload(add(publicKey, 33))
+                y := mload(add(publicKey, 65))
+            }
+            require(x < FIELD_PRIME && y < FIELD_PRIME, "Public key is not on the secp256k1 curve");
+            require(mulmod(y, y, FIELD_PRIME) == _curveRhs(x), "Public key is not on the secp256k1 curve");
+        } else if (publicKey.length == 33 && (publicKey[0] == 0x02 || publicKey[0] == 0x03)) {
+            assembly {
+                x := mload(add(publicKey, 33))
+            }
+            require(x < FIELD_PRIME, "Public key is not on the secp256k1 curve");
+            
+            // p = 3 mod 4, so a square root of y^2 is (y^2)^((p + 1) / 4)
+            uint256 ySquared = _curveRhs(x);
+            y = _modExp(ySquared, (FIELD_PRIME + 1) / 4, FIELD_PRIME);
+            require(mulmod(y, y, FIELD_PRIME) == ySquared, "Public key is not on the secp256k1 curve");
+            
+            if ((y & 1) != uint8(publicKey[0]) - 2) {
+                y = FIELD_PRIME - y;
+            }
+        } else {
+            revert("Invalid public key format");
+        }
+        
+        return address(uint160(uint256(keccak256(abi.encodePacked(x, y)))));
+    }
+    
+    /**
+     * @dev Right-hand side of the curve equation: x^3 + 7 mod p
+     */
+    function _curveRhs(uint256 x) private pure returns (uint256) {
+        return addmod(mulmod(mulmod(x, x, FIELD_PRIME), x, FIELD_PRIME), 7, FIELD_PRIME);
+    }
+    
+    /**
+     * @dev Modular exponentiation via the EIP-198 precompile
+     */
+    function _modExp(uint256 base, uint256 exponent, uint256 modulus) private view returns (uint256) {
+        (bool success, bytes memory result) = address(0x05).staticcall(
+            abi.encode(32, 32, 32, base, exponent, modulus)
+        );
+        require(success, "Modular exponentiation failed");
+        return abi.decode(result, (uint256));
     }
     
     /**
@@ -13,14 +13,73 @@ contract MessageAnchor {
         bytes32 messageHash;
         string ipfsHash;
         uint256 timestamp;
+        uint256 blockNumber;
     }
     
+    // Sealed message structure: no addresses are stored. The tag is a value only
+    // the two parties can compute (derived from their shared secret, the recipient
+    // and the epoch), so the recipient finds its messages by scanning for tags.
+    struct SealedMessage {
+        bytes32 tag;
+        uint256 epoch;
+        bytes32 messageHash;
+        string ipfsHash;
+        uint256 timestamp;
+        uint256 blockNumber;
+    }
+    
+    // Broadcast channel structure. Only the owner posts; each post is anchored once
+    // and its content key is wrapped off-chain for every subscriber.
+    struct Channel {
+        string name;
+        address owner;
+        uint256 createdAt;
+        uint256 subscriberCount;
+    }
+    
+    // Channel post structure
+    struct ChannelPost {
+        bytes32 messageHash;
+        string ipfsHash;
+        uint256 timestamp;
+        uint256 blockNumber;
+    }
+    
+    // Length of a tag epoch; tags for the same pair change every epoch
+    uint256 public constant SEALED_EPOCH_LENGTH = 1 days;
+    
+    // Maximum number of message IDs returned by one page query
+    uint256 public constant MAX_PAGE_SIZE = 100;
+    
     // Array to store all messages
     Message[] public messages;
     
+    // Array to store all sealed messages (ids are separate from open message ids)
+    SealedMessage[] public sealedMessages;
+    
     // Mapping from user address to their message IDs (sent and received)
     mapping(address => uint256[]) public userMessages;
     
+    // Mapping from conversation key (see getConversationKey) to its message IDs
+    mapping(bytes32 => uint256[]) private conversationMessages;
+    
+    // Mapping from tag to sealed message IDs
+    mapping(bytes32 => uint256[]) private tagMessages;
+    
+    // Array to store all channels (the index is the channel ID)
+    Channel[] private channels;
+    
+    // Mapping from channel ID to its subscribers, and each subscriber's 1-based index in it
+    mapping(uint256 => address[]) private channelSubscribers;
+    mapping(uint256 => mapping(address => uint256)) private subscriberIndex;
+    
+    // Mapping from user address to their subscribed channel IDs, and each channel's 1-based index in it
+    mapping(address => uint256[]) private userSubscriptions;
+    mapping(address => mapping(uint256 => uint256)) private subscriptionIndex;
+    
+    // Mapping from channel ID to its posts
+    mapping(uint256 => ChannelPost[]) private channelPosts;
+    
     // Events
     event MessageAnchored(
         uint256 indexed messageId,
@@ -30,6 +89,30 @@ contract MessageAnchor {
         string ipfsHash
     );
     
+    event SealedMessageAnchored(
+        uint256 indexed messageId,
+        bytes32 indexed tag,
+        uint256 epoch,
+        bytes32 messageHash,
+        string ipfsHash
+    );
+    
+    event ChannelCreated(uint256 indexed channelId, address indexed owner, string name);
+    event ChannelSubscribed(uint256 indexed channelId, address indexed subscriber);
+    event ChannelUnsubscribed(uint256 indexed channelId, address indexed subscriber);
+    
+    event ChannelPostAnchored(
+        uint256 indexed channelId,
+        uint256 indexed postId,
+        bytes32 messageHash,
+        string ipfsHash
+    );
+    
+    modifier channelExists(uint256 channelId) {
+        require(channelId < channels.length, "Channel does not exist");
+        _;
+    }
+    
     /**
      * @dev Anchor a new message on the blockchain
      * @param to The recipient's address
@@ -52,20 +135,303 @@ contract MessageAnchor {
             to: to,
             messageHash: messageHash,
             ipfsHash: ipfsHash,
-            timestamp: block.timestamp
+            timestamp: block.timestamp,
+            blockNumber: block.number
         });
         
         // Add to messages array
         messages.push(newMessage);
         uint256 messageId = messages.length - 1;
         
-        // Add to sender's and recipient's message lists
+        // Add to sender's and recipient's message lists and to the conversation
         userMessages[msg.sender].push(messageId);
         userMessages[to].push(messageId);
+        conversationMessages[getConversationKey(msg.sender, to)].push(messageId);
         
         emit MessageAnchored(messageId, msg.sender, to, messageHash, ipfsHash);
     }
     
+    /**
+     * @dev Anchor a sealed message. Neither party is recorded; the transaction
+     *      sender is still public, so it should not be an account linked to the
+     *      sender's identity when the sender must stay hidden.
+     * @param tag The blinded recipient tag
+     * @param epoch The epoch the tag was derived for (current or previous)
+     * @param messageHash The hash of the sealed envelope
+     * @param ipfsHash The IPFS hash where the sealed envelope is stored
+     */
+    function anchorSealedMessage(
+        bytes32 tag,
+        uint256 epoch,
+        bytes32 messageHash,
+        string memory ipfsHash
+    ) external {
+        require(tag != bytes32(0), "Invalid tag");
+        require(messageHash != bytes32(0), "Invalid message hash");
+        require(bytes(ipfsHash).length > 0, "IPFS hash cannot be empty");
+        
+        // The previous epoch is accepted for transactions mined just after a boundary
+        uint256 currentEpoch = getCurrentEpoch();
+        require(epoch == currentEpoch || epoch + 1 == currentEpoch, "Invalid epoch");
+        
+        sealedMessages.push(SealedMessage({
+            tag: tag,
+            epoch: epoch,
+            messageHash: messageHash,
+            ipfsHash: ipfsHash,
+            timestamp: block.timestamp,
+            blockNumber: block.number
+        }));
+        uint256 messageId = sealedMessages.length - 1;
+        tagMessages[tag].push(messageId);
+        
+        emit SealedMessageAnchored(messageId, tag, epoch, messageHash, ipfsHash);
+    }
+    
+    /**
+     * @dev Get the current tag epoch
+     * @return The epoch number of the current block
+     */
+    function getCurrentEpoch() public view returns (uint256) {
+        return block.timestamp / SEALED_EPOCH_LENGTH;
+    }
+    
+    /**
+     * @dev Get total number of sealed messages
+     * @return The total count of sealed messages
+     */
+    function getSealedMessageCount() external view returns (uint256) {
+        return sealedMessages.length;
+    }
+    
+    /**
+     * @dev Get sealed message details by ID
+     * @param messageId The ID of the sealed message
+     * @return The sealed message struct
+     */
+    function getSealedMessage(uint256 messageId) external view returns (SealedMessage memory) {
+        require(messageId < sealedMessages.length, "Message does not exist");
+        return sealedMessages[messageId];
+    }
+    
+    /**
+     * @dev Get several sealed messages in one call
+     * @param messageIds The IDs of the sealed messages (at most MAX_PAGE_SIZE)
+     * @return Array of sealed message structs, in the order of `messageIds`
+     */
+    function getSealedMessages(uint256[] memory messageIds) external view returns (SealedMessage[] memory) {
+        require(messageIds.length <= MAX_PAGE_SIZE, "Too many messages");
+        
+        SealedMessage[] memory result = new SealedMessage[](messageIds.length);
+        for (uint256 i = 0; i < messageIds.length; i++) {
+            require(messageIds[i] < sealedMessages.length, "Message does not exist");
+            result[i] = sealedMessages[messageIds[i]];
+        }
+        
+        return result;
+    }
+    
+    /**
+     * @dev Get the sealed message IDs anchored under a tag
+     * @param tag The blinded recipient tag
+     * @return Array of sealed message IDs
+     */
+    function getSealedMessagesByTag(bytes32 tag) external view returns (uint256[] memory) {
+        return tagMessages[tag];
+    }
+    
+    /**
+     * @dev Create a broadcast channel owned by the caller
+     * @param name The channel name
+     * @return channelId The new channel's ID
+     */
+    function createChannel(string memory name) external returns (uint256 channelId) {
+        require(bytes(name).length > 0, "Channel name cannot be empty");
+        
+        channels.push(Channel({
+            name: name,
+            owner: msg.sender,
+            createdAt: block.timestamp,
+            subscriberCount: 0
+        }));
+        channelId = channels.length - 1;
+        
+        emit ChannelCreated(channelId, msg.sender, name);
+    }
+    
+    /**
+     * @dev Subscribe the caller to a channel
+     * @param channelId The channel ID
+     */
+    function subscribe(uint256 channelId) external channelExists(channelId) {
+        require(subscriberIndex[channelId][msg.sender] == 0, "Already subscribed");
+        
+        channelSubscribers[channelId].push(msg.sender);
+        subscriberIndex[channelId][msg.sender] = channelSubscribers[channelId].length;
+        userSubscriptions[msg.sender].push(channelId);
+        subscriptionIndex[msg.sender][channelId] = userSubscriptions[msg.sender].length;
+        channels[channelId].subscriberCount++;
+        
+        emit ChannelSubscribed(channelId, msg.sender);
+    }
+    
+    /**
+     * @dev Unsubscribe the caller from a channel. Keys of later posts are no longer
+     *      wrapped for the caller.
+     * @param channelId The channel ID
+     */
+    function unsubscribe(uint256 channelId) external channelExists(channelId) {
+        uint256 index = subscriberIndex[channelId][msg.sender];
+        require(index != 0, "Not subscribed");
+        
+        address[] storage subscribers = channelSubscribers[channelId];
+        address last = subscribers[subscribers.length - 1];
+        subscribers[index - 1] = last;
+        subscriberIndex[channelId][last] = index;
+        subscribers.pop();
+        delete subscriberIndex[channelId][msg.sender];
+        
+        uint256[] storage subscriptions = userSubscriptions[msg.sender];
+        uint256 subscription = subscriptionIndex[msg.sender][channelId];
+        uint256 lastChannel = subscriptions[subscriptions.length - 1];
+        subscriptions[subscription - 1] = lastChannel;
+        subscriptionIndex[msg.sender][lastChannel] = subscription;
+        subscriptions.pop();
+        delete subscriptionIndex[msg.sender][channelId];
+        
+        channels[channelId].subscriberCount--;
+        
+        emit ChannelUnsubscribed(channelId, msg.sender);
+    }
+    
+    /**
+     * @dev Anchor a post to a channel. Only the channel owner can post.
+     * @param channelId The channel ID
+     * @param messageHash The hash of the encrypted post
+     * @param ipfsHash The IPFS hash where the encrypted post is stored
+     */
+    function postToChannel(uint256 channelId, bytes32 messageHash, string memory ipfsHash)
+        external
+        channelExists(channelId)
+    {
+        require(channels[channelId].owner == msg.sender, "Not the channel owner");
+        require(messageHash != bytes32(0), "Invalid message hash");
+        require(bytes(ipfsHash).length > 0, "IPFS hash cannot be empty");
+        
+        channelPosts[channelId].push(ChannelPost({
+            messageHash: messageHash,
+            ipfsHash: ipfsHash,
+            timestamp: block.timestamp,
+            blockNumber: block.number
+        }));
+        uint256 postId = channelPosts[channelId].length - 1;
+        
+        emit ChannelPostAnchored(channelId, postId, messageHash, ipfsHash);
+    }
+    
+    /**
+     * @dev Get total number of channels
+     * @return The total count of channels
+     */
+    function getChannelCount() external view returns (uint256) {
+        return channels.length;
+    }
+    
+    /**
+     * @dev Get channel details
+     * @param channelId The channel ID
+     * @return The channel struct
+     */
+    function getChannel(uint256 channelId) external view channelExists(channelId) returns (Channel memory) {
+        return channels[channelId];
+    }
+    
+    /**
+     * @dev Get the subscribers of a channel
+     * @param channelId The channel ID
+     * @return Array of subscriber addresses
+     */
+    function getChannelSubscribers(uint256 channelId)
+        external
+        view
+        channelExists(channelId)
+        returns (address[] memory)
+    {
+        return channelSubscribers[channelId];
+    }
+    
+    /**
+     * @dev Check if an address is subscribed to a channel
+     * @param channelId The channel ID
+     * @param user The address to check
+     * @return True if the address is subscribed
+     */
+    function isSubscribed(uint256 channelId, address user) external view returns (bool) {
+        return subscriberIndex[channelId][user] != 0;
+    }
+    
+    /**
+     * @dev Get the channels a user is subscribed to
+     * @param user The user's address
+     * @return Array of channel IDs
+     */
+    function getSubscriptions(address user) external view returns (uint256[] memory) {
+        return userSubscriptions[user];
+    }
+    
+    /**
+     * @dev Get the number of posts in a channel
+     * @param channelId The channel ID
+     * @return The post count
+     */
+    function getChannelPostCount(uint256 channelId) external view channelExists(channelId) returns (uint256) {
+        return channelPosts[channelId].length;
+    }
+    
+    /**
+     * @dev Get a channel post by ID
+     * @param channelId The channel ID
+     * @param postId The post ID within the channel
+     * @return The channel post struct
+     */
+    function getChannelPost(uint256 channelId, uint256 postId)
+        external
+        view
+        channelExists(channelId)
+        returns (ChannelPost memory)
+    {
+        require(postId < channelPosts[channelId].length, "Post does not exist");
+        return channelPosts[channelId][postId];
+    }
+    
+    /**
+     * @dev Get a page of a channel's posts, oldest first
+     * @param channelId The channel ID
+     * @param offset ID of the first post to return
+     * @param limit Maximum number of posts to return (at most MAX_PAGE_SIZE)
+     * @return Array of channel post structs, with IDs counting up from `offset`
+     */
+    function getChannelPostsPage(uint256 channelId, uint256 offset, uint256 limit)
+        external
+        view
+        channelExists(channelId)
+        returns (ChannelPost[] memory)
+    {
+        require(limit <= MAX_PAGE_SIZE, "Limit too large");
+        ChannelPost[] storage posts = channelPosts[channelId];
+        if (offset >= posts.length) {
+            return new ChannelPost[](0);
+        }
+        
+        uint256 end = offset + limit > posts.length ? posts.length : offset + limit;
+        ChannelPost[] memory page = new ChannelPost[](end - offset);
+        for (uint256 i = offset; i < end; i++) {
+            page[i - offset] = posts[i];
+        }
+        
+        return page;
+    }
+    
     /**
      * @dev Get total number of messages
      * @return The total count of messages
@@ -84,6 +450,23 @@ contract MessageAnchor {
         return messages[messageId];
     }
     
+    /**
+     * @dev Get several messages in one call
+     * @param messageIds The IDs of the messages (at most MAX_PAGE_SIZE)
+     * @return Array of message structs, in the order of `messageIds`
+     */
+    function getMessages(uint256[] memory messageIds) external view returns (Message[] memory) {
+        require(messageIds.length <= MAX_PAGE_SIZE, "Too many messages");
+        
+        Message[] memory result = new Message[](messageIds.length);
+        for (uint256 i = 0; i < messageIds.length; i++) {
+            require(messageIds[i] < messages.length, "Message does not exist");
+            result[i] = messages[messageIds[i]];
+        }
+        
+        return result;
+    }
+    
     /**
      * @dev Get all message IDs for a user (both sent and received)
      * @param user The user's address
@@ -93,6 +476,53 @@ contract MessageAnchor {
         return userMessages[user];
     }
     
+    /**
+     * @dev Get the number of messages a user has sent or received
+     * @param user The user's address
+     * @return The message count
+     */
+    function getUserMessageCount(address user) external view returns (uint256) {
+        return userMessages[user].length;
+    }
+    
+    /**
+     * @dev Get a page of a user's message IDs, oldest first
+     * @param user The user's address
+     * @param offset Index of the first message ID to return
+     * @param limit Maximum number of message IDs to return (at most MAX_PAGE_SIZE)
+     * @return Array of message IDs
+     */
+    function getUserMessagesPage(address user, uint256 offset, uint256 limit)
+        external
+        view
+        returns (uint256[] memory)
+    {
+        return _slice(userMessages[user], offset, limit);
+    }
+    
+    /**
+     * @dev Get the key under which a conversation is indexed. The pair is ordered,
+     *      so both participants map to the same key.
+     * @param user1 First user's address
+     * @param user2 Second user's address
+     * @return The conversation key
+     */
+    function getConversationKey(address user1, address user2) public pure returns (bytes32) {
+        return user1 < user2
+            ? keccak256(abi.encodePacked(user1, user2))
+            : keccak256(abi.encodePacked(user2, user1));
+    }
+    
+    /**
+     * @dev Get the number of messages in a conversation between two users
+     * @param user1 First user's address
+     * @param user2 Second user's address
+     * @return The message count
+     */
+    function getConversationMessageCount(address user1, address user2) external view returns (uint256) {
+        return conversationMessages[getConversationKey(user1, user2)].length;
+    }
+    
     /**
      * @dev Get messages for a specific conversation between two users
      * @param user1 First user's address
@@ -104,26 +534,23 @@ contract MessageAnchor {
         view 
         returns (uint256[] memory) 
     {
-        uint256[] memory user1Messages = userMessages[user1];
-        uint256[] memory conversationIds = new uint256[](user1Messages.length);
-        uint256 count = 0;
-        
-        for (uint256 i = 0; i < user1Messages.length; i++) {
-            Message memory msg = messages[user1Messages[i]];
-            if ((msg.from == user1 && msg.to == user2) || 
-                (msg.from == user2 && msg.to == user1)) {
-                conversationIds[count] = user1Messages[i];
-                count++;
-            }
-        }
-        
-        // Create properly sized array
-        uint256[] memory result = new uint256[](count);
-        for (uint256 i = 0; i < count; i++) {
-            result[i] = conversationIds[i];
-        }
-        
-        return result;
+        return conversationMessages[getConversationKey(user1, user2)];
+    }
+    
+    /**
+     * @dev Get a page of a conversation's message IDs, oldest first
+     * @param user1 First user's address
+     * @param user2 Second user's address
+     * @param offset Index of the first message ID to return
+     * @param limit Maximum number of message IDs to return (at most MAX_PAGE_SIZE)
+     * @return Array of message IDs
+     */
+    function getConversationMessagesPage(address user1, address user2, uint256 offset, uint256 limit)
+        external
+        view
+        returns (uint256[] memory)
+    {
+        return _slice(conversationMessages[getConversationKey(user1, user2)], offset, limit);
     }
     
     /**
@@ -137,24 +564,48 @@ contract MessageAnchor {
         view 
         returns (uint256[] memory) 
     {
-        uint256[] memory userMsgs = userMessages[user];
-        uint256[] memory recentIds = new uint256[](userMsgs.length);
-        uint256 count = 0;
-        
-        for (uint256 i = 0; i < userMsgs.length; i++) {
-            Message memory msg = messages[userMsgs[i]];
-            if (msg.timestamp > since) {
-                recentIds[count] = userMsgs[i];
-                count++;
+        uint256[] storage userMsgs = userMessages[user];
+        
+        // Message IDs are appended in block order, so timestamps never decrease;
+        // binary search for the first message after `since`
+        uint256 low = 0;
+        uint256 high = userMsgs.length;
+        while (low < high) {
+            uint256 mid = (low + high) / 2;
+            if (messages[userMsgs[mid]].timestamp > since) {
+                high = mid;
+            } else {
+                low = mid + 1;
             }
         }
         
-        // Create properly sized array
-        uint256[] memory result = new uint256[](count);
-        for (uint256 i = 0; i < count; i++) {
-            result[i] = recentIds[i];
+        uint256[] memory result = new uint256[](userMsgs.length - low);
+        for (uint256 i = low; i < userMsgs.length; i++) {
+            result[i - low] = userMsgs[i];
         }
         
         return result;
     }
+    
+    /**
+     * @dev Copy `limit` IDs starting at `offset` out of an index
+     */
+    function _slice(uint256[] storage ids, uint256 offset, uint256 limit)
+        private
+        view
+        returns (uint256[] memory)
+    {
+        require(limit <= MAX_PAGE_SIZE, "Limit too large");
+        if (offset >= ids.length) {
+            return new uint256[](0);
+        }
+        
+        uint256 end = offset + limit > ids.length ? ids.length : offset + limit;
+        uint256[] memory page = new uint256[](end - offset);
+        for (uint256 i = offset; i < end; i++) {
+            page[i - offset] = ids[i];
+        }
+        
+        return page;
+    }
 }
@@ -0,0 +1,177 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "./IdentityRegistry.sol";
+
+/**
+ * @title PrekeyRegistry
+ * @dev Contract for publishing prekeys so senders can start sessions with offline users
+ */
+contract PrekeyRegistry {
+    // Medium-term prekey, signed by the identity key that was current when it was published
+    // keyVersion: the IdentityRegistry key version that signed it
+    struct SignedPrekey {
+        uint256 id;
+        bytes publicKey;
+        bytes signature;
+        uint256 keyVersion;
+        uint256 publishedAt;
+    }
+    
+    // Single-use prekey; handed to exactly one sender by claimPrekey
+    struct OneTimePrekey {
+        uint256 id;
+        bytes publicKey;
+    }
+    
+    // Pool size below which PrekeyPoolLow is emitted
+    uint256 public constant LOW_PREKEY_THRESHOLD = 5;
+    
+    // Maximum number of one-time prekeys per upload
+    uint256 public constant MAX_PREKEYS_PER_UPLOAD = 50;
+    
+    IdentityRegistry public immutable identityRegistry;
+    
+    // Mapping from user address to their signed prekey
+    mapping(address => SignedPrekey) private signedPrekeys;
+    
+    // Mapping from user address to their unclaimed one-time prekeys
+    mapping(address => OneTimePrekey[]) private oneTimePrekeys;
+    
+    // Events
+    event SignedPrekeyPublished(address indexed user, uint256 id, uint256 keyVersion);
+    event OneTimePrekeysAdded(address indexed user, uint256 count, uint256 available);
+    event OneTimePrekeyClaimed(address indexed user, address indexed claimer, uint256 id, bytes publicKey);
+    event PrekeyPoolLow(address indexed user, uint256 available);
+    
+    constructor(address identityRegistryAddress) {
+        require(identityRegistryAddress != address(0), "Invalid identity registry address");
+        identityRegistry = IdentityRegistry(identityRegistryAddress);
+    }
+    
+    /**
+     * @dev Publish a new signed prekey and replace the one-time prekey pool
+     * @param signedPrekeyId Client-chosen id of the signed prekey
+     * @param signedPrekey The signed prekey (33-byte compressed or 65-byte uncompressed)
+     * @param signature 65-byte signature over the prekey by the caller's current identity key
+     * @param prekeyIds Client-chosen ids of the one-time prekeys
+     * @param prekeys The one-time prekeys
+     */
+    function publishPrekeys(
+        uint256 signedPrekeyId,
+        bytes memory signedPrekey,
+        bytes memory signature,
+        uint256[] memory prekeyIds,
+        bytes[] memory prekeys
+    ) external {
+        require(identityRegistry.isRegistered(msg.sender), "User not registered");
+        require(_isValidKeyEncoding(signedPrekey), "Invalid prekey format");
+        require(signature.length == 65, "Invalid prekey signature length");
+        
+        signedPrekeys[msg.sender] = SignedPrekey({
+            id: signedPrekeyId,
+            publicKey: signedPrekey,
+            signature: signature,
+            keyVersion: identityRegistry.getKeyCount(msg.sender),
+            publishedAt: block.number
+        });
+        delete oneTimePrekeys[msg.sender];
+        
+        emit SignedPrekeyPublished(msg.sender, signedPrekeyId, signedPrekeys[msg.sender].keyVersion);
+        _addOneTimePrekeys(prekeyIds, prekeys);
+    }
+    
+    /**
+     * @dev Add one-time prekeys to the caller's pool
+     * @param prekeyIds Client-chosen ids of the one-time prekeys
+     * @param prekeys The one-time prekeys
+     */
+    function addOneTimePrekeys(uint256[] memory prekeyIds, bytes[] memory prekeys) external {
+        require(signedPrekeys[msg.sender].publishedAt != 0, "No signed prekey published");
+        _addOneTimePrekeys(prekeyIds, prekeys);
+    }
+    
+    /**
+     * @dev Take one of a user's one-time prekeys. The prekey is removed from the pool
+     *      in the same transaction, so no two senders receive the same one. The claimed
+     *      key is returned in the OneTimePrekeyClaimed event; when the pool is empty
+     *      nothing is claimed and the session uses the signed prekey only.
+     * @param user The address whose prekey to claim
+     * @return id The claimed prekey id (0 if the pool was empty)
+     * @return publicKey The claimed prekey (empty if the pool was empty)
+     */
+    function claimPrekey(address user) external returns (uint256 id, bytes memory publicKey) {
+        require(signedPrekeys[user].publishedAt != 0, "No signed prekey published");
+        require(identityRegistry.isRegistered(msg.sender), "Claimer not registered");
+        require(user != msg.sender, "Cannot claim own prekey");
+        
+        OneTimePrekey[] storage pool = oneTimePrekeys[user];
+        if (pool.length > 0) {
+            OneTimePrekey memory prekey = pool[pool.length - 1];
+            pool.pop();
+            
+            id = prekey.id;
+            publicKey = prekey.publicKey;
+            emit OneTimePrekeyClaimed(user, msg.sender, id, publicKey);
+        }
+        
+        if (pool.length < LOW_PREKEY_THRESHOLD) {
+            emit PrekeyPoolLow(user, pool.length);
+        }
+    }
+    
+    /**
+     * @dev Get a user's signed prekey
+     * @param user The user's address
+     * @return The signed prekey record
+     */
+    function getSignedPrekey(address user) external view returns (SignedPrekey memory) {
+        require(signedPrekeys[user].publishedAt != 0, "No signed prekey published");
+        return signedPrekeys[user];
+    }
+    
+    /**
+     * @dev Check whether a user has published prekeys
+     * @param user The user's address
+     * @return True if a signed prekey is published
+     */
+    function hasPrekeys(address user) external view returns (bool) {
+        return signedPrekeys[user].publishedAt != 0;
+    }
+    
+    /**
+     * @dev Get the number of unclaimed one-time prekeys
+     * @param user The user's address
+     * @return The pool size
+     */
+    function getOneTimePrekeyCount(address user) external view returns (uint256) {
+        return oneTimePrekeys[user].length;
+    }
+    
+    /**
+     * @dev Append one-time prekeys to the caller's pool
+     */
+    function _addOneTimePrekeys(uint256[] memory prekeyIds, bytes[] memory prekeys) private {
+        require(prekeyIds.length == prekeys.length, "Prekey ids and keys length mismatch");
+        require(prekeys.length <= MAX_PREKEYS_PER_UPLOAD, "Too many prekeys");
+        
+        OneTimePrekey[] storage pool = oneTimePrekeys[msg.sender];
+        for (uint256 i = 0; i < prekeys.length; i++) {
+            require(prekeyIds[i] != 0, "Invalid prekey id");
+            require(_isValidKeyEncoding(prekeys[i]), "Invalid prekey format");
+            pool.push(OneTimePrekey({ id: prekeyIds[i], publicKey: prekeys[i] }));
+        }
+        
+        emit OneTimePrekeysAdded(msg.sender, prekeys.length, pool.length);
+    }
+    
+    /**
+     * @dev Check a public key has the length and prefix of an encoded secp256k1 point
+     */
+    function _isValidKeyEncoding(bytes memory publicKey) private pure returns (bool) {
+        if (publicKey.length == 33) {
+            return publicKey[0] == 0x02 || publicKey[0] == 0x03;
+        }
+        return publicKey.length == 65 && publicKey[0] == 0x04;
+    }
+}
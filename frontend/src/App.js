@@ -8,13 +8,19 @@ import KeyManagement from './components/KeyManagement';
 import MessageComposer from './components/MessageComposer';
 import MessageList from './components/MessageList';
 import UserList from './components/UserList';
+import ChannelList from './components/ChannelList';
+import ConversationList from './components/ConversationList';
 import SettingsModal from './components/SettingsModal';
+import SafetyNumberModal from './components/SafetyNumberModal';
+import GroupMembersModal from './components/GroupMembersModal';
+import SearchModal from './components/SearchModal';
 
 // Utils
-import { initializeContracts } from './utils/blockchain';
+import { initializeContracts, getPublicKey, getGroup, getChannel } from './utils/blockchain';
 import { getIPFSStatus, initializeIPFS } from './utils/ipfs';
 import { notificationManager } from './utils/notifications';
 import { hasStoredKeyPair, loadKeyPair } from './utils/crypto';
+import { VERIFICATION_STATUS, loadVerifiedContacts, getVerificationStatus } from './utils/verification';
 
 function App() {
   const [account, setAccount] = useState('');
@@ -23,12 +29,19 @@ function App() {
   const [error, setError] = useState('');
   const [keyPair, setKeyPair] = useState(null);
   const [selectedRecipient, setSelectedRecipient] = useState('');
+  const [selectedGroup, setSelectedGroup] = useState(null);
+  const [selectedChannel, setSelectedChannel] = useState(null);
+  const [showGroupMembers, setShowGroupMembers] = useState(false);
   const [ipfsStatus, setIpfsStatus] = useState({ connected: false, checking: true });
-  const [messageRefreshTrigger, setMessageRefreshTrigger] = useState(0);
   const [showSettings, setShowSettings] = useState(false);
   const [userMode, setUserMode] = useState(null); // 'user1', 'user2', or null
   const [autoConnectAttempted, setAutoConnectAttempted] = useState(false);
   const [keyLoadPrompt, setKeyLoadPrompt] = useState(false);
+  const [verifiedContacts, setVerifiedContacts] = useState({});
+  const [recipientStatus, setRecipientStatus] = useState(VERIFICATION_STATUS.UNVERIFIED);
+  const [showSafetyNumber, setShowSafetyNumber] = useState(false);
+  const [showSearch, setShowSearch] = useState(false);
+  const [focusMessageId, setFocusMessageId] = useState(null);
 
   // Detect user mode from URL parameters
   useEffect(() => {
@@ -65,6 +78,37 @@ function App() {
     initialize();
   }, [account, keyPair]);
 
+  // Load the contacts this account has verified
+  useEffect(() => {
+    setVerifiedContacts(account ? loadVerifiedContacts(account) : {});
+  }, [account]);
+
+  // Check the selected contact's current key against the one that was verified
+  useEffect(() => {
+    if (!selectedRecipient || !contracts) {
+      setRecipientStatus(VERIFICATION_STATUS.UNVERIFIED);
+      return;
+    }
+
+    let cancelled = false;
+    const checkRecipient = async () => {
+      let publicKey = null;
+      try {
+        publicKey = await getPublicKey(contracts, selectedRecipient);
+      } catch (error) {
+        // Unregistered contact; fall back to the stored flag
+      }
+      if (!cancelled) {
+        setRecipientStatus(getVerificationStatus(verifiedContacts, selectedRecipient, publicKey));
+      }
+    };
+
+    checkRecipient();
+    return () => {
+      cancelled = true;
+    };
+  }, [selectedRecipient, contracts, verifiedContacts]);
+
   // Initialize IPFS
   useEffect(() => {
     const checkIPFS = async () => {
@@ -90,6 +134,8 @@ function App() {
     setAccount(newAccount);
     setError('');
     setSelectedRecipient(''); // Clear selected recipient when switching accounts
+    setSelectedGroup(null);
+    setSelectedChannel(null);
     setKeyPair(null); // Clear keys when switching accounts
   };
 
@@ -103,19 +149,57 @@ function App() {
   };
 
   const handleMessageSent = () => {
-    // Trigger message refresh
-    setMessageRefreshTrigger(prev => prev + 1);
+    // Sync right away so the sent message shows without waiting for the next block
     window.dispatchEvent(new CustomEvent('messageListRefresh'));
   };
 
   const handleRecipientSelect = (recipient) => {
     setSelectedRecipient(recipient);
+    setSelectedGroup(null);
+    setSelectedChannel(null);
     // Auto-refresh messages when selecting a new recipient
     setTimeout(() => {
       window.dispatchEvent(new CustomEvent('messageListRefresh'));
     }, 100);
   };
 
+  const handleGroupSelect = (group) => {
+    setSelectedGroup(group);
+    setSelectedRecipient('');
+    setSelectedChannel(null);
+  };
+
+  const handleChannelSelect = (channel) => {
+    setSelectedChannel(channel);
+    setSelectedRecipient('');
+    setSelectedGroup(null);
+  };
+
+  // Open the conversation of a search result and scroll to the message
+  const handleOpenSearchResult = async (result) => {
+    const { conversation } = result;
+    try {
+      if (conversation.type === 'group') {
+        handleGroupSelect(await getGroup(contracts, conversation.groupId));
+      } else if (conversation.type === 'channel') {
+        handleChannelSelect(await getChannel(contracts, conversation.channelId));
+      } else {
+        handleRecipientSelect(conversation.peer);
+      }
+      setFocusMessageId(result.id);
+      setShowSearch(false);
+    } catch (error) {
+      handleError('Failed to open conversation: ' + error.message);
+    }
+  };
+
+  // Membership changes from the members dialog; null when we left the group
+  const handleGroupChange = (group) => {
+    setSelectedGroup(group);
+    if (!group) setShowGroupMembers(false);
+    window.dispatchEvent(new CustomEvent('groupListRefresh'));
+  };
+
   return (
     <div className="App">
       <Container fluid className="py-4">
@@ -144,6 +228,11 @@ function App() {
                 <Badge bg={keyPair ? 'success' : 'secondary'}>
                   🔑 {keyPair ? 'Keys Ready' : 'No Keys'}
                 </Badge>
+                {account && keyPair && (
+                  <Button variant="outline-secondary" size="sm" onClick={() => setShowSearch(true)}>
+                    🔎 Search
+                  </Button>
+                )}
                 <Button variant="outline-secondary" size="sm" onClick={() => setShowSettings(true)}>
                   ⚙️ Settings
                 </Button>
@@ -259,6 +348,21 @@ function App() {
                 {selectedRecipient && (
                   <div className="small text-muted">
                     with {selectedRecipient.slice(0, 8)}...{selectedRecipient.slice(-6)}
+                    {recipientStatus === VERIFICATION_STATUS.VERIFIED && (
+                      <Badge bg="success" className="ms-2">✔ Verified</Badge>
+                    )}
+                    {recipientStatus === VERIFICATION_STATUS.KEY_CHANGED && (
+                      <Badge bg="warning" text="dark" className="ms-2">⚠️ Key changed</Badge>
+                    )}
+                    <Button 
+                      variant="outline-secondary" 
+                      size="sm" 
+                      className="ms-2"
+                      onClick={() => setShowSafetyNumber(true)}
+                      title="Compare safety numbers"
+                    >
+                      🔐
+                    </Button>
                     <Button 
                       variant="outline-secondary" 
                       size="sm" 
@@ -269,17 +373,58 @@ function App() {
                     </Button>
                   </div>
                 )}
+                {selectedGroup && (
+                  <div className="small text-muted">
+                    in <strong>{selectedGroup.name}</strong>
+                    <Badge bg="secondary" className="ms-2">{selectedGroup.members.length} members</Badge>
+                    <Button 
+                      variant="outline-secondary" 
+                      size="sm" 
+                      className="ms-2"
+                      onClick={() => setShowGroupMembers(true)}
+                      title="Group members"
+                    >
+                      👥
+                    </Button>
+                    <Button 
+                      variant="outline-secondary" 
+                      size="sm" 
+                      className="ms-2"
+                      onClick={() => setSelectedGroup(null)}
+                    >
+                      ✕
+                    </Button>
+                  </div>
+                )}
+                {selectedChannel && (
+                  <div className="small text-muted">
+                    📢 <strong>{selectedChannel.name}</strong>
+                    <Badge bg="secondary" className="ms-2">{selectedChannel.subscribers.length} subscribers</Badge>
+                    <Button 
+                      variant="outline-secondary" 
+                      size="sm" 
+                      className="ms-2"
+                      onClick={() => setSelectedChannel(null)}
+                    >
+                      ✕
+                    </Button>
+                  </div>
+                )}
               </div>
               <div className="card-body d-flex flex-column">
                 {account && isInitialized && keyPair ? (
                   <>
                     <div className="flex-grow-1 mb-3" style={{ minHeight: '300px', maxHeight: '400px', overflowY: 'auto' }}>
                       <MessageList
-                        key={`${selectedRecipient}-${messageRefreshTrigger}`}
+                        key={`${selectedGroup ? `group-${selectedGroup.id}` : selectedChannel ? `channel-${selectedChannel.id}` : selectedRecipient}`}
                         account={account}
                         contracts={contracts}
                         keyPair={keyPair}
                         selectedRecipient={selectedRecipient}
+                        selectedGroup={selectedGroup}
+                        selectedChannel={selectedChannel}
+                        focusMessageId={focusMessageId}
+                        onMessageFocused={() => setFocusMessageId(null)}
                         onError={handleError}
                       />
                     </div>
@@ -287,6 +432,8 @@ function App() {
                     <div className="mt-auto">
                       <MessageComposer
                         selectedRecipient={selectedRecipient}
+                        selectedGroup={selectedGroup}
+                        selectedChannel={selectedChannel}
                         onSendMessage={handleMessageSent}
                         contracts={contracts}
                         keyPair={keyPair}
@@ -314,8 +461,16 @@ function App() {
             </div>
           </Col>
 
-          {/* Right Column - Users */}
+          {/* Right Column - Conversations & Users */}
           <Col lg={3} className="mb-4">
+            {account && isInitialized && (
+              <ConversationList
+                account={account}
+                contracts={contracts}
+                selectedRecipient={selectedRecipient}
+                onSelectRecipient={handleRecipientSelect}
+              />
+            )}
             {account && isInitialized ? (              <UserList
                 account={account}
                 contracts={contracts}
@@ -323,6 +478,9 @@ function App() {
                 onSelectRecipient={handleRecipientSelect}
                 onError={handleError}
                 userMode={userMode}
+                verifiedContacts={verifiedContacts}
+                selectedGroup={selectedGroup}
+                onSelectGroup={handleGroupSelect}
               />
             ) : (
               <div className="card h-100">
@@ -336,6 +494,15 @@ function App() {
                 </div>
               </div>
             )}
+            {account && isInitialized && (
+              <ChannelList
+                account={account}
+                contracts={contracts}
+                selectedChannel={selectedChannel}
+                onSelectChannel={handleChannelSelect}
+                onError={handleError}
+              />
+            )}
           </Col>
         </Row>
 
@@ -382,6 +549,33 @@ function App() {
           onHide={() => setShowSettings(false)}
           ipfsStatus={ipfsStatus}
         />
+
+        <SearchModal
+          show={showSearch}
+          onHide={() => setShowSearch(false)}
+          account={account}
+          onOpenResult={handleOpenSearchResult}
+        />
+
+        <SafetyNumberModal
+          show={showSafetyNumber}
+          onHide={() => setShowSafetyNumber(false)}
+          account={account}
+          contracts={contracts}
+          contact={selectedRecipient}
+          verifiedContacts={verifiedContacts}
+          onVerifiedChange={setVerifiedContacts}
+        />
+
+        <GroupMembersModal
+          show={showGroupMembers && !!selectedGroup}
+          onHide={() => setShowGroupMembers(false)}
+          account={account}
+          contracts={contracts}
+          group={selectedGroup}
+          onGroupChange={handleGroupChange}
+          onError={handleError}
+        />
       </Container>
     </div>
   );
@@ -0,0 +1,171 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { ListGroup, Badge, Button, Card, Form, InputGroup } from 'react-bootstrap';
+import {
+  getChannels,
+  getChannel,
+  createChannel,
+  subscribeToChannel,
+  unsubscribeFromChannel
+} from '../utils/blockchain';
+
+const ChannelList = ({ account, contracts, selectedChannel, onSelectChannel, onError }) => {
+  const [channels, setChannels] = useState([]);
+  const [isLoading, setIsLoading] = useState(false);
+  const [channelName, setChannelName] = useState('');
+  const [busyChannelId, setBusyChannelId] = useState(null);
+
+  const isOwner = (channel) => channel.owner.toLowerCase() === account.toLowerCase();
+  const isSubscribed = (channel) => channel.subscribers.some(
+    subscriber => subscriber.toLowerCase() === account.toLowerCase()
+  );
+
+  const loadChannels = useCallback(async () => {
+    if (!account || !contracts) return;
+
+    setIsLoading(true);
+    try {
+      const allChannels = await getChannels(contracts);
+      console.log('Loaded channels:', allChannels.length);
+      setChannels(allChannels);
+    } catch (error) {
+      console.error('Failed to load channels:', error);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [account, contracts]);
+
+  // Replace one channel in the list (and the selection) after a change
+  const refreshChannel = async (channelId) => {
+    const updated = await getChannel(contracts, channelId);
+    setChannels(prev => prev.map(channel => channel.id === updated.id ? updated : channel));
+    if (selectedChannel?.id === updated.id) {
+      onSelectChannel(updated);
+    }
+    return updated;
+  };
+
+  const handleCreateChannel = async () => {
+    const name = channelName.trim();
+    if (!name) return;
+
+    setBusyChannelId('new');
+    try {
+      const channelId = await createChannel(contracts, name);
+      const channel = await getChannel(contracts, channelId);
+      console.log('📢 Created channel:', channel.name);
+
+      setChannels(prev => [...prev, channel]);
+      setChannelName('');
+      onSelectChannel(channel);
+    } catch (error) {
+      onError('Failed to create channel');
+    } finally {
+      setBusyChannelId(null);
+    }
+  };
+
+  const handleToggleSubscription = async (channel) => {
+    setBusyChannelId(channel.id);
+    try {
+      if (isSubscribed(channel)) {
+        await unsubscribeFromChannel(contracts, channel.id);
+      } else {
+        await subscribeToChannel(contracts, channel.id);
+      }
+      await refreshChannel(channel.id);
+    } catch (error) {
+      onError(`Failed to ${isSubscribed(channel) ? 'leave' : 'join'} channel`);
+    } finally {
+      setBusyChannelId(null);
+    }
+  };
+
+  useEffect(() => {
+    loadChannels();
+  }, [loadChannels]);
+
+  return (
+    <Card className="mt-3">
+      <Card.Header className="d-flex justify-content-between align-items-center">
+        <h5 className="mb-0">📢 Channels</h5>
+        <div>
+          <Badge bg="secondary" className="me-2">{channels.length}</Badge>
+          <Button variant="outline-primary" size="sm" onClick={loadChannels}>
+            🔄
+          </Button>
+        </div>
+      </Card.Header>
+      <Card.Body>
+        <div className="mb-3">
+          <Form.Label className="small">Create a channel:</Form.Label>
+          <InputGroup size="sm">
+            <Form.Control
+              type="text"
+              placeholder="Channel name"
+              value={channelName}
+              onChange={(e) => setChannelName(e.target.value)}
+              onKeyPress={(e) => e.key === 'Enter' && handleCreateChannel()}
+              disabled={busyChannelId === 'new'}
+            />
+            <Button
+              variant="outline-primary"
+              onClick={handleCreateChannel}
+              disabled={busyChannelId === 'new' || !channelName.trim()}
+            >
+              {busyChannelId === 'new' ? '...' : '+'}
+            </Button>
+          </InputGroup>
+        </div>
+
+        {isLoading && channels.length === 0 && (
+          <div className="small text-muted text-center">Loading channels...</div>
+        )}
+
+        {!isLoading && channels.length === 0 && (
+          <div className="small text-muted text-center">No channels yet.</div>
+        )}
+
+        {channels.length > 0 && (
+          <ListGroup variant="flush">
+            {channels.map((channel) => (
+              <ListGroup.Item
+                key={channel.id}
+                action
+                active={selectedChannel?.id === channel.id}
+                onClick={() => onSelectChannel(channel)}
+                className="d-flex justify-content-between align-items-center p-2"
+              >
+                <div className="small">
+                  <strong>{channel.name}</strong>
+                  <div className="text-muted" style={{ fontSize: '0.7rem' }}>
+                    {channel.subscribers.length} subscribers
+                    {isOwner(channel) && <Badge bg="info" className="ms-1">Owner</Badge>}
+                  </div>
+                </div>
+                {!isOwner(channel) && (
+                  <Button
+                    variant={isSubscribed(channel) ? 'outline-secondary' : 'outline-success'}
+                    size="sm"
+                    disabled={busyChannelId === channel.id}
+                    onClick={(e) => {
+                      e.stopPropagation();
+                      handleToggleSubscription(channel);
+                    }}
+                  >
+                    {busyChannelId === channel.id ? '...' : isSubscribed(channel) ? 'Leave' : 'Join'}
+                  </Button>
+                )}
+              </ListGroup.Item>
+            ))}
+          </ListGroup>
+        )}
+
+        <div className="mt-2 small text-muted">
+          Only the owner posts. Joining shares your key for posts from then on.
+        </div>
+      </Card.Body>
+    </Card>
+  );
+};
+
+export default ChannelList;
@@ -0,0 +1,130 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { ListGroup, Badge, Card } from 'react-bootstrap';
+import { getInboxSync } from '../utils/blockchain';
+import { getMessageStore, MESSAGE_STORE_UNLOCKED_EVENT, MESSAGE_STORE_UPDATED_EVENT } from '../utils/messageStore';
+import { parseSearchableContent } from '../utils/search';
+import { loadReadPositions, markConversationRead, groupConversations } from '../utils/conversations';
+
+// Short relative time for the last activity in a conversation
+const formatActivity = (timestamp) => {
+  const minutes = Math.floor((Date.now() - timestamp.getTime()) / 60000);
+  if (minutes < 1) return 'now';
+  if (minutes < 60) return `${minutes}m`;
+  if (minutes < 24 * 60) return `${Math.floor(minutes / 60)}h`;
+  return timestamp.toLocaleDateString();
+};
+
+// Previews are keyed by message ID and hash (see loadPreviews)
+const getPreviewKey = (message) => `${message.id}:${message.messageHash}`;
+
+const ConversationList = ({ account, contracts, selectedRecipient, onSelectRecipient }) => {
+  const [messages, setMessages] = useState([]);
+  const [readPositions, setReadPositions] = useState(() => loadReadPositions(account));
+  const [previews, setPreviews] = useState({});
+
+  const conversations = groupConversations(messages, account, readPositions);
+  const totalUnread = conversations.reduce((total, conversation) => total + conversation.unreadCount, 0);
+
+  // Open messages come from the inbox sync engine, which follows new blocks
+  useEffect(() => {
+    if (!account || !contracts) return;
+
+    const inbox = getInboxSync(contracts, account);
+    const refresh = () => setMessages(inbox.getMessages());
+    const cleanup = inbox.subscribe(refresh);
+    inbox.sync().then(refresh);
+    return cleanup;
+  }, [account, contracts]);
+
+  useEffect(() => {
+    setReadPositions(loadReadPositions(account));
+  }, [account]);
+
+  // Previews are the decrypted last messages the local store holds; messages not
+  // decrypted on this device yet show as encrypted. A reorganization can give a
+  // stored message's ID to another message, so records only count when their hash
+  // matches the synced message.
+  const lastMessages = conversations.map(conversation => getPreviewKey(conversation.lastMessage)).join(',');
+  const loadPreviews = useCallback(async () => {
+    const store = await getMessageStore(account);
+    if (!store || !lastMessages) return;
+
+    const messageHashes = new Map(lastMessages.split(',').map(entry => entry.split(':')));
+    const stored = await store.getMessagesByKey([...messageHashes.keys()]);
+    const loaded = {};
+    stored
+      .filter(message => message.messageHash === messageHashes.get(message.id))
+      .forEach(message => {
+        const { text, fileName } = parseSearchableContent(message.content);
+        loaded[getPreviewKey(message)] = text || (fileName ? `📎 ${fileName}` : '');
+      });
+    setPreviews(loaded);
+  }, [account, lastMessages]);
+
+  useEffect(() => {
+    loadPreviews().catch(error => console.warn('Failed to load conversation previews:', error));
+    window.addEventListener(MESSAGE_STORE_UNLOCKED_EVENT, loadPreviews);
+    window.addEventListener(MESSAGE_STORE_UPDATED_EVENT, loadPreviews);
+    return () => {
+      window.removeEventListener(MESSAGE_STORE_UNLOCKED_EVENT, loadPreviews);
+      window.removeEventListener(MESSAGE_STORE_UPDATED_EVENT, loadPreviews);
+    };
+  }, [loadPreviews]);
+
+  // The open conversation is read up to its newest message, including ones that
+  // arrive while it is open
+  const selectedConversation = selectedRecipient && conversations.find(
+    conversation => conversation.peer.toLowerCase() === selectedRecipient.toLowerCase()
+  );
+  const selectedLastTimestamp = selectedConversation ? selectedConversation.lastMessage.timestamp.getTime() : null;
+  useEffect(() => {
+    if (!selectedRecipient || selectedLastTimestamp === null) return;
+    setReadPositions(markConversationRead(account, selectedRecipient, new Date(selectedLastTimestamp)));
+  }, [account, selectedRecipient, selectedLastTimestamp]);
+
+  return (
+    <Card className="mb-3">
+      <Card.Header className="d-flex justify-content-between align-items-center">
+        <h5 className="mb-0">📨 Conversations</h5>
+        {totalUnread > 0 && <Badge bg="danger">{totalUnread} unread</Badge>}
+      </Card.Header>
+      <Card.Body className="p-0">
+        {conversations.length === 0 ? (
+          <div className="small text-muted text-center p-3">No conversations yet.</div>
+        ) : (
+          <ListGroup variant="flush" style={{ maxHeight: '300px', overflowY: 'auto' }}>
+            {conversations.map(({ peer, lastMessage, unreadCount }) => {
+              const isOutgoing = lastMessage.from.toLowerCase() === account.toLowerCase();
+              const preview = previews[getPreviewKey(lastMessage)];
+              return (
+                <ListGroup.Item
+                  key={peer}
+                  action
+                  active={selectedRecipient?.toLowerCase() === peer.toLowerCase()}
+                  onClick={() => onSelectRecipient(peer)}
+                  className="p-2"
+                >
+                  <div className="d-flex justify-content-between align-items-center">
+                    <span className={`small font-monospace${unreadCount > 0 ? ' fw-bold' : ''}`}>
+                      {peer.slice(0, 8)}...{peer.slice(-6)}
+                    </span>
+                    <span className="small">
+                      {unreadCount > 0 && <Badge bg="primary" pill className="me-1">{unreadCount}</Badge>}
+                      <span className="text-muted">{formatActivity(lastMessage.timestamp)}</span>
+                    </span>
+                  </div>
+                  <div className="small text-truncate text-muted">
+                    {isOutgoing && 'You: '}
+                    {preview !== undefined ? preview : '🔒 Encrypted message'}
+                  </div>
+                </ListGroup.Item>
+              );
+            })}
+          </ListGroup>
+        )}
+      </Card.Body>
+    </Card>
+  );
+};
+
+export default ConversationList;
@@ -0,0 +1,150 @@
+import React, { useState } from 'react';
+import { Modal, Button, Form, InputGroup, ListGroup, Badge } from 'react-bootstrap';
+import {
+  getGroup,
+  addGroupMembers,
+  removeGroupMember,
+  leaveGroup,
+  addGroupAdmin,
+  removeGroupAdmin
+} from '../utils/blockchain';
+
+const GroupMembersModal = ({ show, onHide, account, contracts, group, onGroupChange, onError }) => {
+  const [newMember, setNewMember] = useState('');
+  const [isBusy, setIsBusy] = useState(false);
+
+  if (!group) return null;
+
+  const isSelf = (address) => address.toLowerCase() === account.toLowerCase();
+  const isAdmin = (address) => group.admins.some(admin => admin.toLowerCase() === address.toLowerCase());
+  const canManage = isAdmin(account);
+
+  // Run a membership transaction, then reload the group (members, admins and epoch)
+  const runGroupAction = async (action, leaving = false) => {
+    setIsBusy(true);
+    try {
+      await action();
+      onGroupChange(leaving ? null : await getGroup(contracts, group.id));
+    } catch (error) {
+      console.error('Group update failed:', error);
+      let errorMessage = 'Failed to update group';
+      if (error.message.includes('Member not registered')) {
+        errorMessage = 'That address has not registered a messaging key';
+      } else if (error.message.includes('Already a group member')) {
+        errorMessage = 'That address is already a member';
+      } else if (error.message.includes('Group needs an admin')) {
+        errorMessage = 'Make another member an admin before leaving or stepping down';
+      }
+      onError(errorMessage);
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const handleAddMember = () => {
+    const address = newMember.trim();
+    if (!address.match(/^0x[a-fA-F0-9]{40}$/)) {
+      onError('Please enter a valid Ethereum address');
+      return;
+    }
+    runGroupAction(async () => {
+      await addGroupMembers(contracts, group.id, [address]);
+      setNewMember('');
+    });
+  };
+
+  const handleLeave = () => {
+    if (!window.confirm(`Leave "${group.name}"? You will not be able to read new messages.`)) return;
+    runGroupAction(() => leaveGroup(contracts, group.id), true);
+  };
+
+  return (
+    <Modal show={show} onHide={onHide} centered>
+      <Modal.Header closeButton>
+        <Modal.Title>👥 {group.name}</Modal.Title>
+      </Modal.Header>
+      <Modal.Body>
+        <div className="small text-muted mb-2">
+          Created by {group.creator.slice(0, 8)}...{group.creator.slice(-6)} · key epoch {group.epoch}
+        </div>
+
+        <ListGroup variant="flush" className="mb-3">
+          {group.members.map(member => (
+            <ListGroup.Item key={member} className="d-flex justify-content-between align-items-center p-2">
+              <div className="small">
+                <span className="font-monospace">{member.slice(0, 8)}...{member.slice(-6)}</span>
+                {isSelf(member) && <Badge bg="primary" className="ms-1">You</Badge>}
+                {isAdmin(member) && <Badge bg="info" className="ms-1">Admin</Badge>}
+              </div>
+              {canManage && !isSelf(member) && (
+                <div>
+                  {isAdmin(member) ? (
+                    <Button
+                      variant="outline-secondary"
+                      size="sm"
+                      className="me-1"
+                      disabled={isBusy}
+                      onClick={() => runGroupAction(() => removeGroupAdmin(contracts, group.id, member))}
+                    >
+                      Revoke admin
+                    </Button>
+                  ) : (
+                    <Button
+                      variant="outline-secondary"
+                      size="sm"
+                      className="me-1"
+                      disabled={isBusy}
+                      onClick={() => runGroupAction(() => addGroupAdmin(contracts, group.id, member))}
+                    >
+                      Make admin
+                    </Button>
+                  )}
+                  <Button
+                    variant="outline-danger"
+                    size="sm"
+                    disabled={isBusy}
+                    onClick={() => runGroupAction(() => removeGroupMember(contracts, group.id, member))}
+                  >
+                    Remove
+                  </Button>
+                </div>
+              )}
+            </ListGroup.Item>
+          ))}
+        </ListGroup>
+
+        {canManage && (
+          <Form.Group>
+            <Form.Label className="small">Add member by address:</Form.Label>
+            <InputGroup size="sm">
+              <Form.Control
+                type="text"
+                placeholder="0x..."
+                value={newMember}
+                onChange={(e) => setNewMember(e.target.value)}
+                disabled={isBusy}
+              />
+              <Button variant="outline-primary" onClick={handleAddMember} disabled={isBusy || !newMember.trim()}>
+                {isBusy ? '...' : '+'}
+              </Button>
+            </InputGroup>
+            <Form.Text className="text-muted">
+              New members can read messages sent after they join. Removing a member rotates
+              everyone's group keys on their next message.
+            </Form.Text>
+          </Form.Group>
+        )}
+      </Modal.Body>
+      <Modal.Footer>
+        <Button variant="outline-danger" size="sm" onClick={handleLeave} disabled={isBusy}>
+          Leave Group
+        </Button>
+        <Button variant="secondary" size="sm" onClick={onHide}>
+          Close
+        </Button>
+      </Modal.Footer>
+    </Modal>
+  );
+};
+
+export default GroupMembersModal;
@@ -8,60 +8,249 @@ import {
   clearStoredKeyPair,
   validateKeyPair,
   exportKeyPair,
-  importKeyPair
+  importKeyPair,
+  isEncryptedKeyBackup,
+  getKeyBackupFileName,
+  recoverKeyPairFromMnemonic,
+  publicKeysMatch,
+  deriveKeyPairFromWallet,
+  addKeyToKeyring,
+  assignKeyVersions,
+  getKeyring,
+  VAULT_ERRORS
 } from '../utils/crypto';
-import { registerPublicKey, isUserRegistered } from '../utils/blockchain';
+import { 
+  registerPublicKey, 
+  rotatePublicKey, 
+  revokePublicKey, 
+  isUserRegistered, 
+  getPublicKey, 
+  getKeyMode, 
+  getKeyHistory, 
+  listenForPrekeyPoolLow, 
+  KEY_MODES 
+} from '../utils/blockchain';
+import { ensurePrekeyBundle, clearSessionStore } from '../utils/sessions';
+import { unlockMessageStore, resealMessageStore, deleteMessageStore } from '../utils/messageStore';
 
 const KeyManagement = ({ account, contracts, keyPair, setKeyPair, onError }) => {
   const [isRegistered, setIsRegistered] = useState(false);
+  const [registeredKeyMode, setRegisteredKeyMode] = useState(null);
+  const [currentKeyRecord, setCurrentKeyRecord] = useState(null);
   const [isLoading, setIsLoading] = useState(false);
   const [showPasswordModal, setShowPasswordModal] = useState(false);
   const [showImportModal, setShowImportModal] = useState(false);
   const [showExportModal, setShowExportModal] = useState(false);
   const [password, setPassword] = useState('');
   const [importData, setImportData] = useState('');
-  const [exportData, setExportData] = useState('');
+  const [importPassphrase, setImportPassphrase] = useState('');
+  const [exportPassphrase, setExportPassphrase] = useState('');
+  const [exportPassphraseConfirm, setExportPassphraseConfirm] = useState('');
   const [hasStored, setHasStored] = useState(false);
+  const [pendingKeyPair, setPendingKeyPair] = useState(null);
+  const [pendingAction, setPendingAction] = useState('register');
+  const [recoveryPhrase, setRecoveryPhrase] = useState('');
+  const [phraseCheckIndex, setPhraseCheckIndex] = useState(0);
+  const [phraseCheckWord, setPhraseCheckWord] = useState('');
+  const [phraseWrittenDown, setPhraseWrittenDown] = useState(false);
+  const [showRecoverModal, setShowRecoverModal] = useState(false);
+  const [recoverPhraseInput, setRecoverPhraseInput] = useState('');
+  const [lockedStorePassword, setLockedStorePassword] = useState('');
+  const [previousStorePassword, setPreviousStorePassword] = useState('');
   useEffect(() => {
     checkRegistrationStatus();
     setHasStored(hasStoredKeyPair(account));
   }, [account, contracts]);
 
+  // Keep a prekey bundle published for the registered key so peers can start
+  // forward-secret sessions with us while we are offline, and top it up when
+  // PrekeyRegistry reports that the one-time prekeys are running out
+  useEffect(() => {
+    if (!account || !contracts || !keyPair || !currentKeyRecord || currentKeyRecord.revokedAt) return;
+    if (!publicKeysMatch(currentKeyRecord.publicKey, keyPair.publicKey)) return;
+    
+    const replenish = () => ensurePrekeyBundle(keyPair, account, contracts).catch(error => {
+      console.error('Failed to publish prekey bundle:', error);
+    });
+    
+    replenish();
+    return listenForPrekeyPoolLow(contracts, account, replenish);
+  }, [account, contracts, keyPair, currentKeyRecord]);
+
   const checkRegistrationStatus = async () => {
     if (account && contracts) {
       try {
         const registered = await isUserRegistered(contracts, account);
         setIsRegistered(registered);
+        setRegisteredKeyMode(registered ? await getKeyMode(contracts, account) : null);
+        
+        const history = registered ? await getKeyHistory(contracts, account) : [];
+        setCurrentKeyRecord(history.length > 0 ? history[history.length - 1] : null);
+        setKeyPair(current => assignKeyVersions(current, history));
       } catch (error) {
         console.error('Failed to check registration status:', error);
       }
     }
   };
 
-  const handleGenerateKeys = async () => {
+  const handleGenerateKeys = (action = 'register') => {
     try {
-      setIsLoading(true);
-      const newKeyPair = generateKeyPair();
-      setKeyPair(newKeyPair);
-      
-      // Auto-register on blockchain
-      await registerOnBlockchain(newKeyPair);
+      // Keys come from a fresh recovery phrase; nothing is registered until the
+      // user confirms the phrase has been written down
+      const { mnemonic, ...newKeyPair } = generateKeyPair({ withMnemonic: true });
+      setPendingKeyPair(newKeyPair);
+      setPendingAction(action);
+      setRecoveryPhrase(mnemonic);
+      setPhraseCheckIndex(Math.floor(Math.random() * mnemonic.split(' ').length));
+      setPhraseCheckWord('');
+      setPhraseWrittenDown(false);
     } catch (error) {
       console.error('Failed to generate keys:', error);
       onError('Failed to generate encryption keys: ' + error.message);
+    }
+  };
+
+  const closePhraseModal = () => {
+    setPendingKeyPair(null);
+    setRecoveryPhrase('');
+    setPhraseCheckWord('');
+    setPhraseWrittenDown(false);
+  };
+
+  const isPhraseConfirmed = () => {
+    const words = recoveryPhrase.split(' ');
+    return phraseWrittenDown && phraseCheckWord.trim().toLowerCase() === words[phraseCheckIndex];
+  };
+
+  const handleConfirmPhrase = async () => {
+    const newKeyPair = pendingKeyPair;
+    closePhraseModal();
+    
+    if (pendingAction === 'rotate') {
+      await rotateOnBlockchain(newKeyPair);
+      return;
+    }
+    
+    setKeyPair(newKeyPair);
+    
+    // Auto-register on blockchain
+    await registerOnBlockchain(newKeyPair, KEY_MODES.RANDOM);
+  };
+
+  const handleRotateKeys = () => {
+    if (window.confirm('Rotate to a new key? Your current key stays in your keyring so earlier messages remain readable.')) {
+      handleGenerateKeys('rotate');
+    }
+  };
+
+  const rotateOnBlockchain = async (newKeyPair) => {
+    try {
+      setIsLoading(true);
+      await rotatePublicKey(contracts, newKeyPair, KEY_MODES.RANDOM);
+      setKeyPair(addKeyToKeyring(keyPair, newKeyPair));
+      await checkRegistrationStatus();
+      setShowPasswordModal(true);
+    } catch (error) {
+      console.error('Failed to rotate keys:', error);
+      onError('Failed to rotate keys: ' + error.message);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleRevokeKey = async () => {
+    if (!currentKeyRecord) return;
+    if (!window.confirm(`Revoke key version ${currentKeyRecord.version}? Nobody can send you messages until you rotate to a new key.`)) {
+      return;
+    }
+
+    try {
+      setIsLoading(true);
+      await revokePublicKey(contracts, currentKeyRecord.version);
+      await checkRegistrationStatus();
+    } catch (error) {
+      console.error('Failed to revoke key:', error);
+      onError('Failed to revoke key: ' + error.message);
     } finally {
       setIsLoading(false);
     }
   };
 
-  const registerOnBlockchain = async (keys) => {
+  const handleDeriveFromWallet = async () => {
     try {
       setIsLoading(true);
-      await registerPublicKey(contracts, keys.publicKey);
-      setIsRegistered(true);
+      const derived = await deriveKeyPairFromWallet(contracts.signer, account);
       
-      // Ask user to save keys
-      setShowPasswordModal(true);
+      const registered = await isUserRegistered(contracts, account);
+      if (registered) {
+        // Same wallet, same key: only accept it if it is the one already published
+        const registeredKey = await getPublicKey(contracts, account);
+        if (!publicKeysMatch(registeredKey, derived.publicKey)) {
+          onError('This account has a different key registered. Load or import that key instead.');
+          return;
+        }
+        
+        setKeyPair(derived);
+        setIsRegistered(true);
+        setRegisteredKeyMode(KEY_MODES.WALLET_DERIVED);
+      } else {
+        setKeyPair(derived);
+        await registerOnBlockchain(derived, KEY_MODES.WALLET_DERIVED);
+      }
+    } catch (error) {
+      console.error('Failed to derive keys from wallet:', error);
+      onError('Failed to derive keys from wallet: ' + error.message);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const closeRecoverModal = () => {
+    setShowRecoverModal(false);
+    setRecoverPhraseInput('');
+  };
+
+  const handleRecoverKeys = async () => {
+    try {
+      setIsLoading(true);
+      const recovered = recoverKeyPairFromMnemonic(recoverPhraseInput);
+      
+      // A registered account must get back exactly the key it published
+      const registered = await isUserRegistered(contracts, account);
+      if (registered) {
+        const registeredKey = await getPublicKey(contracts, account);
+        if (!publicKeysMatch(registeredKey, recovered.publicKey)) {
+          onError('This recovery phrase does not match the key registered for this account');
+          return;
+        }
+        
+        closeRecoverModal();
+        setKeyPair(recovered);
+        setIsRegistered(true);
+        setShowPasswordModal(true);
+      } else {
+        closeRecoverModal();
+        setKeyPair(recovered);
+        await registerOnBlockchain(recovered, KEY_MODES.RANDOM);
+      }
+    } catch (error) {
+      console.error('Failed to recover keys:', error);
+      onError('Failed to recover keys: ' + error.message);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const registerOnBlockchain = async (keys, keyMode) => {
+    try {
+      setIsLoading(true);
+      await registerPublicKey(contracts, keys, keyMode);
+      await checkRegistrationStatus();
+      
+      // Wallet-derived keys can be re-derived at any time; random keys need saving
+      if (keyMode !== KEY_MODES.WALLET_DERIVED) {
+        setShowPasswordModal(true);
+      }
     } catch (error) {
       console.error('Failed to register on blockchain:', error);
       onError('Failed to register keys on blockchain: ' + error.message);
@@ -69,88 +258,357 @@ const KeyManagement = ({ account, contracts, keyPair, setKeyPair, onError }) =>
       setIsLoading(false);
     }
   };
-  const handleSaveKeys = () => {
+
+  // The local message store opens with the vault password. One sealed with an earlier
+  // password (the vault was reset and saved again) stays locked, not replaced: it can
+  // hold the only copy of messages, so the user moves it to this password or deletes it.
+  const openMessageStore = async (vaultPassword) => {
+    try {
+      await unlockMessageStore(account, vaultPassword);
+    } catch (error) {
+      if (error.code === VAULT_ERRORS.WRONG_PASSWORD) {
+        setLockedStorePassword(vaultPassword);
+      }
+    }
+  };
+
+  const closeMessageStoreModal = () => {
+    setLockedStorePassword('');
+    setPreviousStorePassword('');
+  };
+
+  const handleMoveMessageStore = async () => {
+    try {
+      setIsLoading(true);
+      await resealMessageStore(account, previousStorePassword, lockedStorePassword);
+      await unlockMessageStore(account, lockedStorePassword);
+      closeMessageStoreModal();
+    } catch (error) {
+      if (error.code === VAULT_ERRORS.WRONG_PASSWORD) {
+        onError('Incorrect previous password');
+      } else {
+        onError('Failed to unlock message history: ' + error.message);
+      }
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleDeleteMessageStore = async () => {
+    if (!window.confirm('Delete the message history saved on this device? Messages it holds that can no longer be decrypted are lost for good.')) {
+      return;
+    }
+
+    try {
+      setIsLoading(true);
+      await deleteMessageStore(account);
+      await unlockMessageStore(account, lockedStorePassword);
+      closeMessageStoreModal();
+    } catch (error) {
+      onError('Failed to start a new message history: ' + error.message);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleSaveResult = (success) => {
+    if (success) {
+      openMessageStore(password);
+      setShowPasswordModal(false);
+      setPassword('');
+      setHasStored(true);
+      alert('Keys saved successfully! Make sure to remember your password.');
+    } else {
+      onError('Failed to save keys to local storage');
+    }
+  };
+
+  const handleSaveKeys = async () => {
     if (!password.trim()) {
       onError('Please enter a password to encrypt your keys');
       return;
     }
     
     try {
-      const success = saveKeyPair(keyPair, password, account);
-      if (success) {
-        setShowPasswordModal(false);
-        setPassword('');
-        setHasStored(true);
-        alert('Keys saved successfully! Make sure to remember your password.');
+      setIsLoading(true);
+      handleSaveResult(await saveKeyPair(keyPair, password, account));
+    } catch (error) {
+      if (error.code === VAULT_ERRORS.CORRUPT_VAULT) {
+        await handleCorruptVaultOnSave(error);
       } else {
-        onError('Failed to save keys to local storage');
+        onError('Failed to save keys: ' + error.message);
       }
-    } catch (error) {
-      onError('Failed to save keys: ' + error.message);
+    } finally {
+      setIsLoading(false);
     }
   };
 
-  const handleLoadKeys = () => {
+  // The keys already saved for the account cannot be read. Saving over them loses
+  // them for good, so it only happens when the user asks for it.
+  const handleCorruptVaultOnSave = async (error) => {
+    const reset = window.confirm(
+      'The keys already saved in this browser cannot be read (' + error.message + '). ' +
+      'Replace them with your current keys? The unreadable keys, and any messages only they can decrypt, will be lost. ' +
+      'Cancel to keep them, and use Export Keys to back up your current keys first.'
+    );
+    if (!reset) {
+      onError('Keys were not saved: the saved key data is corrupted. Restore it from a backup, or export your current keys before replacing it.');
+      return;
+    }
+
+    try {
+      clearStoredKeyPair(account);
+      handleSaveResult(await saveKeyPair(keyPair, password, account));
+    } catch (saveError) {
+      onError('Failed to save keys: ' + saveError.message);
+    }
+  };
+
+  const handleLoadKeys = async () => {
     if (!password.trim()) {
       onError('Please enter your password');
       return;
-    }    try {
-      const loadedKeys = loadKeyPair(password, account);
-      if (loadedKeys && validateKeyPair(loadedKeys)) {
+    }
+
+    try {
+      setIsLoading(true);
+      const loadedKeys = await loadKeyPair(password, account);
+      if (loadedKeys) {
         setKeyPair(loadedKeys);
+        openMessageStore(password);
         setShowPasswordModal(false);
         setPassword('');
         checkRegistrationStatus();
       } else {
-        onError('Invalid password or corrupted key data');
+        onError('No saved keys found for this account');
       }
     } catch (error) {
-      onError('Failed to load keys: ' + error.message);
+      if (error.code === VAULT_ERRORS.WRONG_PASSWORD) {
+        onError('Incorrect password');
+      } else if (error.code === VAULT_ERRORS.CORRUPT_VAULT) {
+        onError('Saved key data is corrupted. Restore your keys from a backup. (' + error.message + ')');
+      } else {
+        onError('Failed to load keys: ' + error.message);
+      }
+    } finally {
+      setIsLoading(false);
     }
   };
 
-  const handleExportKeys = () => {
+  const closeExportModal = () => {
+    setShowExportModal(false);
+    setExportPassphrase('');
+    setExportPassphraseConfirm('');
+  };
+
+  const handleExportKeys = async () => {
+    if (exportPassphrase.length < 8) {
+      onError('Backup passphrase must be at least 8 characters');
+      return;
+    }
+    if (exportPassphrase !== exportPassphraseConfirm) {
+      onError('Backup passphrases do not match');
+      return;
+    }
+
     try {
-      const exported = exportKeyPair(keyPair);
-      setExportData(exported);
-      setShowExportModal(true);
+      setIsLoading(true);
+      const exported = await exportKeyPair(keyPair, exportPassphrase, account);
+      
+      // Save the encrypted backup as a file
+      const blob = new Blob([exported], { type: 'application/json' });
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = getKeyBackupFileName(account);
+      document.body.appendChild(link);
+      link.click();
+      document.body.removeChild(link);
+      URL.revokeObjectURL(url);
+      
+      closeExportModal();
     } catch (error) {
       onError('Failed to export keys: ' + error.message);
+    } finally {
+      setIsLoading(false);
     }
   };
 
-  const handleImportKeys = () => {
+  const closeImportModal = () => {
+    setShowImportModal(false);
+    setImportData('');
+    setImportPassphrase('');
+  };
+
+  const handleImportFile = (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = (event) => setImportData(event.target.result);
+    reader.onerror = () => onError('Failed to read backup file');
+    reader.readAsText(file);
+  };
+
+  const handleImportKeys = async () => {
     try {
-      const imported = importKeyPair(importData);
+      setIsLoading(true);
+      const imported = await importKeyPair(importData, importPassphrase);
       if (validateKeyPair(imported)) {
         setKeyPair(imported);
-        setImportData('');
-        setShowImportModal(false);
+        closeImportModal();
         checkRegistrationStatus();
       } else {
         onError('Invalid key data');
       }
     } catch (error) {
-      onError('Failed to import keys: ' + error.message);
+      if (error.code === VAULT_ERRORS.WRONG_PASSWORD) {
+        onError('Incorrect backup passphrase');
+      } else if (error.code === VAULT_ERRORS.CORRUPT_VAULT) {
+        onError('Backup file is damaged: ' + error.message);
+      } else {
+        onError(error.message);
+      }
+    } finally {
+      setIsLoading(false);
     }
   };
 
   const handleClearKeys = () => {
-    if (window.confirm('Are you sure you want to clear your keys? Make sure you have a backup!')) {
-      clearStoredKeyPair();
+    if (window.confirm('Are you sure you want to clear your keys? Every key in your keyring is removed from this browser, and so is the message history saved here. Make sure you have a backup!')) {
+      clearStoredKeyPair(account);
+      clearSessionStore(account);
+      deleteMessageStore(account);
       setKeyPair(null);
       setHasStored(false);
       setIsRegistered(false);
+      setCurrentKeyRecord(null);
     }
   };
 
-  const copyToClipboard = (text) => {
-    navigator.clipboard.writeText(text).then(() => {
-      alert('Copied to clipboard!');
-    }).catch(() => {
-      onError('Failed to copy to clipboard');
-    });
-  };
+  const passwordModal = (
+    <Modal show={showPasswordModal} onHide={() => setShowPasswordModal(false)}>
+      <Modal.Header closeButton>
+        <Modal.Title>
+          {keyPair ? 'Save Keys' : 'Load Keys'}
+        </Modal.Title>
+      </Modal.Header>
+      <Modal.Body>
+        <Form.Group>
+          <Form.Label>Password</Form.Label>
+          <Form.Control
+            type="password"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            placeholder="Enter password to encrypt/decrypt keys"
+            onKeyPress={(e) => e.key === 'Enter' && (keyPair ? handleSaveKeys() : handleLoadKeys())}
+          />
+        </Form.Group>
+      </Modal.Body>
+      <Modal.Footer>
+        <Button variant="secondary" onClick={() => setShowPasswordModal(false)}>
+          Cancel
+        </Button>
+        <Button 
+          variant="primary" 
+          onClick={keyPair ? handleSaveKeys : handleLoadKeys}
+          disabled={!password.trim() || isLoading}
+        >
+          {isLoading ? 'Working...' : keyPair ? 'Save' : 'Load'}
+        </Button>
+      </Modal.Footer>
+    </Modal>
+  );
+
+  const messageStoreModal = (
+    <Modal show={!!lockedStorePassword} onHide={closeMessageStoreModal}>
+      <Modal.Header closeButton>
+        <Modal.Title>Unlock Message History</Modal.Title>
+      </Modal.Header>
+      <Modal.Body>
+        <Alert variant="info" className="small">
+          The message history saved on this device is locked with the password your keys
+          had before. Enter that password to keep it under your current one. Until then
+          messages are not saved on this device.
+        </Alert>
+        <Form.Group>
+          <Form.Label>Previous Password</Form.Label>
+          <Form.Control
+            type="password"
+            value={previousStorePassword}
+            onChange={(e) => setPreviousStorePassword(e.target.value)}
+            onKeyPress={(e) => e.key === 'Enter' && handleMoveMessageStore()}
+          />
+        </Form.Group>
+      </Modal.Body>
+      <Modal.Footer>
+        <Button variant="outline-danger" className="me-auto" onClick={handleDeleteMessageStore} disabled={isLoading}>
+          Delete History
+        </Button>
+        <Button variant="secondary" onClick={closeMessageStoreModal}>
+          Not Now
+        </Button>
+        <Button
+          variant="primary"
+          onClick={handleMoveMessageStore}
+          disabled={!previousStorePassword || isLoading}
+        >
+          {isLoading ? 'Working...' : 'Unlock'}
+        </Button>
+      </Modal.Footer>
+    </Modal>
+  );
+
+  const phraseModal = (
+    <Modal show={!!recoveryPhrase} onHide={closePhraseModal} backdrop="static">
+      <Modal.Header closeButton>
+        <Modal.Title>
+          {pendingAction === 'rotate' ? 'Write Down Your New Recovery Phrase' : 'Write Down Your Recovery Phrase'}
+        </Modal.Title>
+      </Modal.Header>
+      <Modal.Body>
+        <Alert variant="warning" className="small">
+          <strong>⚠️ This is the only way to restore your keys.</strong> Write these words down in
+          order and keep them offline. Anyone with this phrase can read your messages.
+        </Alert>
+        <ol className="font-monospace row g-1 ps-4">
+          {recoveryPhrase.split(' ').map((word, index) => (
+            <li key={index} className="col-4">{word}</li>
+          ))}
+        </ol>
+        <Form.Check
+          type="checkbox"
+          id="phrase-written-down"
+          className="mb-2"
+          label="I have written down my recovery phrase"
+          checked={phraseWrittenDown}
+          onChange={(e) => setPhraseWrittenDown(e.target.checked)}
+        />
+        <Form.Group>
+          <Form.Label className="small">Enter word #{phraseCheckIndex + 1} to confirm</Form.Label>
+          <Form.Control
+            type="text"
+            size="sm"
+            autoComplete="off"
+            value={phraseCheckWord}
+            onChange={(e) => setPhraseCheckWord(e.target.value)}
+          />
+        </Form.Group>
+      </Modal.Body>
+      <Modal.Footer>
+        <Button variant="secondary" onClick={closePhraseModal}>
+          Cancel
+        </Button>
+        <Button 
+          variant="primary" 
+          onClick={handleConfirmPhrase}
+          disabled={!isPhraseConfirmed()}
+        >
+          {pendingAction === 'rotate' ? 'Rotate Key' : 'Continue'}
+        </Button>
+      </Modal.Footer>
+    </Modal>
+  );
 
   if (keyPair) {
     return (
@@ -159,17 +617,32 @@ const KeyManagement = ({ account, contracts, keyPair, setKeyPair, onError }) =>
           <Badge bg={isRegistered ? "success" : "warning"} className="mb-2">
             {isRegistered ? "Registered" : "Not Registered"}
           </Badge>
+          {registeredKeyMode !== null && (
+            <Badge bg="secondary" className="mb-2 ms-1">
+              {registeredKeyMode === KEY_MODES.WALLET_DERIVED ? 'Wallet-derived key' : 'Random key'}
+            </Badge>
+          )}
+          {currentKeyRecord && (
+            <Badge bg={currentKeyRecord.revokedAt ? "danger" : "info"} className="mb-2 ms-1">
+              Key v{currentKeyRecord.version}{currentKeyRecord.revokedAt ? ' (revoked)' : ''}
+            </Badge>
+          )}
           <div className="small text-muted">
             <strong>Your Address:</strong><br />
             <code className="small">{keyPair.address}</code>
           </div>
+          {getKeyring(keyPair).length > 1 && (
+            <div className="small text-muted mt-1">
+              Keyring holds {getKeyring(keyPair).length} keys; older ones are kept to read earlier messages.
+            </div>
+          )}
         </div>
 
         <div className="d-grid gap-2">
           <Button 
             variant="outline-primary" 
             size="sm" 
-            onClick={handleExportKeys}
+            onClick={() => setShowExportModal(true)}
           >
             Export Keys
           </Button>
@@ -184,6 +657,28 @@ const KeyManagement = ({ account, contracts, keyPair, setKeyPair, onError }) =>
             </Button>
           )}
           
+          {isRegistered && (
+            <Button 
+              variant="outline-warning" 
+              size="sm" 
+              onClick={handleRotateKeys}
+              disabled={isLoading}
+            >
+              Rotate Keys
+            </Button>
+          )}
+          
+          {currentKeyRecord && !currentKeyRecord.revokedAt && (
+            <Button 
+              variant="outline-danger" 
+              size="sm" 
+              onClick={handleRevokeKey}
+              disabled={isLoading}
+            >
+              Revoke Current Key
+            </Button>
+          )}
+          
           <Button 
             variant="outline-danger" 
             size="sm" 
@@ -194,35 +689,51 @@ const KeyManagement = ({ account, contracts, keyPair, setKeyPair, onError }) =>
         </div>
 
         {/* Export Modal */}
-        <Modal show={showExportModal} onHide={() => setShowExportModal(false)}>
+        <Modal show={showExportModal} onHide={closeExportModal}>
           <Modal.Header closeButton>
             <Modal.Title>Export Keys</Modal.Title>
           </Modal.Header>
           <Modal.Body>
             <Alert variant="warning">
-              <strong>⚠️ Keep this safe!</strong> Anyone with this data can read your messages.
+              <strong>⚠️ Keep this safe!</strong> The backup file is encrypted with the passphrase
+              below. Without the passphrase it cannot be restored.
             </Alert>
+            <Form.Group className="mb-2">
+              <Form.Label>Backup Passphrase</Form.Label>
+              <Form.Control
+                type="password"
+                value={exportPassphrase}
+                onChange={(e) => setExportPassphrase(e.target.value)}
+                placeholder="At least 8 characters"
+              />
+            </Form.Group>
             <Form.Group>
-              <Form.Label>Key Data (JSON)</Form.Label>
+              <Form.Label>Confirm Passphrase</Form.Label>
               <Form.Control
-                as="textarea"
-                rows={8}
-                value={exportData}
-                readOnly
-                className="font-monospace small"
+                type="password"
+                value={exportPassphraseConfirm}
+                onChange={(e) => setExportPassphraseConfirm(e.target.value)}
+                onKeyPress={(e) => e.key === 'Enter' && handleExportKeys()}
               />
             </Form.Group>
-            <div className="mt-2">
-              <Button 
-                variant="outline-primary" 
-                size="sm" 
-                onClick={() => copyToClipboard(exportData)}
-              >
-                Copy to Clipboard
-              </Button>
-            </div>
           </Modal.Body>
+          <Modal.Footer>
+            <Button variant="secondary" onClick={closeExportModal}>
+              Cancel
+            </Button>
+            <Button 
+              variant="primary" 
+              onClick={handleExportKeys}
+              disabled={!exportPassphrase || isLoading}
+            >
+              {isLoading ? 'Encrypting...' : 'Download Encrypted Backup'}
+            </Button>
+          </Modal.Footer>
         </Modal>
+
+        {passwordModal}
+        {messageStoreModal}
+        {phraseModal}
       </div>
     );
   }
@@ -231,17 +742,27 @@ const KeyManagement = ({ account, contracts, keyPair, setKeyPair, onError }) =>
     <div>
       <div className="mb-3">
         <Alert variant="info" className="small">
-          Generate or import encryption keys to start messaging.
+          Generate or import encryption keys to start messaging. Random keys come with a
+          recovery phrase; wallet-derived keys are re-created from a signature by this wallet.
         </Alert>
       </div>
 
       <div className="d-grid gap-2">
         <Button
-          onClick={handleGenerateKeys}
+          onClick={() => handleGenerateKeys()}
           disabled={isLoading}
           variant="success"
         >
-          {isLoading ? 'Generating...' : 'Generate New Keys'}
+          {isLoading ? 'Working...' : 'Generate New Keys'}
+        </Button>
+
+        <Button
+          onClick={handleDeriveFromWallet}
+          disabled={isLoading || !contracts?.signer}
+          variant="outline-success"
+          title="Re-creatable on any device that has this wallet"
+        >
+          Derive Keys from Wallet
         </Button>
 
         {hasStored && (
@@ -259,69 +780,102 @@ const KeyManagement = ({ account, contracts, keyPair, setKeyPair, onError }) =>
         >
           Import Keys
         </Button>
+
+        <Button
+          onClick={() => setShowRecoverModal(true)}
+          variant="outline-secondary"
+        >
+          Recover from Phrase
+        </Button>
       </div>
 
-      {/* Password Modal */}
-      <Modal show={showPasswordModal} onHide={() => setShowPasswordModal(false)}>
+      {passwordModal}
+      {messageStoreModal}
+      {phraseModal}
+
+      {/* Recover Modal */}
+      <Modal show={showRecoverModal} onHide={closeRecoverModal}>
         <Modal.Header closeButton>
-          <Modal.Title>
-            {keyPair ? 'Save Keys' : 'Load Keys'}
-          </Modal.Title>
+          <Modal.Title>Recover from Phrase</Modal.Title>
         </Modal.Header>
         <Modal.Body>
           <Form.Group>
-            <Form.Label>Password</Form.Label>
+            <Form.Label>Recovery Phrase</Form.Label>
             <Form.Control
-              type="password"
-              value={password}
-              onChange={(e) => setPassword(e.target.value)}
-              placeholder="Enter password to encrypt/decrypt keys"
-              onKeyPress={(e) => e.key === 'Enter' && (keyPair ? handleSaveKeys() : handleLoadKeys())}
+              as="textarea"
+              rows={3}
+              value={recoverPhraseInput}
+              onChange={(e) => setRecoverPhraseInput(e.target.value)}
+              placeholder="Enter your 12 words separated by spaces"
+              className="font-monospace small"
+              autoComplete="off"
             />
+            <Form.Text className="text-muted">
+              The recovered key is checked against the key registered for {account.slice(0, 8)}...
+            </Form.Text>
           </Form.Group>
         </Modal.Body>
         <Modal.Footer>
-          <Button variant="secondary" onClick={() => setShowPasswordModal(false)}>
+          <Button variant="secondary" onClick={closeRecoverModal}>
             Cancel
           </Button>
           <Button 
             variant="primary" 
-            onClick={keyPair ? handleSaveKeys : handleLoadKeys}
-            disabled={!password.trim()}
+            onClick={handleRecoverKeys}
+            disabled={!recoverPhraseInput.trim() || isLoading}
           >
-            {keyPair ? 'Save' : 'Load'}
+            {isLoading ? 'Recovering...' : 'Recover'}
           </Button>
         </Modal.Footer>
       </Modal>
 
       {/* Import Modal */}
-      <Modal show={showImportModal} onHide={() => setShowImportModal(false)}>
+      <Modal show={showImportModal} onHide={closeImportModal}>
         <Modal.Header closeButton>
           <Modal.Title>Import Keys</Modal.Title>
         </Modal.Header>
         <Modal.Body>
-          <Form.Group>
+          <Form.Group className="mb-2">
+            <Form.Label>Backup File</Form.Label>
+            <Form.Control
+              type="file"
+              accept="application/json,.json"
+              onChange={handleImportFile}
+            />
+          </Form.Group>
+          <Form.Group className="mb-2">
             <Form.Label>Key Data (JSON)</Form.Label>
             <Form.Control
               as="textarea"
-              rows={8}
+              rows={6}
               value={importData}
               onChange={(e) => setImportData(e.target.value)}
-              placeholder="Paste your exported key data here..."
+              placeholder="Choose a backup file or paste its contents here..."
               className="font-monospace small"
             />
           </Form.Group>
+          {isEncryptedKeyBackup(importData) && (
+            <Form.Group>
+              <Form.Label>Backup Passphrase</Form.Label>
+              <Form.Control
+                type="password"
+                value={importPassphrase}
+                onChange={(e) => setImportPassphrase(e.target.value)}
+                onKeyPress={(e) => e.key === 'Enter' && handleImportKeys()}
+              />
+            </Form.Group>
+          )}
         </Modal.Body>
         <Modal.Footer>
-          <Button variant="secondary" onClick={() => setShowImportModal(false)}>
+          <Button variant="secondary" onClick={closeImportModal}>
             Cancel
           </Button>
           <Button 
             variant="primary" 
             onClick={handleImportKeys}
-            disabled={!importData.trim()}
+            disabled={!importData.trim() || isLoading}
           >
-            Import
+            {isLoading ? 'Importing...' : 'Import'}
           </Button>
         </Modal.Footer>
       </Modal>
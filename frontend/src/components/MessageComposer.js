@@ -1,11 +1,28 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import { Card, Form, Button, Alert, ProgressBar } from 'react-bootstrap';
+import { ethers } from 'ethers';
 import { encryptMessage, createMessageHash } from '../utils/crypto';
+import { encryptSessionMessage } from '../utils/sessions';
+import { sealEnvelope } from '../utils/sealed';
+import { encryptGroupMessage } from '../utils/groups';
+import { encryptChannelPost } from '../utils/channels';
 import { uploadToIPFS } from '../utils/ipfs';
-import { anchorMessage, getPublicKey } from '../utils/blockchain';
+import { 
+  anchorMessage, 
+  anchorSealedMessage, 
+  anchorGroupMessage, 
+  postToChannel, 
+  getCurrentSealedEpoch, 
+  getSealedSubmitter, 
+  getCurrentKeyRecord, 
+  getGroup, 
+  getChannel 
+} from '../utils/blockchain';
 
 const MessageComposer = ({ 
   selectedRecipient, 
+  selectedGroup,
+  selectedChannel,
   onSendMessage, 
   contracts, 
   keyPair, 
@@ -20,6 +37,29 @@ const MessageComposer = ({
   const [progress, setProgress] = useState(0);
   const [selectedFile, setSelectedFile] = useState(null);
   const [filePreview, setFilePreview] = useState('');
+  const [sealedSender, setSealedSender] = useState(localStorage.getItem('sealedSender') === 'true');
+  const [sealedSubmitter, setSealedSubmitter] = useState(null);
+
+  const hasTarget = !!(selectedRecipient || selectedGroup || selectedChannel);
+  const isChannelOwner = selectedChannel && account
+    && selectedChannel.owner.toLowerCase() === account.toLowerCase();
+
+  const handleSealedSenderToggle = () => {
+    const newValue = !sealedSender;
+    setSealedSender(newValue);
+    localStorage.setItem('sealedSender', newValue);
+  };
+
+  // Sealed messages are anchored from a separate wallet that has to be funded; show
+  // its address and balance while sealed mode is on
+  useEffect(() => {
+    if (!sealedSender || !contracts || !keyPair || sending) return;
+
+    const submitter = getSealedSubmitter(contracts, keyPair);
+    submitter.getBalance()
+      .then(balance => setSealedSubmitter({ address: submitter.address, balance: ethers.utils.formatEther(balance) }))
+      .catch(error => console.warn('Failed to load sealed-sender wallet balance:', error));
+  }, [sealedSender, contracts, keyPair, sending]);
 
   const handleFileSelect = (e) => {
     const file = e.target.files[0];
@@ -54,7 +94,7 @@ const MessageComposer = ({
       return;
     }
 
-    if (!selectedRecipient) {
+    if (!hasTarget) {
       setError('Please select a recipient');
       return;
     }
@@ -75,10 +115,13 @@ const MessageComposer = ({
     setProgress(0);
 
     try {
-      // Step 1: Get recipient's public key from blockchain
+      // Step 1: Get recipient's public key from blockchain, or the group's members
+      // and epoch or the channel's subscribers (they may have changed since selection)
       setProgress(20);
       console.log('Getting recipient public key...');
-      const recipientPublicKey = await getPublicKey(contracts, selectedRecipient);
+      const group = selectedGroup ? await getGroup(contracts, selectedGroup.id) : null;
+      const channel = selectedChannel ? await getChannel(contracts, selectedChannel.id) : null;
+      const recipientKey = group || channel ? null : await getCurrentKeyRecord(contracts, selectedRecipient);
       
       // Step 2: Prepare message content (text + file)
       let messageContent = message;
@@ -101,14 +144,52 @@ const MessageComposer = ({
         });
       }
       
-      // Step 3: Encrypt the message content
+      // Step 3: Encrypt the message content. Use a forward-secret session when the
+      // recipient has one with us or publishes prekeys; otherwise the static keys.
       setProgress(40);
       console.log('Encrypting message...');
-      const encryptedMessage = encryptMessage(
-        messageContent, 
-        recipientPublicKey, 
-        keyPair.privateKey
-      );
+      const useSealedSender = sealedSender && !group && !channel;
+      let encryptedMessage;
+      if (group) {
+        // Encrypted once under our sender key, shared with the members pairwise
+        encryptedMessage = await encryptGroupMessage(messageContent, { contracts, keyPair, account, group });
+      } else if (channel) {
+        // Encrypted once, with the content key wrapped for every subscriber
+        encryptedMessage = await encryptChannelPost(messageContent, { contracts, keyPair, account, channel });
+      } else {
+        const keyVersions = { fromKeyVersion: keyPair.version, toKeyVersion: recipientKey.version };
+        encryptedMessage = await encryptSessionMessage(messageContent, {
+          contracts,
+          keyPair,
+          account,
+          peer: selectedRecipient,
+          peerIdentityKey: recipientKey.publicKey,
+          // Claiming a one-time prekey is a transaction from our account naming the recipient
+          useOneTimePrekey: !useSealedSender,
+          ...keyVersions
+        }) || await encryptMessage(
+          messageContent, 
+          recipientKey.publicKey, 
+          keyPair.privateKey,
+          { from: account, to: selectedRecipient, ...keyVersions }
+        );
+      }
+      
+      // In sealed mode the envelope, which names both parties, is wrapped again and
+      // anchored under a tag only the recipient can recognise
+      let sealedTag = null;
+      let sealedEpoch = null;
+      if (useSealedSender) {
+        sealedEpoch = await getCurrentSealedEpoch(contracts);
+        const { sealed, tag } = await sealEnvelope(encryptedMessage, {
+          privateKey: keyPair.privateKey,
+          peerPublicKey: recipientKey.publicKey,
+          recipient: selectedRecipient,
+          epoch: sealedEpoch
+        });
+        encryptedMessage = sealed;
+        sealedTag = tag;
+      }
       
       // Step 4: Create message hash for blockchain
       setProgress(50);
@@ -123,7 +204,13 @@ const MessageComposer = ({
       // Step 6: Anchor message on blockchain
       setProgress(90);
       console.log('Anchoring on blockchain...');
-      const tx = await anchorMessage(contracts, selectedRecipient, messageHash, ipfsHash);
+      const tx = group
+        ? await anchorGroupMessage(contracts, group.id, messageHash, ipfsHash)
+        : channel
+        ? await postToChannel(contracts, channel.id, messageHash, ipfsHash)
+        : useSealedSender
+        ? await anchorSealedMessage(contracts, keyPair, sealedTag, sealedEpoch, messageHash, ipfsHash)
+        : await anchorMessage(contracts, selectedRecipient, messageHash, ipfsHash);
       
       // Step 7: Complete
       setProgress(100);
@@ -137,14 +224,17 @@ const MessageComposer = ({
       
       if (onSendMessage) {
         onSendMessage({
-          to: selectedRecipient,
+          to: group || channel ? null : selectedRecipient,
+          group: group ? group.id : null,
+          channel: channel ? channel.id : null,
           content: message,
           file: selectedFile ? { name: selectedFile.name, type: selectedFile.type } : null,
           timestamp: new Date(),
           txHash: tx.hash,
           ipfsHash,
           messageHash,
-          encrypted: true
+          encrypted: true,
+          sealed: useSealedSender
         });
       }
 
@@ -164,6 +254,11 @@ const MessageComposer = ({
       
       if (err.message.includes('User not registered')) {
         errorMessage = 'Recipient has not registered their public key yet';
+      } else if (err.message.includes('Key revoked')) {
+        errorMessage = 'Recipient has revoked their key and not published a new one yet';
+      } else if (err.message.includes('Group membership changed') || err.message.includes('not a member')
+        || err.message.includes('channel owner') || err.message.includes('Sealed-sender wallet')) {
+        errorMessage = err.message;
       } else if (err.message.includes('IPFS')) {
         errorMessage = 'Failed to store message on IPFS. Please try again.';
       } else if (err.message.includes('transaction')) {
@@ -195,6 +290,14 @@ const MessageComposer = ({
     );
   }
 
+  if (selectedChannel && !isChannelOwner) {
+    return (
+      <Alert variant="light" className="text-center">
+        📢 <strong>{selectedChannel.name}</strong> is read-only; only its owner can post
+      </Alert>
+    );
+  }
+
   return (
     <Card>
       <Card.Header>
@@ -213,6 +316,22 @@ const MessageComposer = ({
           </Alert>
         )}
         
+        {selectedGroup && (
+          <div className="mb-3">
+            <small className="text-muted">
+              To: <strong>👥 {selectedGroup.name}</strong> ({selectedGroup.members.length} members)
+            </small>
+          </div>
+        )}
+        
+        {selectedChannel && (
+          <div className="mb-3">
+            <small className="text-muted">
+              To: <strong>📢 {selectedChannel.name}</strong> ({selectedChannel.subscribers.length} subscribers)
+            </small>
+          </div>
+        )}
+        
         {selectedRecipient && (
           <div className="mb-3">
             <small className="text-muted">
@@ -244,7 +363,7 @@ const MessageComposer = ({
               value={message}
               onChange={(e) => setMessage(e.target.value)}
               onKeyPress={handleKeyPress}
-              disabled={!selectedRecipient || sending}
+              disabled={!hasTarget || sending}
             />
             <Form.Text className="text-muted">
               Message will be encrypted end-to-end before sending
@@ -278,11 +397,34 @@ const MessageComposer = ({
             )}
           </Form.Group>
           
+          {!selectedGroup && !selectedChannel && (
+            <Form.Group className="mb-3">
+              <Form.Check
+                type="switch"
+                id="sealed-sender-switch"
+                label="🕶 Sealed sender"
+                checked={sealedSender}
+                onChange={handleSealedSenderToggle}
+                disabled={sending}
+              />
+              <Form.Text className="text-muted">
+                Anchor without sender or recipient addresses, from a separate sealed-sender
+                wallet so the transaction does not name you either.
+                {sealedSender && sealedSubmitter && (
+                  <>
+                    {' '}Wallet <span className="font-monospace">{sealedSubmitter.address}</span> holds
+                    {' '}{sealedSubmitter.balance} ETH. Fund it from an address not linked to yours.
+                  </>
+                )}
+              </Form.Text>
+            </Form.Group>
+          )}
+          
           <div className="d-grid gap-2">
             <Button 
               variant="primary" 
               onClick={handleSend}
-              disabled={!selectedRecipient || (!message.trim() && !selectedFile) || sending}
+              disabled={!hasTarget || (!message.trim() && !selectedFile) || sending}
             >
               {sending ? 'Sending...' : '🔐 Send Encrypted Message'}
             </Button>
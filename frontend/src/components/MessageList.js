@@ -1,15 +1,97 @@
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useState, useEffect, useLayoutEffect, useCallback, useRef } from 'react';
 import { Alert, Card, Badge, Button, Spinner } from 'react-bootstrap';
-import { getUserMessages, getConversationMessages, getPublicKey, listenForNewMessages } from '../utils/blockchain';
+import { 
+  getMessagesPage, 
+  getRegisteredUsers, 
+  resolvePublicKey, 
+  getInboxSync, 
+  listenForSealedMessages,
+  getGroupMessagesPage,
+  listenForGroupMessages,
+  getChannelPostsPage,
+  listenForChannelPosts
+} from '../utils/blockchain';
+import { getConfirmationState, CONFIRMATION_STATUS } from '../utils/syncState';
 import { retrieveFromIPFS } from '../utils/ipfs';
-import { decryptMessage } from '../utils/crypto';
+import { 
+  decryptMessage as decryptEnvelope, 
+  verifyMessageHash, 
+  parseEnvelopeHeader, 
+  findKeyringKey, 
+  getKeyring, 
+  verifyEnvelopeSignature, 
+  SIGNATURE_STATUS 
+} from '../utils/crypto';
+import { isSessionEnvelope, decryptSessionMessage, forgetMessageKey } from '../utils/sessions';
+import { findSealedMessages, loadSealedPeers, createSealedScanner, unsealEnvelope } from '../utils/sealed';
+import { decryptGroupMessage } from '../utils/groups';
+import { decryptChannelPost } from '../utils/channels';
 import { notificationManager } from '../utils/notifications';
+import { getMessageStore, getStoredMessageKey, MESSAGE_STORE_UNLOCKED_EVENT } from '../utils/messageStore';
+import { indexMessages } from '../utils/search';
 
-const MessageList = ({ account, contracts, keyPair, selectedRecipient, onError }) => {
+// Display state of a message just loaded from chain, before decryption
+const withDecryptionState = (message) => ({
+  ...message,
+  content: null,
+  isDecrypted: false,
+  isDecrypting: false,
+  decryptionError: null,
+  integrity: null,
+  signature: null
+});
+
+// Display state of a message read back from the local store, already decrypted
+const withStoredState = (message) => ({
+  ...message,
+  isDecrypted: true,
+  isDecrypting: false,
+  decryptionError: null
+});
+
+// Display state of a message loaded from chain: the stored copy when the local store
+// holds one under the same anchored hash, otherwise waiting to be decrypted
+const withLoadedState = (message, stored) => {
+  return stored && stored.messageHash === message.messageHash
+    ? withStoredState({ ...message, content: stored.content, integrity: stored.integrity, signature: stored.signature })
+    : withDecryptionState(message);
+};
+
+// Record saved in the local store for a decrypted message
+const toStoredMessage = (message, content, signature) => {
+  const { isDecrypted, isDecrypting, decryptionError, ...record } = message;
+  return { ...record, content, integrity: 'verified', signature };
+};
+
+const MessageList = ({
+  account,
+  contracts,
+  keyPair,
+  selectedRecipient,
+  selectedGroup,
+  selectedChannel,
+  focusMessageId,
+  onMessageFocused,
+  onError
+}) => {
+  const selectedGroupId = selectedGroup?.id;
   const [messages, setMessages] = useState([]);
   const [isLoading, setIsLoading] = useState(false);
   const [decryptingIds, setDecryptingIds] = useState(new Set());
-  const [lastUpdate, setLastUpdate] = useState(Date.now());
+  const [olderCursor, setOlderCursor] = useState(null);
+  const [hasOlder, setHasOlder] = useState(false);
+  const [isLoadingOlder, setIsLoadingOlder] = useState(false);
+  const scrollRef = useRef(null);
+  // Distance from the bottom to keep while older messages are prepended
+  const scrollAnchorRef = useRef(null);
+  // Highest open message ID loaded by page; synced messages up to it are already listed
+  const newestLoadedIdRef = useRef(-1);
+  // Chain head from the inbox sync engine, for confirmation counts
+  const [headBlock, setHeadBlock] = useState(-1);
+  // Incoming open messages waiting for SAFE_CONFIRMATIONS before we notify, by ID
+  const pendingNotificationsRef = useRef(new Map());
+  // Message scrolled to from a search result, highlighted for a moment
+  const [highlightedId, setHighlightedId] = useState(null);
 
   // Parse message content to handle files
   const parseMessageContent = (content) => {
@@ -46,38 +128,89 @@ const MessageList = ({ account, contracts, keyPair, selectedRecipient, onError }
     }
   };
 
+  // Contacts whose sealed messages to look for: the open conversation, or everyone
+  const getSealedPeerAddresses = useCallback(async () => {
+    if (selectedRecipient) {
+      return [selectedRecipient];
+    }
+    const users = await getRegisteredUsers(contracts, contracts.provider);
+    return users
+      .map(user => user.address)
+      .filter(address => address.toLowerCase() !== account.toLowerCase());
+  }, [account, contracts, selectedRecipient]);
+
+  // Load one page of the selected view, newest first (see getMessagesPage)
+  const loadPage = useCallback((options) => {
+    if (selectedGroupId) {
+      return getGroupMessagesPage(contracts, selectedGroupId, options);
+    }
+    if (selectedChannel) {
+      return getChannelPostsPage(contracts, selectedChannel, options);
+    }
+    return getMessagesPage(contracts, account, selectedRecipient || null, options);
+  }, [account, contracts, selectedRecipient, selectedGroupId, selectedChannel]);
+
   // Load messages from blockchain and decrypt them
   const loadMessages = useCallback(async () => {
     if (!account || !contracts || !keyPair) return;
 
+    // Whether a stored message belongs in the selected view
+    const isInView = (message) => {
+      if (selectedGroupId) return message.groupId === selectedGroupId;
+      if (selectedChannel) return message.channelId === selectedChannel.id;
+      if (message.groupId || message.channelId) return false;
+      return !selectedRecipient || [message.from, message.to].some(
+        address => address.toLowerCase() === selectedRecipient.toLowerCase()
+      );
+    };
+
     setIsLoading(true);
     try {
-      let blockchainMessages = [];
+      // Render what the local store already holds while the chain is queried
+      const store = await getMessageStore(account);
+      const storedMessages = store ? (await store.getMessages()).filter(isInView) : [];
+      if (storedMessages.length > 0) {
+        setMessages(storedMessages.map(withStoredState));
+      }
       
-      if (selectedRecipient) {
-        // Load conversation messages
-        blockchainMessages = await getConversationMessages(contracts, account, selectedRecipient);
-      } else {
-        // Load all user messages
-        blockchainMessages = await getUserMessages(contracts, account);
+      // Load the newest page of the group, the channel, the conversation or all user
+      // messages; older pages are loaded on scroll
+      const page = await loadPage();
+      let blockchainMessages = page.messages;
+      setOlderCursor(page.cursor);
+      setHasOlder(page.hasMore);
+      newestLoadedIdRef.current = !selectedGroupId && !selectedChannel && page.messages.length > 0
+        ? Number(page.messages[page.messages.length - 1].id)
+        : -1;
+
+      // Sealed messages carry no addresses on chain; find ours by scanning tags
+      if (!selectedGroupId && !selectedChannel) {
+        try {
+          const sealedMessages = await findSealedMessages(contracts, keyPair, account, await getSealedPeerAddresses());
+          blockchainMessages = [...blockchainMessages, ...sealedMessages];
+        } catch (error) {
+          console.warn('Failed to scan for sealed messages:', error);
+        }
       }
 
       console.log('Loaded blockchain messages:', blockchainMessages.length);
 
-      // Process messages and add decryption state
-      const processedMessages = blockchainMessages.map(msg => ({
-        ...msg,
-        content: null,
-        isDecrypted: false,
-        isDecrypting: false,
-        decryptionError: null
-      }));
+      // Process messages and add decryption state. Messages the store holds under the
+      // same anchored hash keep their stored content and are not decrypted again;
+      // stored ones older than the loaded page stay listed.
+      const storedByKey = new Map(storedMessages.map(msg => [getStoredMessageKey(msg), msg]));
+      const processedMessages = blockchainMessages.map(msg => {
+        const key = getStoredMessageKey(msg);
+        const stored = storedByKey.get(key);
+        storedByKey.delete(key);
+        return withLoadedState(msg, stored);
+      });
 
-      setMessages(processedMessages);
+      setMessages([...[...storedByKey.values()].map(withStoredState), ...processedMessages]);
 
       // Start decrypting messages in the background
       processedMessages.forEach(msg => {
-        if (msg.ipfsHash) {
+        if (msg.ipfsHash && !msg.isDecrypted) {
           decryptMessage(msg);
         }
       });
@@ -88,7 +221,99 @@ const MessageList = ({ account, contracts, keyPair, selectedRecipient, onError }
     } finally {
       setIsLoading(false);
     }
-  }, [account, contracts, keyPair, selectedRecipient, onError]);
+  }, [account, contracts, keyPair, selectedRecipient, selectedGroupId, selectedChannel, onError, getSealedPeerAddresses, loadPage]);
+
+  // Load the page before the oldest loaded message and prepend it
+  const loadOlderMessages = async () => {
+    if (!hasOlder || isLoadingOlder) return;
+
+    setIsLoadingOlder(true);
+    try {
+      const page = await loadPage({ before: olderCursor });
+
+      // Like loadMessages, messages already listed or stored under the same anchored
+      // hash keep their content: session keys are dropped once a message is stored,
+      // so decrypting them again would fail
+      const isListed = (message) => messages.some(msg => {
+        return getStoredMessageKey(msg) === getStoredMessageKey(message) && msg.messageHash === message.messageHash;
+      });
+      const store = await getMessageStore(account);
+      const stored = store ? await store.getMessagesByKey(page.messages.map(getStoredMessageKey)) : [];
+      const storedByKey = new Map(stored.map(msg => [getStoredMessageKey(msg), msg]));
+      const olderMessages = page.messages
+        .filter(msg => !isListed(msg))
+        .map(msg => withLoadedState(msg, storedByKey.get(getStoredMessageKey(msg))));
+      const olderKeys = new Set(olderMessages.map(getStoredMessageKey));
+
+      if (scrollRef.current) {
+        scrollAnchorRef.current = scrollRef.current.scrollHeight - scrollRef.current.scrollTop;
+      }
+      setMessages(prev => [...olderMessages, ...prev.filter(msg => !olderKeys.has(getStoredMessageKey(msg)))]);
+      setOlderCursor(page.cursor);
+      setHasOlder(page.hasMore);
+
+      olderMessages.forEach(msg => {
+        if (msg.ipfsHash && !msg.isDecrypted) {
+          decryptMessage(msg);
+        }
+      });
+    } catch (error) {
+      console.error('Failed to load older messages:', error);
+      onError('Failed to load older messages: ' + error.message);
+    } finally {
+      setIsLoadingOlder(false);
+    }
+  };
+
+  // Infinite scroll: fetch older messages when scrolled near the top
+  const handleScroll = (e) => {
+    if (e.currentTarget.scrollTop < 50) {
+      loadOlderMessages();
+    }
+  };
+
+  // Jump to a message picked in search once it is listed
+  useEffect(() => {
+    if (!focusMessageId || !scrollRef.current) return;
+
+    const element = scrollRef.current.querySelector(`[data-message-id="${focusMessageId}"]`);
+    if (!element) return;
+
+    element.scrollIntoView({ block: 'center' });
+    setHighlightedId(focusMessageId);
+    onMessageFocused();
+  }, [focusMessageId, messages, onMessageFocused]);
+
+  useEffect(() => {
+    if (!highlightedId) return;
+    const timeout = setTimeout(() => setHighlightedId(null), 3000);
+    return () => clearTimeout(timeout);
+  }, [highlightedId]);
+
+  // Keep the visible messages in place when older ones are prepended above them
+  useLayoutEffect(() => {
+    if (scrollAnchorRef.current !== null && scrollRef.current) {
+      scrollRef.current.scrollTop = scrollRef.current.scrollHeight - scrollAnchorRef.current;
+      scrollAnchorRef.current = null;
+    }
+  }, [messages]);
+
+  // Save a decrypted message in the local store, if it is unlocked, and index it for
+  // search. Resolves with whether the message was saved.
+  const storeDecryptedMessage = async (message, content, signature) => {
+    try {
+      const store = await getMessageStore(account);
+      if (store) {
+        const record = toStoredMessage(message, content, signature);
+        await store.putMessages([record]);
+        await indexMessages(account, [record]);
+        return true;
+      }
+    } catch (error) {
+      console.warn('Failed to save message to the local store:', error);
+    }
+    return false;
+  };
 
   // Decrypt a single message
   const decryptMessage = async (message) => {
@@ -98,19 +323,112 @@ const MessageList = ({ account, contracts, keyPair, selectedRecipient, onError }
     
     try {
       // Get encrypted message from IPFS
-      const encryptedContent = await retrieveFromIPFS(message.ipfsHash);
-        // Get sender's public key for decryption
-      const senderPublicKey = await getPublicKey(contracts, message.from);
+      const storedContent = await retrieveFromIPFS(message.ipfsHash);
+
+      // Recompute the hash of the fetched blob and compare it with the anchored one
+      // before decrypting; a mismatch means the IPFS content was swapped or altered
+      if (!verifyMessageHash(storedContent, message.messageHash)) {
+        console.warn(`Message ${message.id} content does not match its on-chain hash`);
+        setMessages(prev => prev.map(msg => 
+          msg.id === message.id 
+            ? { ...msg, content: null, isDecrypted: false, isDecrypting: false, decryptionError: null, integrity: 'mismatch' }
+            : msg
+        ));
+        return;
+      }
+
+      // Group messages are encrypted under the author's sender key for the epoch, and
+      // channel posts under a content key wrapped for each subscriber
+      if (message.groupId || message.channelId) {
+        const { content, signature } = message.groupId
+          ? await decryptGroupMessage(storedContent, { contracts, keyPair, account, message })
+          : await decryptChannelPost(storedContent, { contracts, keyPair, account, post: message });
+        setMessages(prev => prev.map(msg => 
+          msg.id === message.id 
+            ? { ...msg, content, isDecrypted: true, isDecrypting: false, integrity: 'verified', signature }
+            : msg
+        ));
+        storeDecryptedMessage(message, content, signature);
+        return;
+      }
+
+      // Sealed messages wrap the envelope in an outer layer keyed to the conversation
+      const encryptedContent = message.sealed
+        ? await unsealEnvelope(storedContent, message)
+        : storedContent;
+
+      // ECDH needs the other party's public key: the recipient's for messages we sent.
+      // Use the key version named in the envelope, or the key that was valid when
+      // the message was anchored, not the latest one.
+      const header = parseEnvelopeHeader(encryptedContent) || {};
+      const isOutgoing = message.from.toLowerCase() === account.toLowerCase();
+      const peerAddress = isOutgoing ? message.to : message.from;
+      const peerPublicKey = await resolvePublicKey(contracts, peerAddress, {
+        version: isOutgoing ? header.toKeyVersion : header.fromKeyVersion,
+        blockNumber: message.blockNumber
+      });
       
-      // Decrypt the message
-      const decryptedContent = decryptMessage(encryptedContent, senderPublicKey, keyPair.privateKey);
+      // Decrypt the message. Session envelopes carry their own key material.
+      let decryptedContent = null;
+      if (isSessionEnvelope(encryptedContent)) {
+        decryptedContent = await decryptSessionMessage(encryptedContent, {
+          keyPair,
+          account,
+          peerIdentityKey: peerPublicKey,
+          expected: { from: message.from, to: message.to }
+        });
+      } else {
+        // Pick our own key from the keyring the same way; if it cannot be resolved,
+        // try every key we hold (AES-GCM rejects the wrong ones)
+        let ownKey = null;
+        try {
+          const ownPublicKey = await resolvePublicKey(contracts, account, {
+            version: isOutgoing ? header.fromKeyVersion : header.toKeyVersion,
+            blockNumber: message.blockNumber
+          });
+          ownKey = findKeyringKey(keyPair, ownPublicKey);
+        } catch (error) {
+          console.warn('Could not resolve own key for message', message.id, error.message);
+        }
+      
+        let lastError = new Error('None of your keys can decrypt this message');
+        for (const key of ownKey ? [ownKey] : getKeyring(keyPair)) {
+          try {
+            decryptedContent = await decryptEnvelope(
+              encryptedContent,
+              peerPublicKey,
+              key.privateKey,
+              { from: message.from, to: message.to }
+            );
+            break;
+          } catch (error) {
+            lastError = error;
+          }
+        }
+        if (decryptedContent === null) {
+          throw lastError;
+        }
+      }
+
+      // The author signs the envelope with their identity key; check it against the
+      // key they had registered for this message
+      const authorPublicKey = isOutgoing
+        ? await resolvePublicKey(contracts, account, { version: header.fromKeyVersion, blockNumber: message.blockNumber })
+        : peerPublicKey;
+      const signature = verifyEnvelopeSignature(encryptedContent, authorPublicKey);
 
       // Update message in state
       setMessages(prev => prev.map(msg => 
         msg.id === message.id 
-          ? { ...msg, content: decryptedContent, isDecrypted: true, isDecrypting: false }
+          ? { ...msg, content: decryptedContent, isDecrypted: true, isDecrypting: false, integrity: 'verified', signature }
           : msg
       ));
+      storeDecryptedMessage(message, decryptedContent, signature).then(stored => {
+        // Stored messages are not decrypted again, so their session key can go
+        if (stored && isSessionEnvelope(encryptedContent)) {
+          return forgetMessageKey(encryptedContent, { keyPair, account });
+        }
+      }).catch(error => console.warn('Failed to drop session message key:', error));
 
     } catch (error) {
       console.error('Failed to decrypt message:', error);
@@ -140,15 +458,17 @@ const MessageList = ({ account, contracts, keyPair, selectedRecipient, onError }
   const retryDecryption = (message) => {
     setMessages(prev => prev.map(msg => 
       msg.id === message.id 
-        ? { ...msg, decryptionError: null, isDecrypting: true }
+        ? { ...msg, decryptionError: null, integrity: null, signature: null, isDecrypting: true }
         : msg
     ));
     decryptMessage(message);
   };
 
-  // Effect to load messages when dependencies change
+  // Effect to load messages when dependencies change, and once the local store is unlocked
   useEffect(() => {
     loadMessages();
+    window.addEventListener(MESSAGE_STORE_UNLOCKED_EVENT, loadMessages);
+    return () => window.removeEventListener(MESSAGE_STORE_UNLOCKED_EVENT, loadMessages);
   }, [loadMessages]);
 
   // Effect to listen for new messages
@@ -157,18 +477,20 @@ const MessageList = ({ account, contracts, keyPair, selectedRecipient, onError }
 
     console.log('Setting up message listener for:', account);
     
-    const cleanup = listenForNewMessages(contracts, account, (newMessage) => {
+    const showNotification = (message) => {
+      const parsed = parseMessageContent(message.content || 'New encrypted message');
+      notificationManager.notifyNewMessage(
+        message.from, 
+        parsed.text || 'File attachment', 
+        parsed.isFileMessage
+      );
+    };
+
+    const handleNewMessage = (newMessage, { notify = true } = {}) => {
       console.log('New message received:', newMessage);
-      setLastUpdate(Date.now());
       
       // Add new message to list
-      const processedMessage = {
-        ...newMessage,
-        content: null,
-        isDecrypted: false,
-        isDecrypting: false,
-        decryptionError: null
-      };
+      const processedMessage = withDecryptionState(newMessage);
       
       setMessages(prev => {
         // Check if message already exists
@@ -183,45 +505,120 @@ const MessageList = ({ account, contracts, keyPair, selectedRecipient, onError }
           decryptMessage(processedMessage);
           
           // Show notification for new message (only if not from current user)
-          if (newMessage.from !== account) {
+          if (notify && newMessage.from.toLowerCase() !== account.toLowerCase()) {
             // Wait for decryption to complete before showing notification
-            setTimeout(() => {
-              const messageContent = processedMessage.content || 'New encrypted message';
-              const parsed = parseMessageContent(messageContent);
-              notificationManager.notifyNewMessage(
-                newMessage.from, 
-                parsed.text || 'File attachment', 
-                parsed.isFileMessage
-              );
-            }, 1000);
+            setTimeout(() => showNotification(processedMessage), 1000);
           }
         }, 100);
       }
+    };
+
+    // The inbox sync engine reports the chain head in every view; in the open view it
+    // also delivers open messages, sent and received. Its first batch after
+    // subscribing is catch-up, listed (when newer than the loaded page) but not
+    // notified. Messages it drops in a reorganization (which it also deletes from the
+    // store) leave the list and are never notified, whichever view is open; incoming
+    // ones are only notified once SAFE_CONFIRMATIONS deep.
+    const isOpenView = !selectedGroupId && !selectedChannel;
+    const peer = selectedRecipient ? selectedRecipient.toLowerCase() : null;
+    const pendingNotifications = pendingNotificationsRef.current;
+    const cleanup = getInboxSync(contracts, account).subscribe((syncedMessages, { catchUp, removed, head }) => {
+      setHeadBlock(head);
+      removed.forEach(id => pendingNotifications.delete(id));
+      if (!isOpenView) return;
+
+      if (removed.length > 0) {
+        const removedIds = new Set(removed);
+        setMessages(prev => prev.filter(msg => !removedIds.has(msg.id)));
+        // Let re-anchored messages back in even if the page had loaded them
+        const lowestRemoved = Math.min(...removed.map(Number));
+        newestLoadedIdRef.current = Math.min(newestLoadedIdRef.current, lowestRemoved - 1);
+      }
+
+      syncedMessages
+        .filter(message => Number(message.id) > newestLoadedIdRef.current)
+        .filter(message => !peer || message.from.toLowerCase() === peer || message.to.toLowerCase() === peer)
+        .forEach(message => {
+          handleNewMessage(message, { notify: false });
+          if (!catchUp && message.from.toLowerCase() !== account.toLowerCase()) {
+            pendingNotifications.set(message.id, message);
+          }
+        });
+
+      pendingNotifications.forEach((message, id) => {
+        if (getConfirmationState(message.blockNumber, head).status !== CONFIRMATION_STATUS.PENDING) {
+          pendingNotifications.delete(id);
+          showNotification(message);
+        }
+      });
     });
 
-    return cleanup;
-  }, [account, contracts, keyPair]);
+    if (selectedGroupId) {
+      const cleanupGroup = listenForGroupMessages(contracts, selectedGroupId, handleNewMessage);
+      return () => {
+        cleanup();
+        cleanupGroup();
+      };
+    }
+    if (selectedChannel) {
+      const cleanupChannel = listenForChannelPosts(contracts, selectedChannel, handleNewMessage);
+      return () => {
+        cleanup();
+        cleanupChannel();
+      };
+    }
+
+    // Every sealed message is announced to everyone; keep the ones whose tag is ours
+    let scan = null;
+    let cancelled = false;
+    getSealedPeerAddresses()
+      .then(addresses => loadSealedPeers(contracts, addresses))
+      .then(peers => {
+        if (!cancelled && keyPair) scan = createSealedScanner(keyPair, account, peers);
+      })
+      .catch(error => console.warn('Failed to set up sealed message listener:', error));
 
-  // Effect to refresh messages periodically
-  useEffect(() => {
-    const interval = setInterval(() => {
-      if (Date.now() - lastUpdate > 30000) { // Refresh every 30 seconds if no recent activity
-        loadMessages();
+    const cleanupSealed = listenForSealedMessages(contracts, (record) => {
+      const match = scan && scan(record);
+      if (match) {
+        handleNewMessage(match);
       }
-    }, 30000);
+    });
 
-    return () => clearInterval(interval);
-  }, [loadMessages, lastUpdate]);
+    return () => {
+      cancelled = true;
+      cleanup();
+      cleanupSealed();
+      pendingNotifications.clear();
+    };
+  }, [account, contracts, keyPair, selectedRecipient, selectedGroupId, selectedChannel, getSealedPeerAddresses]);
 
-  // Listen for manual refresh events
+  // Refresh events (e.g. after sending) run a sync pass right away instead of
+  // waiting for the next block
   useEffect(() => {
+    if (!account || !contracts) return;
+
     const handleRefresh = () => {
-      loadMessages();
+      getInboxSync(contracts, account).sync();
     };
 
     window.addEventListener('messageListRefresh', handleRefresh);
     return () => window.removeEventListener('messageListRefresh', handleRefresh);
-  }, [loadMessages]);
+  }, [account, contracts]);
+
+  // Confirmation depth of a message's anchor, once the sync engine knows the head
+  const renderConfirmations = (message) => {
+    if (headBlock < 0 || message.blockNumber == null) return null;
+
+    const { status, confirmations } = getConfirmationState(message.blockNumber, headBlock);
+    if (status === CONFIRMATION_STATUS.FINAL) {
+      return <div>⛓ Final</div>;
+    }
+    if (status === CONFIRMATION_STATUS.CONFIRMED) {
+      return <div>⛓ {confirmations} confirmations</div>;
+    }
+    return <div>⏳ Pending confirmation</div>;
+  };
 
   if (!keyPair) {
     return (
@@ -245,7 +642,11 @@ const MessageList = ({ account, contracts, keyPair, selectedRecipient, onError }
   if (messages.length === 0) {
     return (
       <Alert variant="light" className="text-center">
-        {selectedRecipient 
+        {selectedGroup
+          ? `No messages in ${selectedGroup.name} yet`
+          : selectedChannel
+          ? `No posts in ${selectedChannel.name} yet`
+          : selectedRecipient 
           ? `No messages with ${selectedRecipient.slice(0, 8)}...${selectedRecipient.slice(-6)}`
           : 'No messages yet. Start a conversation!'
         }
@@ -269,18 +670,30 @@ const MessageList = ({ account, contracts, keyPair, selectedRecipient, onError }
           </Button>
         </div>
       </Card.Header>
-      <Card.Body style={{ maxHeight: '400px', overflowY: 'auto' }}>
+      <Card.Body ref={scrollRef} onScroll={handleScroll} style={{ maxHeight: '400px', overflowY: 'auto' }}>
+        {hasOlder && (
+          <div className="text-center mb-3">
+            {isLoadingOlder ? (
+              <Spinner size="sm" />
+            ) : (
+              <Button variant="link" size="sm" onClick={loadOlderMessages}>
+                Load older messages
+              </Button>
+            )}
+          </div>
+        )}
         <div className="message-list">
           {messages
             .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp))
             .map((message) => (
             <div 
               key={message.id} 
+              data-message-id={message.id}
               className={`message-item p-3 mb-3 rounded ${
                 message.from === account 
                   ? 'bg-primary text-white ms-4' 
                   : 'bg-light me-4'
-              }`}
+              }${message.id === highlightedId ? ' border border-3 border-warning' : ''}`}
             >
               <div className="d-flex justify-content-between align-items-start mb-2">
                 <div className="small">
@@ -341,6 +754,19 @@ const MessageList = ({ account, contracts, keyPair, selectedRecipient, onError }
                     <Spinner size="sm" className="me-2" />
                     <em>Decrypting message...</em>
                   </div>
+                ) : message.integrity === 'mismatch' ? (
+                  <div>
+                    <div className="text-danger small mb-1">
+                      🚫 Content tampered — IPFS content does not match the on-chain hash
+                    </div>
+                    <Button 
+                      variant="outline-light" 
+                      size="sm" 
+                      onClick={() => retryDecryption(message)}
+                    >
+                      Retry
+                    </Button>
+                  </div>
                 ) : message.decryptionError ? (
                   <div>
                     <div className="text-danger small mb-1">
@@ -371,6 +797,21 @@ const MessageList = ({ account, contracts, keyPair, selectedRecipient, onError }
               
               <div className="small mt-2 opacity-75">
                 <div>IPFS: {message.ipfsHash.slice(0, 12)}...</div>
+                {message.integrity === 'verified' && <div>✔ Hash verified on-chain</div>}
+                {message.sealed && <div>🕶 Sealed sender</div>}
+                {message.channelId && <div>📢 Channel post (read-only)</div>}
+                {message.signature && (
+                  <div>
+                    {message.signature === SIGNATURE_STATUS.VERIFIED ? (
+                      <Badge bg="success">✍ Verified sender</Badge>
+                    ) : message.signature === SIGNATURE_STATUS.INVALID ? (
+                      <Badge bg="danger">🚫 Invalid sender signature</Badge>
+                    ) : (
+                      <Badge bg="secondary">Unverified sender (unsigned)</Badge>
+                    )}
+                  </div>
+                )}
+                {renderConfirmations(message)}
                 <div>TX: {message.id}</div>
               </div>
             </div>
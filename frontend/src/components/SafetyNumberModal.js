@@ -0,0 +1,157 @@
+import React, { useState, useEffect } from 'react';
+import { Modal, Button, Form, Alert, Badge } from 'react-bootstrap';
+import { QRCodeSVG } from 'qrcode.react';
+import { getPublicKey } from '../utils/blockchain';
+import {
+  VERIFICATION_STATUS,
+  computeSafetyNumber,
+  compareSafetyNumber,
+  formatSafetyNumber,
+  getVerificationStatus,
+  markContactVerified,
+  clearContactVerification
+} from '../utils/verification';
+
+const SafetyNumberModal = ({ show, onHide, account, contracts, contact, verifiedContacts, onVerifiedChange }) => {
+  const [safetyNumber, setSafetyNumber] = useState(null);
+  const [contactKey, setContactKey] = useState('');
+  const [isLoading, setIsLoading] = useState(false);
+  const [loadError, setLoadError] = useState('');
+  const [comparison, setComparison] = useState('');
+
+  useEffect(() => {
+    if (!show || !contact) return;
+
+    const loadSafetyNumber = async () => {
+      setIsLoading(true);
+      setLoadError('');
+      setSafetyNumber(null);
+      setComparison('');
+      try {
+        // Both sides must use the keys registered on chain, not any locally held copy
+        const [localKey, remoteKey] = await Promise.all([
+          getPublicKey(contracts, account),
+          getPublicKey(contracts, contact)
+        ]);
+        setContactKey(remoteKey);
+        setSafetyNumber(computeSafetyNumber(account, localKey, contact, remoteKey));
+      } catch (error) {
+        console.error('Failed to compute safety number:', error);
+        setLoadError('Both you and this contact need registered keys to compare safety numbers.');
+      } finally {
+        setIsLoading(false);
+      }
+    };
+
+    loadSafetyNumber();
+  }, [show, account, contracts, contact]);
+
+  const status = contact && contactKey
+    ? getVerificationStatus(verifiedContacts, contact, contactKey)
+    : VERIFICATION_STATUS.UNVERIFIED;
+  const comparisonMatches = safetyNumber && comparison.trim()
+    ? compareSafetyNumber(safetyNumber, comparison)
+    : null;
+
+  const handleMarkVerified = () => {
+    onVerifiedChange(markContactVerified(account, contact, contactKey));
+  };
+
+  const handleClearVerification = () => {
+    onVerifiedChange(clearContactVerification(account, contact));
+  };
+
+  return (
+    <Modal show={show} onHide={onHide} centered>
+      <Modal.Header closeButton>
+        <Modal.Title>🔐 Safety Number</Modal.Title>
+      </Modal.Header>
+      <Modal.Body>
+        <div className="small text-muted mb-3">
+          Compare this number with {contact?.slice(0, 8)}...{contact?.slice(-6)} in person or over
+          a channel you trust, or scan each other's QR codes. If it matches, the key you encrypt to
+          is the one your contact controls.
+        </div>
+
+        {status === VERIFICATION_STATUS.KEY_CHANGED && (
+          <Alert variant="warning" className="small">
+            ⚠️ This contact's registered key has changed since you verified it. Compare the new
+            safety number before marking it as verified again.
+          </Alert>
+        )}
+
+        {loadError && <Alert variant="danger" className="small">{loadError}</Alert>}
+
+        {isLoading && (
+          <div className="text-center py-3">
+            <div className="spinner-border spinner-border-sm" role="status">
+              <span className="visually-hidden">Computing safety number...</span>
+            </div>
+          </div>
+        )}
+
+        {safetyNumber && (
+          <>
+            <div className="text-center mb-3">
+              <QRCodeSVG value={safetyNumber.qrPayload} size={180} includeMargin />
+            </div>
+            <div
+              className="font-monospace text-center p-2 bg-light rounded mb-3"
+              style={{ fontSize: '1.1rem', letterSpacing: '0.05em' }}
+            >
+              {formatSafetyNumber(safetyNumber.safetyNumber)}
+            </div>
+
+            <Form.Group className="mb-3">
+              <Form.Label className="small">Compare with your contact's number or scanned code:</Form.Label>
+              <Form.Control
+                size="sm"
+                type="text"
+                placeholder="Paste safety number or QR code contents"
+                value={comparison}
+                onChange={(e) => setComparison(e.target.value)}
+              />
+              {comparisonMatches === true && (
+                <Form.Text className="text-success">✅ Safety numbers match</Form.Text>
+              )}
+              {comparisonMatches === false && (
+                <Form.Text className="text-danger">❌ Safety numbers do not match</Form.Text>
+              )}
+            </Form.Group>
+
+            <div className="small">
+              Status:{' '}
+              {status === VERIFICATION_STATUS.VERIFIED ? (
+                <Badge bg="success">✔ Verified</Badge>
+              ) : status === VERIFICATION_STATUS.KEY_CHANGED ? (
+                <Badge bg="warning" text="dark">Key changed</Badge>
+              ) : (
+                <Badge bg="secondary">Not verified</Badge>
+              )}
+            </div>
+          </>
+        )}
+      </Modal.Body>
+      <Modal.Footer>
+        {status !== VERIFICATION_STATUS.UNVERIFIED && (
+          <Button variant="outline-danger" size="sm" onClick={handleClearVerification}>
+            Clear Verification
+          </Button>
+        )}
+        <Button
+          variant="success"
+          size="sm"
+          onClick={handleMarkVerified}
+          disabled={!safetyNumber || status === VERIFICATION_STATUS.VERIFIED || comparisonMatches === false}
+        >
+          ✔ Mark as Verified
+        </Button>
+        <Button variant="secondary" size="sm" onClick={onHide}>
+          Close
+        </Button>
+      </Modal.Footer>
+    </Modal>
+  );
+};
+
+export default SafetyNumberModal;
@@ -0,0 +1,171 @@
+import React, { useState, useEffect } from 'react';
+import { Modal, Button, Form, Row, Col, ListGroup, Badge, Alert, Spinner } from 'react-bootstrap';
+import { getMessageStore } from '../utils/messageStore';
+import { searchMessages, parseSearchableContent, tokenize, MAX_SEARCH_RESULTS } from '../utils/search';
+
+// Characters of context shown around the first match
+const SNIPPET_CONTEXT = 40;
+
+const shortAddress = (address) => `${address.slice(0, 8)}...${address.slice(-6)}`;
+
+// Text around the first query word, with matching words marked
+const renderSnippet = (message, query) => {
+  const { text, fileName } = parseSearchableContent(message.content);
+  const queryWords = tokenize(query);
+  const lowerText = text.toLowerCase();
+
+  let start = 0;
+  const firstMatch = queryWords
+    .map(word => lowerText.indexOf(word))
+    .filter(index => index >= 0)
+    .sort((a, b) => a - b)[0];
+  if (firstMatch !== undefined) {
+    start = Math.max(firstMatch - SNIPPET_CONTEXT, 0);
+  }
+  const snippet = text.slice(start, start + SNIPPET_CONTEXT * 3);
+
+  return (
+    <>
+      {start > 0 && '…'}
+      {snippet.split(/(\s+)/).map((part, index) => {
+        const isMatch = tokenize(part).some(word => queryWords.some(queryWord => word.startsWith(queryWord)));
+        return isMatch ? <mark key={index}>{part}</mark> : part;
+      })}
+      {start + snippet.length < text.length && '…'}
+      {fileName && <div className="small text-muted">📎 {fileName}</div>}
+    </>
+  );
+};
+
+const SearchModal = ({ show, onHide, account, onOpenResult }) => {
+  const [query, setQuery] = useState('');
+  const [contact, setContact] = useState('');
+  const [since, setSince] = useState('');
+  const [until, setUntil] = useState('');
+  const [hasAttachment, setHasAttachment] = useState(false);
+  const [contacts, setContacts] = useState([]);
+  const [results, setResults] = useState(null);
+  const [isSearching, setIsSearching] = useState(false);
+  const [searchError, setSearchError] = useState('');
+
+  // Offer the contacts saved in the local store as the contact filter
+  useEffect(() => {
+    if (!show || !account) return;
+
+    getMessageStore(account)
+      .then(store => store ? store.getContacts() : [])
+      .then(setContacts)
+      .catch(error => console.warn('Failed to load contacts for search:', error));
+  }, [show, account]);
+
+  const handleSearch = async () => {
+    setIsSearching(true);
+    setSearchError('');
+    try {
+      const found = await searchMessages(account, query, {
+        contact: contact || null,
+        since: since ? new Date(`${since}T00:00:00`) : null,
+        until: until ? new Date(`${until}T23:59:59.999`) : null,
+        hasAttachment
+      });
+      setResults(found);
+    } catch (error) {
+      console.error('Search failed:', error);
+      setSearchError(error.message);
+      setResults(null);
+    } finally {
+      setIsSearching(false);
+    }
+  };
+
+  const describeConversation = (result) => {
+    const { conversation } = result;
+    if (conversation.type === 'group') return `👥 Group #${conversation.groupId}`;
+    if (conversation.type === 'channel') return `📢 Channel #${conversation.channelId}`;
+    return `${result.from.toLowerCase() === account.toLowerCase() ? 'To' : 'From'} ${shortAddress(conversation.peer)}`;
+  };
+
+  return (
+    <Modal show={show} onHide={onHide} size="lg" centered>
+      <Modal.Header closeButton>
+        <Modal.Title>🔎 Search Messages</Modal.Title>
+      </Modal.Header>
+      <Modal.Body>
+        <Form onSubmit={(e) => { e.preventDefault(); handleSearch(); }}>
+          <Form.Control
+            type="search"
+            placeholder="Words in messages or attachment names"
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+            autoFocus
+            className="mb-2"
+          />
+          <Row className="g-2 align-items-end mb-3">
+            <Col md={4}>
+              <Form.Label className="small mb-1">Contact</Form.Label>
+              <Form.Select size="sm" value={contact} onChange={(e) => setContact(e.target.value)}>
+                <option value="">Anyone</option>
+                {contacts
+                  .filter(item => item.address.toLowerCase() !== account.toLowerCase())
+                  .map(item => (
+                    <option key={item.address} value={item.address}>{shortAddress(item.address)}</option>
+                  ))}
+              </Form.Select>
+            </Col>
+            <Col md={3}>
+              <Form.Label className="small mb-1">From</Form.Label>
+              <Form.Control size="sm" type="date" value={since} onChange={(e) => setSince(e.target.value)} />
+            </Col>
+            <Col md={3}>
+              <Form.Label className="small mb-1">To</Form.Label>
+              <Form.Control size="sm" type="date" value={until} onChange={(e) => setUntil(e.target.value)} />
+            </Col>
+            <Col md={2}>
+              <Form.Check
+                type="checkbox"
+                label="📎 Files"
+                checked={hasAttachment}
+                onChange={(e) => setHasAttachment(e.target.checked)}
+              />
+            </Col>
+          </Row>
+          <Button type="submit" variant="primary" size="sm" disabled={isSearching}>
+            {isSearching ? <Spinner size="sm" /> : 'Search'}
+          </Button>
+        </Form>
+
+        {searchError && <Alert variant="warning" className="mt-3 mb-0">{searchError}</Alert>}
+
+        {results && (
+          <div className="mt-3">
+            <div className="small text-muted mb-2">
+              {results.length === 0
+                ? 'No messages found.'
+                : `${results.length}${results.length === MAX_SEARCH_RESULTS ? '+' : ''} messages`}
+            </div>
+            <ListGroup style={{ maxHeight: '350px', overflowY: 'auto' }}>
+              {results.map(result => (
+                <ListGroup.Item key={result.key} action onClick={() => onOpenResult(result)}>
+                  <div className="d-flex justify-content-between small text-muted mb-1">
+                    <span>
+                      {describeConversation(result)}
+                      {result.sealed && <Badge bg="secondary" className="ms-1">Sealed</Badge>}
+                    </span>
+                    <span>{result.timestamp.toLocaleString()}</span>
+                  </div>
+                  <div>{renderSnippet(result, query)}</div>
+                </ListGroup.Item>
+              ))}
+            </ListGroup>
+          </div>
+        )}
+
+        <div className="mt-3 small text-muted">
+          Searches messages decrypted on this device, using an encrypted local index.
+        </div>
+      </Modal.Body>
+    </Modal>
+  );
+};
+
+export default SearchModal;
@@ -1,13 +1,31 @@
 import React, { useState, useEffect, useCallback } from 'react';
 import { ListGroup, Badge, Alert, Button, Card, Form, InputGroup } from 'react-bootstrap';
-import { getRegisteredUsers, isUserRegistered } from '../utils/blockchain';
+import { getRegisteredUsers, isUserRegistered, getPublicKey, getUserGroups, createGroup, getGroup } from '../utils/blockchain';
+import { getMessageStore, MESSAGE_STORE_UNLOCKED_EVENT } from '../utils/messageStore';
+import { VERIFICATION_STATUS, getVerificationStatus } from '../utils/verification';
 
-const UserList = ({ account, contracts, selectedRecipient, onSelectRecipient, onError, userMode }) => {
+const UserList = ({
+  account,
+  contracts,
+  selectedRecipient,
+  onSelectRecipient,
+  selectedGroup,
+  onSelectGroup,
+  onError,
+  userMode,
+  verifiedContacts = {}
+}) => {
   const [users, setUsers] = useState([]);
   const [isLoading, setIsLoading] = useState(false);
   const [customAddress, setCustomAddress] = useState('');
   const [isCheckingAddress, setIsCheckingAddress] = useState(false);
   const [lastUpdate, setLastUpdate] = useState(Date.now());
+  const [verificationStatuses, setVerificationStatuses] = useState({});
+  const [groups, setGroups] = useState([]);
+  const [showCreateGroup, setShowCreateGroup] = useState(false);
+  const [groupName, setGroupName] = useState('');
+  const [groupMembers, setGroupMembers] = useState('');
+  const [isCreatingGroup, setIsCreatingGroup] = useState(false);
 
   // Get other user's address for quick setup
   const getOtherUserAddress = () => {
@@ -22,24 +40,37 @@ const UserList = ({ account, contracts, selectedRecipient, onSelectRecipient, on
   const loadUsers = useCallback(async () => {
     if (!account || !contracts) return;
 
+    // Filter out current user and add additional info
+    const toListedUsers = (registeredUsers) => registeredUsers
+      .filter(user => user.address.toLowerCase() !== account.toLowerCase())
+      .map(user => ({
+        ...user,
+        displayName: `User ${user.address.slice(0, 6)}`,
+        isOnline: Math.random() > 0.5, // Placeholder for online status
+        lastSeen: new Date(Date.now() - Math.random() * 86400000) // Random last seen within 24h
+      }));
+
     setIsLoading(true);
     try {
+      // Show the contacts saved in the local store while the chain is queried
+      const store = await getMessageStore(account);
+      if (store) {
+        const contacts = await store.getContacts();
+        if (contacts.length > 0) {
+          setUsers(toListedUsers(contacts));
+        }
+      }
+
       console.log('Loading registered users...');
       const registeredUsers = await getRegisteredUsers(contracts, contracts.provider);
-      
-      // Filter out current user and add additional info
-      const otherUsers = registeredUsers
-        .filter(user => user.address.toLowerCase() !== account.toLowerCase())
-        .map(user => ({
-          ...user,
-          displayName: `User ${user.address.slice(0, 6)}`,
-          isOnline: Math.random() > 0.5, // Placeholder for online status
-          lastSeen: new Date(Date.now() - Math.random() * 86400000) // Random last seen within 24h
-        }));
+      const otherUsers = toListedUsers(registeredUsers);
       
       console.log('Loaded users:', otherUsers.length);
       setUsers(otherUsers);
       setLastUpdate(Date.now());
+      if (store) {
+        await store.putContacts(registeredUsers);
+      }
     } catch (error) {
       console.error('Failed to load users:', error);
       
@@ -78,6 +109,57 @@ const UserList = ({ account, contracts, selectedRecipient, onSelectRecipient, on
       setIsLoading(false);
     }
   }, [account, contracts]);
+
+  const loadGroups = useCallback(async () => {
+    if (!account || !contracts?.groupRegistry) return;
+
+    try {
+      const userGroups = await getUserGroups(contracts, account);
+      console.log('Loaded groups:', userGroups.length);
+      setGroups(userGroups);
+    } catch (error) {
+      console.error('Failed to load groups:', error);
+    }
+  }, [account, contracts]);
+
+  const handleCreateGroup = async () => {
+    const name = groupName.trim();
+    const members = groupMembers.split(/[\s,]+/).filter(Boolean);
+
+    if (!name) {
+      onError('Please enter a group name');
+      return;
+    }
+    if (members.some(member => !member.match(/^0x[a-fA-F0-9]{40}$/))) {
+      onError('Please enter valid Ethereum addresses, separated by commas');
+      return;
+    }
+
+    setIsCreatingGroup(true);
+    try {
+      const others = members.filter(member => member.toLowerCase() !== account.toLowerCase());
+      const groupId = await createGroup(contracts, name, others);
+      const group = await getGroup(contracts, groupId);
+      console.log('👥 Created group:', group.name);
+
+      setGroups(prev => [...prev, group]);
+      setGroupName('');
+      setGroupMembers('');
+      setShowCreateGroup(false);
+      onSelectGroup(group);
+    } catch (error) {
+      let errorMessage = 'Failed to create group';
+      if (error.message.includes('Member not registered')) {
+        errorMessage = 'Every member must have registered a messaging key';
+      } else if (error.message.includes('Already a group member')) {
+        errorMessage = 'Each member can only be listed once';
+      }
+      onError(errorMessage);
+    } finally {
+      setIsCreatingGroup(false);
+    }
+  };
+
   const addCustomUser = async (address = null) => {
     const targetAddress = address || customAddress.trim();
     
@@ -159,10 +241,46 @@ const UserList = ({ account, contracts, selectedRecipient, onSelectRecipient, on
     });
   };
 
+  // Reload users on start and once the local store is unlocked, which saves them as contacts
   useEffect(() => {
     loadUsers();
+    window.addEventListener(MESSAGE_STORE_UNLOCKED_EVENT, loadUsers);
+    return () => window.removeEventListener(MESSAGE_STORE_UNLOCKED_EVENT, loadUsers);
   }, [loadUsers]);
 
+  // Reload groups on start and whenever membership changes elsewhere in the app
+  useEffect(() => {
+    loadGroups();
+    window.addEventListener('groupListRefresh', loadGroups);
+    return () => window.removeEventListener('groupListRefresh', loadGroups);
+  }, [loadGroups]);
+
+  // Re-check verified contacts against their current keys, which may have been rotated
+  useEffect(() => {
+    let cancelled = false;
+    const checkVerifiedUsers = async () => {
+      const statuses = {};
+      for (const user of users) {
+        if (!verifiedContacts[user.address.toLowerCase()]) continue;
+        let publicKey = null;
+        try {
+          publicKey = await getPublicKey(contracts, user.address);
+        } catch (error) {
+          // Keep the stored flag if the key cannot be fetched
+        }
+        statuses[user.address.toLowerCase()] = getVerificationStatus(verifiedContacts, user.address, publicKey);
+      }
+      if (!cancelled) {
+        setVerificationStatuses(statuses);
+      }
+    };
+
+    checkVerifiedUsers();
+    return () => {
+      cancelled = true;
+    };
+  }, [users, contracts, verifiedContacts]);
+
   // Auto-refresh users every 30 seconds
   useEffect(() => {
     const interval = setInterval(() => {
@@ -180,7 +298,7 @@ const UserList = ({ account, contracts, selectedRecipient, onSelectRecipient, on
         <h5 className="mb-0">👥 Users</h5>
         <div>
           <Badge bg="secondary" className="me-2">{users.length}</Badge>
-          <Button variant="outline-primary" size="sm" onClick={loadUsers}>
+          <Button variant="outline-primary" size="sm" onClick={() => { loadUsers(); loadGroups(); }}>
             🔄
           </Button>
         </div>
@@ -249,6 +367,73 @@ const UserList = ({ account, contracts, selectedRecipient, onSelectRecipient, on
           </InputGroup>
         </div>
 
+        {/* Groups section */}
+        <div className="mb-3">
+          <div className="d-flex justify-content-between align-items-center mb-2">
+            <span className="small"><strong>Groups</strong> <Badge bg="secondary">{groups.length}</Badge></span>
+            <Button
+              variant="outline-primary"
+              size="sm"
+              onClick={() => setShowCreateGroup(!showCreateGroup)}
+              disabled={!contracts?.groupRegistry}
+            >
+              {showCreateGroup ? 'Cancel' : '+ New Group'}
+            </Button>
+          </div>
+
+          {showCreateGroup && (
+            <div className="p-2 mb-2 bg-light rounded">
+              <Form.Control
+                size="sm"
+                type="text"
+                placeholder="Group name"
+                className="mb-2"
+                value={groupName}
+                onChange={(e) => setGroupName(e.target.value)}
+                disabled={isCreatingGroup}
+              />
+              <Form.Control
+                size="sm"
+                as="textarea"
+                rows={2}
+                placeholder="Member addresses, separated by commas"
+                className="mb-2"
+                value={groupMembers}
+                onChange={(e) => setGroupMembers(e.target.value)}
+                disabled={isCreatingGroup}
+              />
+              <Button
+                variant="primary"
+                size="sm"
+                className="w-100"
+                onClick={handleCreateGroup}
+                disabled={isCreatingGroup || !groupName.trim()}
+              >
+                {isCreatingGroup ? 'Creating...' : 'Create Group'}
+              </Button>
+            </div>
+          )}
+
+          {groups.length > 0 && (
+            <ListGroup variant="flush">
+              {groups.map((group) => (
+                <ListGroup.Item
+                  key={group.id}
+                  action
+                  active={selectedGroup?.id === group.id}
+                  onClick={() => onSelectGroup(group)}
+                  className="d-flex justify-content-between align-items-center p-2"
+                >
+                  <div className="small">
+                    <strong>👥 {group.name}</strong>
+                  </div>
+                  <Badge bg="light" text="dark" title="Members">{group.members.length}</Badge>
+                </ListGroup.Item>
+              ))}
+            </ListGroup>
+          )}
+        </div>
+
         {isLoading && (
           <div className="text-center py-3">
             <div className="spinner-border spinner-border-sm" role="status">
@@ -309,6 +494,14 @@ const UserList = ({ account, contracts, selectedRecipient, onSelectRecipient, on
                       {user.isCustomAdded && (
                         <Badge bg="info" size="sm" className="ms-1">Custom</Badge>
                       )}
+                      {verificationStatuses[user.address.toLowerCase()] === VERIFICATION_STATUS.VERIFIED && (
+                        <Badge bg="success" className="ms-1" title="Safety number verified">✔ Verified</Badge>
+                      )}
+                      {verificationStatuses[user.address.toLowerCase()] === VERIFICATION_STATUS.KEY_CHANGED && (
+                        <Badge bg="warning" text="dark" className="ms-1" title="Key changed since verification">
+                          ⚠️ Key changed
+                        </Badge>
+                      )}
                     </div>
                   </div>
                   
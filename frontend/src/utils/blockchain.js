@@ -1,30 +1,118 @@
 import { ethers } from 'ethers';
+import { hkdf } from './crypto';
+import { getMessageStore } from './messageStore';
+import { createSyncState } from './syncState';
 
 // Contract ABIs (we'll update these after compilation)
 const IDENTITY_REGISTRY_ABI = [
-  "function registerKey(bytes memory publicKey) external",
-  "function updateKey(bytes memory newPublicKey) external", 
+  "function registerKey(bytes memory publicKey, uint8 mode, bytes memory proof) external",
+  "function updateKey(bytes memory newPublicKey, uint8 mode, bytes memory proof) external", 
+  "function getKeyProofHash(address user, bytes memory publicKey) external view returns (bytes32)",
+  "function nonces(address user) external view returns (uint256)",
+  "function revokeKey(uint256 version) external",
   "function getKey(address user) external view returns (bytes memory)",
+  "function getKeyMode(address user) external view returns (uint8)",
+  "function getKeyCount(address user) external view returns (uint256)",
+  "function getKeyRecord(address user, uint256 version) external view returns (tuple(bytes publicKey, uint256 version, uint8 mode, uint256 activatedAt, uint256 revokedAt))",
+  "function getKeyAt(address user, uint256 blockNumber) external view returns (tuple(bytes publicKey, uint256 version, uint8 mode, uint256 activatedAt, uint256 revokedAt))",
+  "function isKeyValidAt(address user, uint256 version, uint256 blockNumber) external view returns (bool)",
   "function isRegistered(address user) external view returns (bool)",
   "function getUserRegistrationStatus(address user) external view returns (bool)",
-  "event KeyRegistered(address indexed user, bytes publicKey)",
-  "event KeyUpdated(address indexed user, bytes newPublicKey)"
+  "event KeyRegistered(address indexed user, bytes publicKey, uint8 mode)",
+  "event KeyUpdated(address indexed user, bytes newPublicKey, uint8 mode)",
+  "event KeyRevoked(address indexed user, uint256 version)"
 ];
 
+// Mirrors IdentityRegistry.KeyMode
+export const KEY_MODES = {
+  RANDOM: 0,
+  WALLET_DERIVED: 1
+};
+
 const MESSAGE_ANCHOR_ABI = [
   "function anchorMessage(address to, bytes32 messageHash, string memory ipfsHash) external",
   "function getMessageCount() external view returns (uint256)",
-  "function getMessage(uint256 messageId) external view returns (tuple(address from, address to, bytes32 messageHash, string ipfsHash, uint256 timestamp))",
+  "function getMessage(uint256 messageId) external view returns (tuple(address from, address to, bytes32 messageHash, string ipfsHash, uint256 timestamp, uint256 blockNumber))",
+  "function getMessages(uint256[] memory messageIds) external view returns (tuple(address from, address to, bytes32 messageHash, string ipfsHash, uint256 timestamp, uint256 blockNumber)[])",
   "function getUserMessages(address user) external view returns (uint256[] memory)",
   "function getConversationMessages(address user1, address user2) external view returns (uint256[] memory)",
   "function getRecentMessages(address user, uint256 since) external view returns (uint256[] memory)",
-  "event MessageAnchored(uint256 indexed messageId, address indexed from, address indexed to, bytes32 messageHash, string ipfsHash)"
+  "function getUserMessageCount(address user) external view returns (uint256)",
+  "function getUserMessagesPage(address user, uint256 offset, uint256 limit) external view returns (uint256[] memory)",
+  "function getConversationMessageCount(address user1, address user2) external view returns (uint256)",
+  "function getConversationMessagesPage(address user1, address user2, uint256 offset, uint256 limit) external view returns (uint256[] memory)",
+  "event MessageAnchored(uint256 indexed messageId, address indexed from, address indexed to, bytes32 messageHash, string ipfsHash)",
+  "function anchorSealedMessage(bytes32 tag, uint256 epoch, bytes32 messageHash, string memory ipfsHash) external",
+  "function getCurrentEpoch() external view returns (uint256)",
+  "function getSealedMessageCount() external view returns (uint256)",
+  "function getSealedMessage(uint256 messageId) external view returns (tuple(bytes32 tag, uint256 epoch, bytes32 messageHash, string ipfsHash, uint256 timestamp, uint256 blockNumber))",
+  "function getSealedMessages(uint256[] memory messageIds) external view returns (tuple(bytes32 tag, uint256 epoch, bytes32 messageHash, string ipfsHash, uint256 timestamp, uint256 blockNumber)[] memory)",
+  "function getSealedMessagesByTag(bytes32 tag) external view returns (uint256[] memory)",
+  "event SealedMessageAnchored(uint256 indexed messageId, bytes32 indexed tag, uint256 epoch, bytes32 messageHash, string ipfsHash)",
+  "function createChannel(string memory name) external returns (uint256 channelId)",
+  "function subscribe(uint256 channelId) external",
+  "function unsubscribe(uint256 channelId) external",
+  "function postToChannel(uint256 channelId, bytes32 messageHash, string memory ipfsHash) external",
+  "function getChannelCount() external view returns (uint256)",
+  "function getChannel(uint256 channelId) external view returns (tuple(string name, address owner, uint256 createdAt, uint256 subscriberCount))",
+  "function getChannelSubscribers(uint256 channelId) external view returns (address[] memory)",
+  "function isSubscribed(uint256 channelId, address user) external view returns (bool)",
+  "function getSubscriptions(address user) external view returns (uint256[] memory)",
+  "function getChannelPostCount(uint256 channelId) external view returns (uint256)",
+  "function getChannelPost(uint256 channelId, uint256 postId) external view returns (tuple(bytes32 messageHash, string ipfsHash, uint256 timestamp, uint256 blockNumber))",
+  "function getChannelPostsPage(uint256 channelId, uint256 offset, uint256 limit) external view returns (tuple(bytes32 messageHash, string ipfsHash, uint256 timestamp, uint256 blockNumber)[])",
+  "event ChannelCreated(uint256 indexed channelId, address indexed owner, string name)",
+  "event ChannelSubscribed(uint256 indexed channelId, address indexed subscriber)",
+  "event ChannelUnsubscribed(uint256 indexed channelId, address indexed subscriber)",
+  "event ChannelPostAnchored(uint256 indexed channelId, uint256 indexed postId, bytes32 messageHash, string ipfsHash)"
+];
+
+const PREKEY_REGISTRY_ABI = [
+  "function publishPrekeys(uint256 signedPrekeyId, bytes memory signedPrekey, bytes memory signature, uint256[] memory prekeyIds, bytes[] memory prekeys) external",
+  "function addOneTimePrekeys(uint256[] memory prekeyIds, bytes[] memory prekeys) external",
+  "function claimPrekey(address user) external returns (uint256 id, bytes memory publicKey)",
+  "function getSignedPrekey(address user) external view returns (tuple(uint256 id, bytes publicKey, bytes signature, uint256 keyVersion, uint256 publishedAt))",
+  "function hasPrekeys(address user) external view returns (bool)",
+  "function getOneTimePrekeyCount(address user) external view returns (uint256)",
+  "function LOW_PREKEY_THRESHOLD() external view returns (uint256)",
+  "event SignedPrekeyPublished(address indexed user, uint256 id, uint256 keyVersion)",
+  "event OneTimePrekeysAdded(address indexed user, uint256 count, uint256 available)",
+  "event OneTimePrekeyClaimed(address indexed user, address indexed claimer, uint256 id, bytes publicKey)",
+  "event PrekeyPoolLow(address indexed user, uint256 available)"
+];
+
+const GROUP_REGISTRY_ABI = [
+  "function createGroup(string memory name, address[] memory members) external returns (uint256 groupId)",
+  "function addMembers(uint256 groupId, address[] memory members) external",
+  "function removeMember(uint256 groupId, address member) external",
+  "function leaveGroup(uint256 groupId) external",
+  "function addAdmin(uint256 groupId, address member) external",
+  "function removeAdmin(uint256 groupId, address admin) external",
+  "function publishSenderKey(uint256 groupId, uint256 epoch, bytes32 distributionHash, string memory ipfsHash) external",
+  "function anchorGroupMessage(uint256 groupId, bytes32 messageHash, string memory ipfsHash) external",
+  "function getGroup(uint256 groupId) external view returns (tuple(string name, address creator, uint256 createdAt, uint256 epoch, uint256 memberCount))",
+  "function getMembers(uint256 groupId) external view returns (address[] memory)",
+  "function isMember(uint256 groupId, address user) external view returns (bool)",
+  "function isAdmin(uint256 groupId, address user) external view returns (bool)",
+  "function getUserGroups(address user) external view returns (uint256[] memory)",
+  "function getGroupMessageCount(uint256 groupId) external view returns (uint256)",
+  "function getGroupMessage(uint256 groupId, uint256 messageId) external view returns (tuple(address from, uint256 epoch, bytes32 messageHash, string ipfsHash, uint256 timestamp, uint256 blockNumber))",
+  "function getGroupMessagesPage(uint256 groupId, uint256 offset, uint256 limit) external view returns (tuple(address from, uint256 epoch, bytes32 messageHash, string ipfsHash, uint256 timestamp, uint256 blockNumber)[])",
+  "event GroupCreated(uint256 indexed groupId, address indexed creator, string name)",
+  "event MemberAdded(uint256 indexed groupId, address indexed member, address indexed addedBy, uint256 epoch)",
+  "event MemberRemoved(uint256 indexed groupId, address indexed member, address indexed removedBy, uint256 epoch)",
+  "event AdminAdded(uint256 indexed groupId, address indexed admin)",
+  "event AdminRemoved(uint256 indexed groupId, address indexed admin)",
+  "event SenderKeyPublished(uint256 indexed groupId, address indexed sender, uint256 indexed epoch, bytes32 distributionHash, string ipfsHash)",
+  "event GroupMessageAnchored(uint256 indexed groupId, uint256 indexed messageId, address indexed from, uint256 epoch, bytes32 messageHash, string ipfsHash)"
 ];
 
 // Contract addresses (updated from deployment)
 let CONTRACT_ADDRESSES = {
   identityRegistry: '0xe7f1725E7734CE288F8367e1Bb143E90bb3F0512',
-  messageAnchor: '0x9fE46736679d2D9a65F0992F2272dE9f3c7fa6e0'
+  messageAnchor: '0x9fE46736679d2D9a65F0992F2272dE9f3c7fa6e0',
+  prekeyRegistry: '0xCf7Ed3AccA5a467e9e704C703E8D87F634fB0Fc9',
+  groupRegistry: '0xDc64a140Aa3E981100a9becA4E685f962f0cF6C9'
 };
 
 // Update contract addresses (called after deployment)
@@ -32,6 +120,22 @@ export const updateContractAddresses = (addresses) => {
   CONTRACT_ADDRESSES = { ...addresses };
 };
 
+// Block the MessageAnchor at `address` was deployed in, as deploy.js records it in
+// deployedAddresses.json. That file is read even when every address is already set;
+// a contract it does not describe is synced from the genesis block.
+const getMessageAnchorDeployBlock = (address) => {
+  try {
+    const deployedAddresses = require('../contracts/deployedAddresses.json');
+    if (deployedAddresses.messageAnchor?.toLowerCase() === address.toLowerCase()) {
+      return deployedAddresses.messageAnchorDeployBlock || 0;
+    }
+    console.warn('deployedAddresses.json is for another MessageAnchor, syncing from the genesis block');
+  } catch (error) {
+    console.warn('Could not load the MessageAnchor deployment block from deployedAddresses.json:', error);
+  }
+  return 0;
+};
+
 // Initialize contract instances
 export const initializeContracts = async (userAccount = null) => {
   try {
@@ -75,7 +179,7 @@ export const initializeContracts = async (userAccount = null) => {
     }
 
     // Load contract addresses from deployment file or use defaults
-    if (!CONTRACT_ADDRESSES.identityRegistry || !CONTRACT_ADDRESSES.messageAnchor) {
+    if (!CONTRACT_ADDRESSES.identityRegistry || !CONTRACT_ADDRESSES.messageAnchor || !CONTRACT_ADDRESSES.prekeyRegistry || !CONTRACT_ADDRESSES.groupRegistry) {
       try {
         // Try to import the deployed addresses directly
         const deployedAddresses = require('../contracts/deployedAddresses.json');
@@ -86,7 +190,9 @@ export const initializeContracts = async (userAccount = null) => {
         // Default addresses for common Hardhat deployment
         CONTRACT_ADDRESSES = {
           identityRegistry: '0x5FbDB2315678afecb367f032d93F642f64180aa3',
-          messageAnchor: '0xe7f1725E7734CE288F8367e1Bb143E90bb3F0512'
+          messageAnchor: '0xe7f1725E7734CE288F8367e1Bb143E90bb3F0512',
+          prekeyRegistry: '0x9fE46736679d2D9a65F0992F2272dE9f3c7fa6e0',
+          groupRegistry: '0xCf7Ed3AccA5a467e9e704C703E8D87F634fB0Fc9'
         };
         console.log('Using default contract addresses:', CONTRACT_ADDRESSES);
       }
@@ -97,6 +203,8 @@ export const initializeContracts = async (userAccount = null) => {
     // ADD THESE LOGS BEFORE CREATING CONTRACTS
     console.log('[initializeContracts] Using IdentityRegistry address:', CONTRACT_ADDRESSES.identityRegistry);
     console.log('[initializeContracts] Using MessageAnchor address:', CONTRACT_ADDRESSES.messageAnchor);
+    console.log('[initializeContracts] Using PrekeyRegistry address:', CONTRACT_ADDRESSES.prekeyRegistry);
+    console.log('[initializeContracts] Using GroupRegistry address:', CONTRACT_ADDRESSES.groupRegistry);
 
     const identityRegistry = new ethers.Contract(
       CONTRACT_ADDRESSES.identityRegistry,
@@ -110,9 +218,26 @@ export const initializeContracts = async (userAccount = null) => {
       signer
     );
 
+    const prekeyRegistry = new ethers.Contract(
+      CONTRACT_ADDRESSES.prekeyRegistry,
+      PREKEY_REGISTRY_ABI,
+      signer
+    );
+
+    const groupRegistry = new ethers.Contract(
+      CONTRACT_ADDRESSES.groupRegistry,
+      GROUP_REGISTRY_ABI,
+      signer
+    );
+
     return {
       identityRegistry,
       messageAnchor,
+      prekeyRegistry,
+      groupRegistry,
+      // Block MessageAnchor was deployed in (0 when the deployment did not record it)
+      messageAnchorDeployBlock: CONTRACT_ADDRESSES.messageAnchorDeployBlock
+        ?? getMessageAnchorDeployBlock(CONTRACT_ADDRESSES.messageAnchor),
       provider,
       signer
     };
@@ -122,11 +247,19 @@ export const initializeContracts = async (userAccount = null) => {
   }
 };
 
+// Prove possession of a key pair's private key to IdentityRegistry on behalf of the signer
+const createKeyProof = async (contracts, keyPair) => {
+  const registrant = await contracts.signer.getAddress();
+  const proofHash = await contracts.identityRegistry.getKeyProofHash(registrant, keyPair.publicKey);
+  return new ethers.Wallet(keyPair.privateKey).signMessage(ethers.utils.arrayify(proofHash));
+};
+
 // Register public key on blockchain
-export const registerPublicKey = async (contracts, publicKey) => {
+export const registerPublicKey = async (contracts, keyPair, keyMode = KEY_MODES.RANDOM) => {
   try {
-    const publicKeyBytes = ethers.utils.arrayify(publicKey);
-    const tx = await contracts.identityRegistry.registerKey(publicKeyBytes);
+    const publicKeyBytes = ethers.utils.arrayify(keyPair.publicKey);
+    const proof = await createKeyProof(contracts, keyPair);
+    const tx = await contracts.identityRegistry.registerKey(publicKeyBytes, keyMode, proof);
     await tx.wait();
     return tx;
   } catch (error) {
@@ -135,6 +268,107 @@ export const registerPublicKey = async (contracts, publicKey) => {
   }
 };
 
+// Replace the registered public key with a new one (older keys stay in the history)
+export const rotatePublicKey = async (contracts, keyPair, keyMode = KEY_MODES.RANDOM) => {
+  try {
+    const publicKeyBytes = ethers.utils.arrayify(keyPair.publicKey);
+    const proof = await createKeyProof(contracts, keyPair);
+    const tx = await contracts.identityRegistry.updateKey(publicKeyBytes, keyMode, proof);
+    await tx.wait();
+    return tx;
+  } catch (error) {
+    console.error('Failed to rotate public key:', error);
+    throw error;
+  }
+};
+
+// Revoke one of the signer's key versions (e.g. after a compromise)
+export const revokePublicKey = async (contracts, version) => {
+  try {
+    const tx = await contracts.identityRegistry.revokeKey(version);
+    await tx.wait();
+    return tx;
+  } catch (error) {
+    console.error('Failed to revoke public key:', error);
+    throw error;
+  }
+};
+
+// Convert an IdentityRegistry.KeyRecord into plain values
+const formatKeyRecord = (record) => ({
+  publicKey: ethers.utils.hexlify(record.publicKey),
+  version: record.version.toNumber(),
+  mode: record.mode,
+  activatedAt: record.activatedAt.toNumber(),
+  revokedAt: record.revokedAt.toNumber()
+});
+
+// Get one version (1-based) of a user's key
+export const getKeyRecord = async (contracts, userAddress, version) => {
+  try {
+    const record = await contracts.identityRegistry.getKeyRecord(userAddress, version);
+    return formatKeyRecord(record);
+  } catch (error) {
+    console.error('Failed to get key record:', error);
+    throw error;
+  }
+};
+
+// Get a user's current key record; throws 'Key revoked' like getKey does
+export const getCurrentKeyRecord = async (contracts, userAddress) => {
+  const count = (await contracts.identityRegistry.getKeyCount(userAddress)).toNumber();
+  if (count === 0) {
+    throw new Error('User not registered');
+  }
+  
+  const record = await getKeyRecord(contracts, userAddress, count);
+  if (record.revokedAt !== 0) {
+    throw new Error('Key revoked');
+  }
+  return record;
+};
+
+// Get every key a user has registered, oldest first
+export const getKeyHistory = async (contracts, userAddress) => {
+  try {
+    const count = (await contracts.identityRegistry.getKeyCount(userAddress)).toNumber();
+    const records = [];
+    
+    for (let version = 1; version <= count; version++) {
+      const record = await contracts.identityRegistry.getKeyRecord(userAddress, version);
+      records.push(formatKeyRecord(record));
+    }
+    
+    return records;
+  } catch (error) {
+    console.error('Failed to get key history:', error);
+    throw error;
+  }
+};
+
+// Get the key record that was valid for a user at a given block
+export const getPublicKeyAt = async (contracts, userAddress, blockNumber) => {
+  try {
+    const record = await contracts.identityRegistry.getKeyAt(userAddress, blockNumber);
+    return formatKeyRecord(record);
+  } catch (error) {
+    console.error('Failed to get historical public key:', error);
+    throw error;
+  }
+};
+
+// Find the public key a message was encrypted with: the key version named in the
+// envelope if there is one, else the key valid at the anchoring block
+export const resolvePublicKey = async (contracts, userAddress, { version, blockNumber } = {}) => {
+  if (version) {
+    return (await getKeyRecord(contracts, userAddress, version)).publicKey;
+  }
+  if (blockNumber) {
+    return (await getPublicKeyAt(contracts, userAddress, blockNumber)).publicKey;
+  }
+  return getPublicKey(contracts, userAddress);
+};
+
 // Get public key from blockchain
 export const getPublicKey = async (contracts, userAddress) => {
   try {
@@ -146,6 +380,16 @@ export const getPublicKey = async (contracts, userAddress) => {
   }
 };
 
+// Get the mode (random or wallet-derived) of a user's registered key
+export const getKeyMode = async (contracts, userAddress) => {
+  try {
+    return await contracts.identityRegistry.getKeyMode(userAddress);
+  } catch (error) {
+    console.error('Failed to get key mode:', error);
+    throw error;
+  }
+};
+
 // Check if user is registered
 export const isUserRegistered = async (contracts, userAddress) => {
   try {
@@ -172,6 +416,33 @@ export const anchorMessage = async (contracts, recipientAddress, messageHash, ip
   }
 };
 
+// Number of messages fetched per getMessages call (MessageAnchor.MAX_PAGE_SIZE)
+const MESSAGE_BATCH_SIZE = 100;
+
+const formatMessage = (messageId, message) => ({
+  id: messageId.toString(),
+  from: message.from,
+  to: message.to,
+  messageHash: message.messageHash,
+  ipfsHash: message.ipfsHash,
+  timestamp: new Date(message.timestamp.toNumber() * 1000),
+  blockNumber: message.blockNumber.toNumber()
+});
+
+// Fetch message structs by ID, in the given order. IDs are fetched in chunks with the
+// contract's batch getter, so a conversation takes a few calls whatever its size.
+const getMessagesById = async (contracts, messageIds) => {
+  const chunks = [];
+  for (let i = 0; i < messageIds.length; i += MESSAGE_BATCH_SIZE) {
+    chunks.push(messageIds.slice(i, i + MESSAGE_BATCH_SIZE));
+  }
+  
+  const results = await Promise.all(chunks.map(chunk => contracts.messageAnchor.getMessages(chunk)));
+  return results.flatMap((messages, chunkIndex) => messages.map((message, i) => 
+    formatMessage(chunks[chunkIndex][i], message)
+  ));
+};
+
 // Get messages for user
 export const getUserMessages = async (contracts, userAddress) => {
   // ADD THESE LOGS
@@ -188,19 +459,7 @@ export const getUserMessages = async (contracts, userAddress) => {
   // END OF ADDED LOGS
   try {
     const messageIds = await contracts.messageAnchor.getUserMessages(userAddress);
-    const messages = [];
-    
-    for (const messageId of messageIds) {
-      const message = await contracts.messageAnchor.getMessage(messageId);
-      messages.push({
-        id: messageId.toString(),
-        from: message.from,
-        to: message.to,
-        messageHash: message.messageHash,
-        ipfsHash: message.ipfsHash,
-        timestamp: new Date(message.timestamp.toNumber() * 1000)
-      });
-    }
+    const messages = await getMessagesById(contracts, messageIds);
     
     return messages.sort((a, b) => a.timestamp - b.timestamp);
   } catch (error) {
@@ -213,19 +472,7 @@ export const getUserMessages = async (contracts, userAddress) => {
 export const getConversationMessages = async (contracts, user1Address, user2Address) => {
   try {
     const messageIds = await contracts.messageAnchor.getConversationMessages(user1Address, user2Address);
-    const messages = [];
-    
-    for (const messageId of messageIds) {
-      const message = await contracts.messageAnchor.getMessage(messageId);
-      messages.push({
-        id: messageId.toString(),
-        from: message.from,
-        to: message.to,
-        messageHash: message.messageHash,
-        ipfsHash: message.ipfsHash,
-        timestamp: new Date(message.timestamp.toNumber() * 1000)
-      });
-    }
+    const messages = await getMessagesById(contracts, messageIds);
     
     return messages.sort((a, b) => a.timestamp - b.timestamp);
   } catch (error) {
@@ -234,19 +481,69 @@ export const getConversationMessages = async (contracts, user1Address, user2Addr
   }
 };
 
+// Number of messages loaded per page (MessageAnchor allows up to MAX_PAGE_SIZE)
+export const MESSAGE_PAGE_SIZE = 20;
+
+// Positions [start, end) of the page of `limit` items ending just before `before`,
+// or the newest page without it
+const getPageRange = (total, before, limit) => {
+  const end = before === null ? total : Math.min(before, total);
+  return { start: Math.max(0, end - limit), end };
+};
+
+// Load one page of a user's messages, or of their conversation with `peerAddress`,
+// newest first: without `before` the newest page, otherwise the page ending just
+// before that position. Returns the page oldest first, with the `cursor` to pass as
+// `before` for the next older page and whether there is one.
+export const getMessagesPage = async (
+  contracts,
+  userAddress,
+  peerAddress = null,
+  { before = null, limit = MESSAGE_PAGE_SIZE } = {}
+) => {
+  try {
+    const total = (peerAddress
+      ? await contracts.messageAnchor.getConversationMessageCount(userAddress, peerAddress)
+      : await contracts.messageAnchor.getUserMessageCount(userAddress)
+    ).toNumber();
+    
+    const { start, end } = getPageRange(total, before, limit);
+    const messageIds = end === start ? [] : peerAddress
+      ? await contracts.messageAnchor.getConversationMessagesPage(userAddress, peerAddress, start, end - start)
+      : await contracts.messageAnchor.getUserMessagesPage(userAddress, start, end - start);
+    
+    return {
+      messages: await getMessagesById(contracts, messageIds),
+      cursor: start,
+      hasMore: start > 0,
+      total
+    };
+  } catch (error) {
+    console.error('Failed to get message page:', error);
+    throw error;
+  }
+};
+
+// Time of the block an event was mined in
+const getEventTimestamp = async (event) => {
+  const block = await event.getBlock();
+  return new Date(block.timestamp * 1000);
+};
+
 // Listen for new messages
 export const listenForNewMessages = (contracts, userAddress, callback) => {
   try {
     const filter = contracts.messageAnchor.filters.MessageAnchored(null, null, userAddress);
     
-    contracts.messageAnchor.on(filter, (messageId, from, to, messageHash, ipfsHash, event) => {
+    contracts.messageAnchor.on(filter, async (messageId, from, to, messageHash, ipfsHash, event) => {
       callback({
         id: messageId.toString(),
         from,
         to,
         messageHash,
         ipfsHash,
-        timestamp: new Date(),
+        timestamp: await getEventTimestamp(event),
+        blockNumber: event.blockNumber,
         transactionHash: event.transactionHash
       });
     });
@@ -260,6 +557,798 @@ export const listenForNewMessages = (contracts, userAddress, callback) => {
   }
 };
 
+// Inbox sync engine. It keeps every MessageAnchored event sent or received by an
+// account, and stores the last block it has synced in the account's local message
+// store once that is unlocked (see messageStore.js) and in localStorage until then.
+// When the first subscriber arrives it backfills from that block (or, the first time,
+// from the block MessageAnchor was deployed in) to the chain head, then follows new
+// blocks; subscribers get each batch of new messages instead of polling.
+//
+// Blocks near the head can still be replaced by a reorganization. The engine keeps
+// the hashes of the recent blocks it synced up to, and before every pass checks the
+// newest one against the chain. If it was replaced, the engine walks back to the
+// newest block that still matches, drops the messages anchored after it and syncs
+// again from there; subscribers get the dropped IDs. Those rules live in
+// syncState.js; the engine feeds them blocks and events.
+const INBOX_STORAGE_PREFIX = 'blockchain_messenger_inbox_';
+
+// Blocks covered by one log query while backfilling
+const SYNC_BLOCK_RANGE = 5000;
+
+// Sync engines by contracts object and account
+const inboxSyncs = new WeakMap();
+
+const createInboxSync = (contracts, account) => {
+  const { messageAnchor, provider } = contracts;
+  // Nothing was anchored before the contract existed, so a fresh cursor starts there
+  const startBlock = contracts.messageAnchorDeployBlock || 0;
+  const storageKey = `${INBOX_STORAGE_PREFIX}${messageAnchor.address.toLowerCase()}_${account.toLowerCase()}`;
+  const cursorName = `inbox_${messageAnchor.address.toLowerCase()}`;
+  const state = createSyncState(startBlock);
+  const blocks = new Map();
+  const listeners = new Set();
+  let head = -1;
+  let caughtUp = false;
+  let queue = Promise.resolve([]);
+
+  // Read back the messages synced up to `blockNumber` from MessageAnchor's index of
+  // the account, oldest first, one page of IDs and one batch of messages per call
+  const loadSyncedMessages = async (blockNumber) => {
+    const synced = [];
+    const total = (await messageAnchor.getUserMessageCount(account)).toNumber();
+    for (let start = 0; start < total; start += MESSAGE_BATCH_SIZE) {
+      const messageIds = await messageAnchor.getUserMessagesPage(account, start, Math.min(MESSAGE_BATCH_SIZE, total - start));
+      const page = await getMessagesById(contracts, messageIds);
+      synced.push(...page.filter(message => message.blockNumber <= blockNumber));
+      // The index is in anchoring order, so the rest is newer still
+      if (page.some(message => message.blockNumber > blockNumber)) break;
+    }
+    return synced;
+  };
+
+  // Only the cursor is stored; the messages synced up to it are read back
+  const load = async () => {
+    try {
+      const store = await getMessageStore(account);
+      const stored = (store && await store.getCursor(cursorName)) || JSON.parse(localStorage.getItem(storageKey));
+      if (!stored) return;
+
+      state.restore(stored, await loadSyncedMessages(stored.lastSyncedBlock));
+    } catch (error) {
+      console.warn('Discarding unreadable inbox sync state:', error);
+    }
+  };
+
+  const save = async () => {
+    const cursor = state.getCursor();
+    const store = await getMessageStore(account);
+    if (store) {
+      await store.putCursor(cursorName, cursor);
+      localStorage.removeItem(storageKey);
+    } else {
+      localStorage.setItem(storageKey, JSON.stringify(cursor));
+    }
+  };
+
+  // Block header fields we need, cached until a reorganization drops the block
+  const getBlock = async (blockNumber) => {
+    if (!blocks.has(blockNumber)) {
+      const block = await provider.getBlock(blockNumber);
+      if (!block) return null;
+      blocks.set(blockNumber, { hash: block.hash, timestamp: new Date(block.timestamp * 1000) });
+    }
+    return blocks.get(blockNumber);
+  };
+
+  // Hash of a block as the chain has it now, for checking checkpoints
+  const getCurrentBlockHash = async (blockNumber) => {
+    blocks.delete(blockNumber);
+    const block = await getBlock(blockNumber);
+    return block ? block.hash : null;
+  };
+
+  // Roll back past replaced blocks (see createSyncState), dropping the decrypted
+  // copies of dropped messages from the local store too: their IDs are reused by
+  // whatever replaces them. Returns the dropped IDs.
+  const checkForReorg = async () => {
+    const { removed, rolledBackTo } = await state.checkForReorg(head, getCurrentBlockHash);
+    if (rolledBackTo === null) return removed;
+
+    [...blocks.keys()].filter(number => number > rolledBackTo).forEach(number => blocks.delete(number));
+    if (rolledBackTo < startBlock) {
+      console.warn('Synced blocks are no longer in the chain, syncing the inbox from scratch');
+      caughtUp = false;
+    }
+
+    const store = await getMessageStore(account);
+    if (store) await store.deleteMessages(removed);
+    return removed;
+  };
+
+  // Messages anchored in a block range, sent or received (two filters, since topics
+  // in different positions cannot be OR-ed), leaving out ones already synced. Returns
+  // null when the node cannot serve one of the blocks yet.
+  const fetchRange = async (fromBlock, toBlock) => {
+    const [sent, received] = await Promise.all([
+      messageAnchor.queryFilter(messageAnchor.filters.MessageAnchored(null, account), fromBlock, toBlock),
+      messageAnchor.queryFilter(messageAnchor.filters.MessageAnchored(null, null, account), fromBlock, toBlock)
+    ]);
+    
+    const added = [];
+    for (const event of [...sent, ...received]) {
+      const [messageId, from, to, messageHash, ipfsHash] = event.args;
+      const id = messageId.toString();
+      if (state.messages.has(id) || added.some(message => message.id === id)) continue;
+      
+      const block = await getBlock(event.blockNumber);
+      if (!block) return null;
+      added.push({
+        id,
+        from,
+        to,
+        messageHash,
+        ipfsHash,
+        timestamp: block.timestamp,
+        blockNumber: event.blockNumber,
+        blockHash: event.blockHash,
+        transactionHash: event.transactionHash
+      });
+    }
+    return added.sort((a, b) => Number(a.id) - Number(b.id));
+  };
+
+  // One pass: undo replaced blocks, then sync from the block after the cursor up to
+  // the chain head
+  const runSync = async () => {
+    const previousHead = head;
+    // getBlockNumber never goes backwards, even when the chain does; the latest block does
+    head = (await provider.getBlock('latest')).number;
+    
+    const removed = await checkForReorg();
+    if (removed.length > 0) {
+      console.warn(`⛓ Chain reorganized, dropped ${removed.length} messages after block ${state.getLastSyncedBlock()}`);
+    }
+    
+    const added = [];
+    for (let fromBlock = state.getLastSyncedBlock() + 1; fromBlock <= head; fromBlock += SYNC_BLOCK_RANGE) {
+      const toBlock = Math.min(fromBlock + SYNC_BLOCK_RANGE - 1, head);
+      const checkpoint = await getBlock(toBlock);
+      const range = checkpoint && await fetchRange(fromBlock, toBlock);
+      if (!range) {
+        // The cursor stays put, so the next pass fetches the range again
+        console.warn(`Blocks ${fromBlock}-${toBlock} are not available yet, retrying on the next block`);
+        break;
+      }
+      state.advance(toBlock, checkpoint.hash, range);
+      added.push(...range);
+    }
+    
+    const finalBlock = await state.keepFinalCheckpoint(head, async (blockNumber) => {
+      const block = await getBlock(blockNumber);
+      return block ? block.hash : null;
+    });
+    [...blocks.keys()].filter(number => number < finalBlock).forEach(number => blocks.delete(number));
+    await save();
+    
+    // The first pass after starting catches up on history rather than delivering news
+    const catchUp = !caughtUp;
+    caughtUp = true;
+    if (added.length > 0) {
+      console.log(`📥 Synced ${added.length} messages up to block ${state.getLastSyncedBlock()}`);
+    }
+    if (added.length > 0 || removed.length > 0 || head !== previousHead) {
+      listeners.forEach(listener => listener(added, { catchUp, removed, head }));
+    }
+    return added;
+  };
+
+  // Passes run one at a time, in the order requested
+  const sync = () => {
+    queue = queue.then(runSync).catch(error => {
+      console.error('Failed to sync inbox:', error);
+      return [];
+    });
+    return queue;
+  };
+
+  const onBlock = () => sync();
+
+  // Stored state is read before the first pass
+  queue = queue.then(load);
+
+  return {
+    sync,
+
+    // Get the synced messages, oldest first; only those with `peerAddress` if given
+    getMessages: (peerAddress = null) => {
+      const peer = peerAddress?.toLowerCase();
+      return [...state.messages.values()]
+        .filter(message => !peer || message.from.toLowerCase() === peer || message.to.toLowerCase() === peer)
+        .sort((a, b) => Number(a.id) - Number(b.id));
+    },
+
+    getLastSyncedBlock: state.getLastSyncedBlock,
+
+    // Chain head as of the last pass (-1 before the first one)
+    getHead: () => head,
+
+    // Call `listener(messages, { catchUp, removed, head })` after every pass that
+    // synced new messages, dropped reorganized ones (their IDs in `removed`) or saw
+    // a new head. Syncing starts with the first subscriber and stops after the last
+    // one leaves.
+    subscribe: (listener) => {
+      listeners.add(listener);
+      if (listeners.size === 1) {
+        caughtUp = false;
+        provider.on('block', onBlock);
+        sync();
+      }
+      return () => {
+        listeners.delete(listener);
+        if (listeners.size === 0) {
+          provider.off('block', onBlock);
+        }
+      };
+    }
+  };
+};
+
+// Get the inbox sync engine of an account (one per contracts object and account)
+export const getInboxSync = (contracts, account) => {
+  if (!inboxSyncs.has(contracts)) {
+    inboxSyncs.set(contracts, new Map());
+  }
+  const syncs = inboxSyncs.get(contracts);
+  const key = account.toLowerCase();
+  if (!syncs.has(key)) {
+    syncs.set(key, createInboxSync(contracts, account));
+  }
+  return syncs.get(key);
+};
+
+// Get the current sealed-tag epoch (from chain time, which the contract checks)
+export const getCurrentSealedEpoch = async (contracts) => {
+  return (await contracts.messageAnchor.getCurrentEpoch()).toNumber();
+};
+
+const SEALED_SUBMITTER_INFO = 'blockchain-messenger/v1/sealed-submitter';
+
+// Sealed messages are submitted from a separate wallet, so the transaction does not
+// name the sender either. Its key is derived from the unlocked identity key, so it is
+// never stored on its own and the same keys give the same wallet on any device; a
+// rotated key gets a new one. It only pays gas and has to be funded from an address
+// not linked to the account; funding it from the account itself links the two again.
+// All of an account's sealed messages share the one submitter.
+export const getSealedSubmitter = (contracts, keyPair) => {
+  const privateKey = hkdf(keyPair.privateKey, ethers.constants.HashZero, SEALED_SUBMITTER_INFO);
+  return new ethers.Wallet(privateKey, contracts.messageAnchor.provider);
+};
+
+// Anchor a sealed message, which records no sender or recipient, from the
+// sealed-sender wallet of `keyPair` (see getSealedSubmitter)
+export const anchorSealedMessage = async (contracts, keyPair, tag, epoch, messageHash, ipfsHash) => {
+  try {
+    const submitter = getSealedSubmitter(contracts, keyPair);
+    if ((await submitter.getBalance()).isZero()) {
+      throw new Error(`Sealed-sender wallet ${submitter.address} has no funds for gas`);
+    }
+
+    const tx = await contracts.messageAnchor.connect(submitter).anchorSealedMessage(tag, epoch, messageHash, ipfsHash);
+    await tx.wait();
+    return tx;
+  } catch (error) {
+    console.error('Failed to anchor sealed message:', error);
+    throw error;
+  }
+};
+
+const formatSealedMessageEvent = (messageId, tag, epoch, messageHash, ipfsHash, event) => ({
+  id: messageId.toString(),
+  tag,
+  epoch: epoch.toNumber(),
+  messageHash,
+  ipfsHash,
+  blockNumber: event.blockNumber
+});
+
+// Get every sealed message anchored since `fromBlock` (by default since MessageAnchor
+// was deployed), one SYNC_BLOCK_RANGE of logs per query; the caller picks out its own by tag
+export const getSealedMessageEvents = async (contracts, fromBlock = contracts.messageAnchorDeployBlock || 0) => {
+  try {
+    const { messageAnchor, provider } = contracts;
+    const filter = messageAnchor.filters.SealedMessageAnchored();
+    const head = await provider.getBlockNumber();
+    
+    const records = [];
+    for (let start = fromBlock; start <= head; start += SYNC_BLOCK_RANGE) {
+      const events = await messageAnchor.queryFilter(filter, start, Math.min(start + SYNC_BLOCK_RANGE - 1, head));
+      records.push(...events.map(event => formatSealedMessageEvent(...event.args, event)));
+    }
+    return records;
+  } catch (error) {
+    console.error('Failed to get sealed messages:', error);
+    throw error;
+  }
+};
+
+const formatSealedMessage = (messageId, message) => ({
+  id: messageId.toString(),
+  tag: message.tag,
+  epoch: message.epoch.toNumber(),
+  messageHash: message.messageHash,
+  ipfsHash: message.ipfsHash,
+  timestamp: new Date(message.timestamp.toNumber() * 1000),
+  blockNumber: message.blockNumber.toNumber()
+});
+
+// Get a sealed message by ID
+export const getSealedMessage = async (contracts, messageId) => {
+  try {
+    return formatSealedMessage(messageId, await contracts.messageAnchor.getSealedMessage(messageId));
+  } catch (error) {
+    console.error('Failed to get sealed message:', error);
+    throw error;
+  }
+};
+
+// Get sealed messages by ID, in the given order, in chunks like getMessagesById
+export const getSealedMessagesById = async (contracts, messageIds) => {
+  try {
+    const chunks = [];
+    for (let i = 0; i < messageIds.length; i += MESSAGE_BATCH_SIZE) {
+      chunks.push(messageIds.slice(i, i + MESSAGE_BATCH_SIZE));
+    }
+    
+    const results = await Promise.all(chunks.map(chunk => contracts.messageAnchor.getSealedMessages(chunk)));
+    return results.flatMap((messages, chunkIndex) => messages.map((message, i) =>
+      formatSealedMessage(chunks[chunkIndex][i], message)
+    ));
+  } catch (error) {
+    console.error('Failed to get sealed messages:', error);
+    throw error;
+  }
+};
+
+// Listen for sealed messages from anyone; the callback gets every one of them
+export const listenForSealedMessages = (contracts, callback) => {
+  try {
+    const filter = contracts.messageAnchor.filters.SealedMessageAnchored();
+    
+    contracts.messageAnchor.on(filter, async (...args) => {
+      const event = args[args.length - 1];
+      callback({
+        ...formatSealedMessageEvent(...args),
+        timestamp: await getEventTimestamp(event),
+        transactionHash: event.transactionHash
+      });
+    });
+    
+    return () => {
+      contracts.messageAnchor.removeAllListeners(filter);
+    };
+  } catch (error) {
+    console.error('Failed to listen for sealed messages:', error);
+    return () => {};
+  }
+};
+
+// Create a broadcast channel owned by the current account; returns its ID
+export const createChannel = async (contracts, name) => {
+  try {
+    const tx = await contracts.messageAnchor.createChannel(name);
+    const receipt = await tx.wait();
+    const created = receipt.events?.find(event => event.event === 'ChannelCreated');
+    return created.args.channelId.toString();
+  } catch (error) {
+    console.error('Failed to create channel:', error);
+    throw error;
+  }
+};
+
+export const subscribeToChannel = async (contracts, channelId) => {
+  try {
+    const tx = await contracts.messageAnchor.subscribe(channelId);
+    await tx.wait();
+    return tx;
+  } catch (error) {
+    console.error('Failed to subscribe to channel:', error);
+    throw error;
+  }
+};
+
+export const unsubscribeFromChannel = async (contracts, channelId) => {
+  try {
+    const tx = await contracts.messageAnchor.unsubscribe(channelId);
+    await tx.wait();
+    return tx;
+  } catch (error) {
+    console.error('Failed to unsubscribe from channel:', error);
+    throw error;
+  }
+};
+
+// Get a channel with its subscribers
+export const getChannel = async (contracts, channelId) => {
+  try {
+    const channel = await contracts.messageAnchor.getChannel(channelId);
+    const subscribers = await contracts.messageAnchor.getChannelSubscribers(channelId);
+    
+    return {
+      id: channelId.toString(),
+      name: channel.name,
+      owner: channel.owner,
+      createdAt: new Date(channel.createdAt.toNumber() * 1000),
+      subscribers
+    };
+  } catch (error) {
+    console.error('Failed to get channel:', error);
+    throw error;
+  }
+};
+
+// Get every channel (for browsing and subscribing)
+export const getChannels = async (contracts) => {
+  try {
+    const count = (await contracts.messageAnchor.getChannelCount()).toNumber();
+    const channels = [];
+    
+    for (let channelId = 0; channelId < count; channelId++) {
+      channels.push(await getChannel(contracts, channelId));
+    }
+    
+    return channels;
+  } catch (error) {
+    console.error('Failed to get channels:', error);
+    throw error;
+  }
+};
+
+// Anchor a channel post (owner only)
+export const postToChannel = async (contracts, channelId, messageHash, ipfsHash) => {
+  try {
+    const tx = await contracts.messageAnchor.postToChannel(channelId, messageHash, ipfsHash);
+    await tx.wait();
+    return tx;
+  } catch (error) {
+    console.error('Failed to post to channel:', error);
+    throw error;
+  }
+};
+
+// Load one page of a channel's posts, newest first, in one call; the options and
+// result are those of getMessagesPage. Posts carry the owner as `from` for display.
+export const getChannelPostsPage = async (contracts, channel, { before = null, limit = MESSAGE_PAGE_SIZE } = {}) => {
+  try {
+    const total = (await contracts.messageAnchor.getChannelPostCount(channel.id)).toNumber();
+    const { start, end } = getPageRange(total, before, limit);
+    const page = end === start ? [] : await contracts.messageAnchor.getChannelPostsPage(channel.id, start, end - start);
+    
+    return {
+      messages: page.map((post, i) => ({
+        id: (start + i).toString(),
+        channelId: channel.id,
+        from: channel.owner,
+        messageHash: post.messageHash,
+        ipfsHash: post.ipfsHash,
+        timestamp: new Date(post.timestamp.toNumber() * 1000),
+        blockNumber: post.blockNumber.toNumber()
+      })),
+      cursor: start,
+      hasMore: start > 0,
+      total
+    };
+  } catch (error) {
+    console.error('Failed to get channel posts:', error);
+    throw error;
+  }
+};
+
+// Listen for new posts in a channel
+export const listenForChannelPosts = (contracts, channel, callback) => {
+  try {
+    const filter = contracts.messageAnchor.filters.ChannelPostAnchored(channel.id);
+    
+    contracts.messageAnchor.on(filter, async (channelId, postId, messageHash, ipfsHash, event) => {
+      callback({
+        id: postId.toString(),
+        channelId: channelId.toString(),
+        from: channel.owner,
+        messageHash,
+        ipfsHash,
+        timestamp: await getEventTimestamp(event),
+        blockNumber: event.blockNumber,
+        transactionHash: event.transactionHash
+      });
+    });
+    
+    return () => {
+      contracts.messageAnchor.removeAllListeners(filter);
+    };
+  } catch (error) {
+    console.error('Failed to listen for channel posts:', error);
+    return () => {};
+  }
+};
+
+// Publish a signed prekey and replace the one-time prekey pool
+export const publishPrekeys = async (contracts, signedPrekey, oneTimePrekeys) => {
+  try {
+    const tx = await contracts.prekeyRegistry.publishPrekeys(
+      signedPrekey.id,
+      signedPrekey.publicKey,
+      signedPrekey.signature,
+      oneTimePrekeys.map(prekey => prekey.id),
+      oneTimePrekeys.map(prekey => prekey.publicKey)
+    );
+    await tx.wait();
+    return tx;
+  } catch (error) {
+    console.error('Failed to publish prekeys:', error);
+    throw error;
+  }
+};
+
+// Add one-time prekeys to the signer's pool
+export const addOneTimePrekeys = async (contracts, oneTimePrekeys) => {
+  try {
+    const tx = await contracts.prekeyRegistry.addOneTimePrekeys(
+      oneTimePrekeys.map(prekey => prekey.id),
+      oneTimePrekeys.map(prekey => prekey.publicKey)
+    );
+    await tx.wait();
+    return tx;
+  } catch (error) {
+    console.error('Failed to add one-time prekeys:', error);
+    throw error;
+  }
+};
+
+// Get a user's published signed prekey and one-time prekey count (null if none)
+export const getPrekeyBundleInfo = async (contracts, userAddress) => {
+  try {
+    if (!(await contracts.prekeyRegistry.hasPrekeys(userAddress))) {
+      return null;
+    }
+    
+    const record = await contracts.prekeyRegistry.getSignedPrekey(userAddress);
+    const oneTimePrekeyCount = await contracts.prekeyRegistry.getOneTimePrekeyCount(userAddress);
+    return {
+      signedPrekey: {
+        id: record.id.toNumber(),
+        publicKey: ethers.utils.hexlify(record.publicKey),
+        signature: ethers.utils.hexlify(record.signature)
+      },
+      keyVersion: record.keyVersion.toNumber(),
+      publishedAt: record.publishedAt.toNumber(),
+      oneTimePrekeyCount: oneTimePrekeyCount.toNumber()
+    };
+  } catch (error) {
+    console.error('Failed to get prekey bundle:', error);
+    throw error;
+  }
+};
+
+// Claim one of a user's one-time prekeys. This is a transaction, so no other sender
+// can receive the same prekey; returns null when the user's pool was empty.
+export const claimOneTimePrekey = async (contracts, userAddress) => {
+  try {
+    const tx = await contracts.prekeyRegistry.claimPrekey(userAddress);
+    const receipt = await tx.wait();
+    const claimed = receipt.events?.find(event => event.event === 'OneTimePrekeyClaimed');
+    
+    return claimed
+      ? { id: claimed.args.id.toNumber(), publicKey: ethers.utils.hexlify(claimed.args.publicKey) }
+      : null;
+  } catch (error) {
+    console.error('Failed to claim one-time prekey:', error);
+    throw error;
+  }
+};
+
+// Listen for a user's one-time prekey pool running low
+export const listenForPrekeyPoolLow = (contracts, userAddress, callback) => {
+  try {
+    const filter = contracts.prekeyRegistry.filters.PrekeyPoolLow(userAddress);
+    
+    contracts.prekeyRegistry.on(filter, (user, available) => {
+      callback(available.toNumber());
+    });
+    
+    return () => {
+      contracts.prekeyRegistry.removeAllListeners(filter);
+    };
+  } catch (error) {
+    console.error('Failed to listen for prekey pool events:', error);
+    return () => {};
+  }
+};
+
+// Create a group; returns the new group's ID
+export const createGroup = async (contracts, name, members = []) => {
+  try {
+    const tx = await contracts.groupRegistry.createGroup(name, members);
+    const receipt = await tx.wait();
+    const created = receipt.events?.find(event => event.event === 'GroupCreated');
+    return created.args.groupId.toString();
+  } catch (error) {
+    console.error('Failed to create group:', error);
+    throw error;
+  }
+};
+
+// Send a group management transaction (addMembers, removeMember, leaveGroup,
+// addAdmin, removeAdmin) and wait for it
+const sendGroupTransaction = async (contracts, method, ...args) => {
+  try {
+    const tx = await contracts.groupRegistry[method](...args);
+    await tx.wait();
+    return tx;
+  } catch (error) {
+    console.error(`Failed to ${method}:`, error);
+    throw error;
+  }
+};
+
+export const addGroupMembers = (contracts, groupId, members) =>
+  sendGroupTransaction(contracts, 'addMembers', groupId, members);
+
+export const removeGroupMember = (contracts, groupId, member) =>
+  sendGroupTransaction(contracts, 'removeMember', groupId, member);
+
+export const leaveGroup = (contracts, groupId) =>
+  sendGroupTransaction(contracts, 'leaveGroup', groupId);
+
+export const addGroupAdmin = (contracts, groupId, member) =>
+  sendGroupTransaction(contracts, 'addAdmin', groupId, member);
+
+export const removeGroupAdmin = (contracts, groupId, admin) =>
+  sendGroupTransaction(contracts, 'removeAdmin', groupId, admin);
+
+// Get a group with its members and admins
+export const getGroup = async (contracts, groupId) => {
+  try {
+    const group = await contracts.groupRegistry.getGroup(groupId);
+    const members = await contracts.groupRegistry.getMembers(groupId);
+    const admins = [];
+    for (const member of members) {
+      if (await contracts.groupRegistry.isAdmin(groupId, member)) {
+        admins.push(member);
+      }
+    }
+    
+    return {
+      id: groupId.toString(),
+      name: group.name,
+      creator: group.creator,
+      createdAt: new Date(group.createdAt.toNumber() * 1000),
+      epoch: group.epoch.toNumber(),
+      members,
+      admins
+    };
+  } catch (error) {
+    console.error('Failed to get group:', error);
+    throw error;
+  }
+};
+
+// Get the groups a user belongs to
+export const getUserGroups = async (contracts, userAddress) => {
+  try {
+    const groupIds = await contracts.groupRegistry.getUserGroups(userAddress);
+    const groups = [];
+    
+    for (const groupId of groupIds) {
+      groups.push(await getGroup(contracts, groupId));
+    }
+    
+    return groups;
+  } catch (error) {
+    console.error('Failed to get user groups:', error);
+    throw error;
+  }
+};
+
+// Announce a sender key distribution made for the group's `epoch`. GroupRegistry
+// rejects it ("Epoch has changed") once that is no longer the current epoch.
+export const publishSenderKey = async (contracts, groupId, epoch, distributionHash, ipfsHash) => {
+  try {
+    const tx = await contracts.groupRegistry.publishSenderKey(groupId, epoch, distributionHash, ipfsHash);
+    await tx.wait();
+  } catch (error) {
+    console.error('Failed to publish sender key:', error);
+    throw error;
+  }
+};
+
+// Get a member's sender key distributions for one epoch, newest first
+export const getSenderKeyDistributions = async (contracts, groupId, sender, epoch) => {
+  try {
+    const filter = contracts.groupRegistry.filters.SenderKeyPublished(groupId, sender, epoch);
+    const events = await contracts.groupRegistry.queryFilter(filter);
+    
+    return events.map(event => ({
+      groupId: event.args.groupId.toString(),
+      sender: event.args.sender,
+      epoch: event.args.epoch.toNumber(),
+      distributionHash: event.args.distributionHash,
+      ipfsHash: event.args.ipfsHash,
+      blockNumber: event.blockNumber
+    })).reverse();
+  } catch (error) {
+    console.error('Failed to get sender key distributions:', error);
+    throw error;
+  }
+};
+
+// Anchor a message to a group
+export const anchorGroupMessage = async (contracts, groupId, messageHash, ipfsHash) => {
+  try {
+    const tx = await contracts.groupRegistry.anchorGroupMessage(groupId, messageHash, ipfsHash);
+    await tx.wait();
+    return tx;
+  } catch (error) {
+    console.error('Failed to anchor group message:', error);
+    throw error;
+  }
+};
+
+// Load one page of a group's messages, newest first, in one call; the options and
+// result are those of getMessagesPage
+export const getGroupMessagesPage = async (contracts, groupId, { before = null, limit = MESSAGE_PAGE_SIZE } = {}) => {
+  try {
+    const total = (await contracts.groupRegistry.getGroupMessageCount(groupId)).toNumber();
+    const { start, end } = getPageRange(total, before, limit);
+    const page = end === start ? [] : await contracts.groupRegistry.getGroupMessagesPage(groupId, start, end - start);
+    
+    return {
+      messages: page.map((message, i) => ({
+        id: (start + i).toString(),
+        groupId: groupId.toString(),
+        from: message.from,
+        epoch: message.epoch.toNumber(),
+        messageHash: message.messageHash,
+        ipfsHash: message.ipfsHash,
+        timestamp: new Date(message.timestamp.toNumber() * 1000),
+        blockNumber: message.blockNumber.toNumber()
+      })),
+      cursor: start,
+      hasMore: start > 0,
+      total
+    };
+  } catch (error) {
+    console.error('Failed to get group messages:', error);
+    throw error;
+  }
+};
+
+// Listen for new messages in a group
+export const listenForGroupMessages = (contracts, groupId, callback) => {
+  try {
+    const filter = contracts.groupRegistry.filters.GroupMessageAnchored(groupId);
+    
+    contracts.groupRegistry.on(filter, async (eventGroupId, messageId, from, epoch, messageHash, ipfsHash, event) => {
+      callback({
+        id: messageId.toString(),
+        groupId: eventGroupId.toString(),
+        from,
+        epoch: epoch.toNumber(),
+        messageHash,
+        ipfsHash,
+        timestamp: await getEventTimestamp(event),
+        blockNumber: event.blockNumber,
+        transactionHash: event.transactionHash
+      });
+    });
+    
+    return () => {
+      contracts.groupRegistry.removeAllListeners(filter);
+    };
+  } catch (error) {
+    console.error('Failed to listen for group messages:', error);
+    return () => {};
+  }
+};
+
 // Get all registered users (for UI)
 export const getRegisteredUsers = async (contracts, provider) => {
   try {
@@ -0,0 +1,161 @@
+import { ethers } from 'ethers';
+import {
+  ENVELOPE_VERSIONS,
+  deriveSharedSecret,
+  aesGcmEncrypt,
+  aesGcmDecrypt,
+  padPlaintext,
+  unpadPlaintext,
+  signEnvelope,
+  verifyEnvelopeSignature,
+  findKeyringKey,
+  getKeyring
+} from './crypto';
+import { getCurrentKeyRecord, resolvePublicKey } from './blockchain';
+
+// Broadcast channel posts. The owner encrypts a post once under a fresh content key
+// and wraps that key for every subscriber pairwise (static ECDH, as in 1:1 envelopes)
+// inside the same envelope, so one IPFS upload and one transaction reach everyone.
+// Subscribers who join later cannot read older posts, and those who leave stop
+// getting keys from the next post on. Posts are signed with the owner's identity key.
+
+const CHANNEL_POST_KEY = 'blockchain-messenger/channel-post-key';
+
+// Channel posts have no single recipient; the signature digest takes the zero address
+const CHANNEL_RECIPIENT = ethers.constants.AddressZero;
+
+// Each wrapped key is bound to its post and subscriber
+const buildWrapAssociatedData = (header, to) => {
+  return ethers.utils.toUtf8Bytes(JSON.stringify({
+    type: CHANNEL_POST_KEY,
+    channel: header.channel,
+    from: header.from,
+    to: to.toLowerCase(),
+    timestamp: header.timestamp
+  }));
+};
+
+// Channel envelopes authenticate their whole header
+const buildChannelAssociatedData = (header) => {
+  return ethers.utils.toUtf8Bytes(JSON.stringify({
+    v: header.v,
+    channel: header.channel,
+    from: header.from,
+    timestamp: header.timestamp,
+    fromKeyVersion: header.fromKeyVersion
+  }));
+};
+
+// Encrypt a post for a channel (as returned by getChannel). The content key is wrapped
+// for every subscriber with a registered key, and for the owner so posts stay readable.
+export const encryptChannelPost = async (message, { contracts, keyPair, account, channel }) => {
+  if (channel.owner.toLowerCase() !== account.toLowerCase()) {
+    throw new Error('Only the channel owner can post');
+  }
+
+  const header = {
+    v: ENVELOPE_VERSIONS.CHANNEL,
+    channel: channel.id,
+    from: account.toLowerCase(),
+    to: CHANNEL_RECIPIENT,
+    timestamp: Date.now()
+  };
+  if (keyPair.version) header.fromKeyVersion = keyPair.version;
+
+  const contentKey = ethers.utils.randomBytes(32);
+  const recipients = [account, ...channel.subscribers.filter(
+    subscriber => subscriber.toLowerCase() !== account.toLowerCase()
+  )];
+
+  const keys = {};
+  for (const recipient of recipients) {
+    let recipientKey;
+    try {
+      recipientKey = await getCurrentKeyRecord(contracts, recipient);
+    } catch (error) {
+      console.warn(`Skipping subscriber ${recipient} without a usable key:`, error.message);
+      continue;
+    }
+
+    const wrapped = await aesGcmEncrypt(
+      deriveSharedSecret(keyPair.privateKey, recipientKey.publicKey),
+      contentKey,
+      buildWrapAssociatedData(header, recipient)
+    );
+    keys[recipient.toLowerCase()] = { ...wrapped, toKeyVersion: recipientKey.version };
+  }
+
+  const { iv, data } = await aesGcmEncrypt(
+    ethers.utils.hexlify(contentKey).slice(2),
+    await padPlaintext(ethers.utils.toUtf8Bytes(message)),
+    buildChannelAssociatedData(header)
+  );
+
+  console.log(`📢 Wrapped post key for ${Object.keys(keys).length} of ${recipients.length} recipients`);
+  return signEnvelope({ ...header, keys, iv, data }, keyPair.privateKey);
+};
+
+// Decrypt a channel post anchored as `post` (see getChannelPostsPage). Returns the text
+// and the state of the owner's signature.
+export const decryptChannelPost = async (encryptedMessage, { contracts, keyPair, account, post }) => {
+  let envelope;
+  try {
+    envelope = JSON.parse(encryptedMessage);
+  } catch (error) {
+    throw new Error('Invalid encrypted message format');
+  }
+  const { keys, iv, data, sig, ...header } = envelope;
+
+  if (header.v !== ENVELOPE_VERSIONS.CHANNEL
+    || header.channel !== post.channelId
+    || header.from !== post.from.toLowerCase()) {
+    throw new Error('Envelope header does not match the channel post');
+  }
+
+  const entry = keys?.[account.toLowerCase()];
+  if (!entry) {
+    throw new Error('This post was not shared with you');
+  }
+
+  const ownerPublicKey = await resolvePublicKey(contracts, post.from, {
+    version: header.fromKeyVersion,
+    blockNumber: post.blockNumber
+  });
+
+  // Use the key the entry was wrapped for; fall back to every key we hold
+  let candidates = getKeyring(keyPair);
+  try {
+    const ownPublicKey = await resolvePublicKey(contracts, account, { version: entry.toKeyVersion });
+    const ownKey = findKeyringKey(keyPair, ownPublicKey);
+    if (ownKey) candidates = [ownKey];
+  } catch (error) {
+    console.warn('Could not resolve own key for channel post', post.id, error.message);
+  }
+
+  let contentKey = null;
+  for (const key of candidates) {
+    try {
+      contentKey = await aesGcmDecrypt(
+        deriveSharedSecret(key.privateKey, ownerPublicKey),
+        entry.iv,
+        entry.data,
+        buildWrapAssociatedData(header, account)
+      );
+      break;
+    } catch (error) {
+      // Try the next key
+    }
+  }
+  if (!contentKey) {
+    throw new Error('None of your keys can decrypt this post');
+  }
+
+  const payload = await aesGcmDecrypt(
+    ethers.utils.hexlify(contentKey).slice(2),
+    iv,
+    data,
+    buildChannelAssociatedData(header)
+  );
+  const content = ethers.utils.toUtf8String(await unpadPlaintext(payload));
+  return { content, signature: verifyEnvelopeSignature(encryptedMessage, ownerPublicKey) };
+};
@@ -0,0 +1,62 @@
+// Conversations: the account's open messages grouped by counterpart, most recently
+// active first. Read positions are kept per account in localStorage as the time of
+// the newest message seen in each conversation; incoming messages after it are
+// unread. Tracking starts when the account first opens the app with this feature,
+// so history from before then does not show up as unread.
+
+const getReadStorageKey = (account) => `blockchain_messenger_read_${account.toLowerCase()}`;
+
+export const loadReadPositions = (account) => {
+  try {
+    const stored = localStorage.getItem(getReadStorageKey(account));
+    if (stored) return JSON.parse(stored);
+  } catch (error) {
+    console.error('Failed to load read positions:', error);
+  }
+
+  const positions = { since: Date.now(), conversations: {} };
+  localStorage.setItem(getReadStorageKey(account), JSON.stringify(positions));
+  return positions;
+};
+
+// Mark a conversation read up to `timestamp` (a Date); positions only move forward.
+// Returns the updated read positions.
+export const markConversationRead = (account, peer, timestamp) => {
+  const positions = loadReadPositions(account);
+  const key = peer.toLowerCase();
+  const time = new Date(timestamp).getTime();
+  if ((positions.conversations[key] || 0) < time) {
+    positions.conversations[key] = time;
+    localStorage.setItem(getReadStorageKey(account), JSON.stringify(positions));
+  }
+  return positions;
+};
+
+// Group messages (as from getUserMessages or the inbox sync engine) into
+// { peer, lastMessage, messageCount, unreadCount } entries, newest activity first
+export const groupConversations = (messages, account, readPositions) => {
+  const self = account.toLowerCase();
+  const conversations = new Map();
+
+  messages.forEach(message => {
+    const isOutgoing = message.from.toLowerCase() === self;
+    const peer = isOutgoing ? message.to : message.from;
+    const key = peer.toLowerCase();
+    if (!conversations.has(key)) {
+      conversations.set(key, { peer, lastMessage: null, messageCount: 0, unreadCount: 0 });
+    }
+
+    const conversation = conversations.get(key);
+    conversation.messageCount++;
+    if (!conversation.lastMessage || message.timestamp > conversation.lastMessage.timestamp) {
+      conversation.lastMessage = message;
+    }
+
+    const readUntil = Math.max(readPositions.since, readPositions.conversations[key] || 0);
+    if (!isOutgoing && message.timestamp.getTime() > readUntil) {
+      conversation.unreadCount++;
+    }
+  });
+
+  return [...conversations.values()].sort((a, b) => b.lastMessage.timestamp - a.lastMessage.timestamp);
+};
@@ -1,9 +1,28 @@
 import CryptoJS from 'crypto-js';
 import { ethers } from 'ethers';
+import { scrypt } from 'scrypt-js';
 
-// Generate a new key pair for encryption
-export const generateKeyPair = () => {
+// BIP-44 style derivation path for messaging keys recovered from a BIP-39 phrase.
+// The dedicated account index keeps the phrase from ever yielding the key a
+// wallet would derive from the same mnemonic at its default path.
+export const MESSAGING_KEY_DERIVATION_PATH = "m/44'/60'/7757'/0/0";
+
+// Generate a new key pair for encryption. With `withMnemonic` the key is derived
+// from a fresh 12-word BIP-39 phrase, returned as `mnemonic` for the user to write down.
+export const generateKeyPair = ({ withMnemonic = false } = {}) => {
   try {
+    if (withMnemonic) {
+      const mnemonic = ethers.utils.entropyToMnemonic(ethers.utils.randomBytes(16));
+      const wallet = ethers.Wallet.fromMnemonic(mnemonic, MESSAGING_KEY_DERIVATION_PATH);
+      
+      return {
+        privateKey: wallet.privateKey,
+        publicKey: wallet.publicKey,
+        address: wallet.address,
+        mnemonic
+      };
+    }
+    
     // Generate a random private key (32 bytes)
     const privateKey = ethers.utils.randomBytes(32);
     const privateKeyHex = ethers.utils.hexlify(privateKey);
@@ -23,108 +42,477 @@ export const generateKeyPair = () => {
   }
 };
 
-// Derive shared secret using ECDH
+// Normalize a recovery phrase: lower case, single spaces, no surrounding whitespace
+export const normalizeMnemonic = (phrase) => {
+  return phrase.trim().toLowerCase().split(/\s+/).join(' ');
+};
+
+// Restore the exact key pair generated from a BIP-39 recovery phrase
+export const recoverKeyPairFromMnemonic = (phrase) => {
+  const mnemonic = normalizeMnemonic(phrase || '');
+  if (!ethers.utils.isValidMnemonic(mnemonic)) {
+    throw new Error('Invalid recovery phrase - check the words and their order');
+  }
+  
+  const wallet = ethers.Wallet.fromMnemonic(mnemonic, MESSAGING_KEY_DERIVATION_PATH);
+  return {
+    privateKey: wallet.privateKey,
+    publicKey: wallet.publicKey,
+    address: wallet.address
+  };
+};
+
+const WALLET_KEY_INFO = 'blockchain-messenger/v1/wallet-derived-key';
+
+// The fixed, domain-separated message a wallet signs to derive its messaging key.
+// Changing this text changes every wallet-derived key, so it is versioned.
+export const getKeyDerivationMessage = (accountAddress) => {
+  return [
+    'Blockchain Privacy Messenger - messaging key derivation',
+    '',
+    'Signing this message derives your end-to-end encryption key.',
+    'Only sign it inside Blockchain Privacy Messenger. It does not send a transaction.',
+    '',
+    `Account: ${accountAddress.toLowerCase()}`,
+    'Version: 1'
+  ].join('\n');
+};
+
+// Turn a wallet signature over the derivation message into a messaging key pair
+export const deriveKeyPairFromSignature = (signature) => {
+  const signatureBytes = ethers.utils.arrayify(signature);
+  
+  // HKDF output is a valid secp256k1 scalar with overwhelming probability; the
+  // counter only guards against the zero / out-of-range case
+  for (let counter = 0; counter < 256; counter++) {
+    const candidate = hkdf(signatureBytes, KDF_SALT, `${WALLET_KEY_INFO}/${counter}`);
+    try {
+      const wallet = new ethers.Wallet(candidate);
+      return {
+        privateKey: wallet.privateKey,
+        publicKey: wallet.publicKey,
+        address: wallet.address
+      };
+    } catch (error) {
+      // Invalid scalar, try the next counter
+    }
+  }
+  throw new Error('Could not derive a valid key from the wallet signature');
+};
+
+// Derive the messaging key pair from the connected wallet. The message is signed
+// twice: wallets that randomize signatures would give a different key on every
+// device, so they are rejected instead of silently producing unrecoverable keys.
+export const deriveKeyPairFromWallet = async (signer, accountAddress) => {
+  const message = getKeyDerivationMessage(accountAddress);
+  const signature = await signer.signMessage(message);
+  const confirmation = await signer.signMessage(message);
+  
+  if (signature !== confirmation) {
+    throw new Error('This wallet does not produce deterministic signatures, so it cannot derive a stable messaging key');
+  }
+  
+  const signerAddress = ethers.utils.verifyMessage(message, signature);
+  if (signerAddress.toLowerCase() !== accountAddress.toLowerCase()) {
+    throw new Error('Signature was not produced by the connected account');
+  }
+  
+  return deriveKeyPairFromSignature(signature);
+};
+
+// Envelope versions understood by decryptMessage. Version 1 envelopes carry no
+// `v` field and were keyed with the old keccak(privateKey || pubX) derivation,
+// which does not give both parties the same key. Versions 1 and 2 use
+// unauthenticated AES-CTR; version 3 is AES-256-GCM with the header as AAD.
+// Version 4 envelopes belong to ratchet sessions and are handled in sessions.js.
+// Version 5 is version 3 over a compressed and padded payload (see padPlaintext).
+// Version 6 wraps another envelope for sealed-sender anchoring (see sealed.js).
+// Version 7 envelopes are group messages under a sender key (see groups.js).
+// Version 8 envelopes are channel posts with a per-subscriber wrapped key (see channels.js).
+// Version 9 is version 4 over a compressed and padded payload (see sessions.js).
+export const ENVELOPE_VERSIONS = {
+  LEGACY: 1,
+  ECDH: 2,
+  AEAD: 3,
+  SESSION: 4,
+  PADDED: 5,
+  SEALED: 6,
+  GROUP: 7,
+  CHANNEL: 8,
+  PADDED_SESSION: 9
+};
+
+export const CURRENT_ENVELOPE_VERSION = ENVELOPE_VERSIONS.PADDED;
+
+const KDF_SALT = ethers.utils.keccak256(ethers.utils.toUtf8Bytes('blockchain-messenger/kdf-salt'));
+const MESSAGE_KEY_INFO = 'blockchain-messenger/v2/message-key';
+
+// HKDF-SHA256 (RFC 5869) built on ethers' HMAC primitive
+export const hkdf = (inputKeyMaterial, salt, info, length = 32) => {
+  const { computeHmac, SupportedAlgorithm, arrayify, concat, hexlify, toUtf8Bytes } = ethers.utils;
+  const prk = computeHmac(SupportedAlgorithm.sha256, salt, inputKeyMaterial);
+  const infoBytes = typeof info === 'string' ? toUtf8Bytes(info) : arrayify(info);
+
+  const blocks = [];
+  let previous = new Uint8Array(0);
+  for (let counter = 1; blocks.length * 32 < length; counter++) {
+    previous = arrayify(computeHmac(SupportedAlgorithm.sha256, prk, concat([previous, infoBytes, [counter]])));
+    blocks.push(previous);
+  }
+
+  return hexlify(concat(blocks).slice(0, length));
+};
+
+// Normalize a secp256k1 public key to a 0x-prefixed compressed or uncompressed point
+export const normalizePublicKey = (publicKey) => {
+  let hex = publicKey.startsWith('0x') ? publicKey.slice(2) : publicKey;
+
+  // Raw 64-byte X || Y without the uncompressed point prefix
+  if (hex.length === 128) {
+    hex = '04' + hex;
+  }
+
+  return ethers.utils.computePublicKey('0x' + hex);
+};
+
+// Compare two public keys regardless of encoding (compressed, uncompressed, raw)
+export const publicKeysMatch = (publicKeyA, publicKeyB) => {
+  try {
+    return normalizePublicKey(publicKeyA) === normalizePublicKey(publicKeyB);
+  } catch (error) {
+    return false;
+  }
+};
+
+// Derive shared secret using secp256k1 ECDH followed by HKDF-SHA256.
+// ECDH(a, B) === ECDH(b, A), so sender and recipient derive the same key.
 export const deriveSharedSecret = (privateKey, publicKey) => {
   try {
-    console.log('🔐 Deriving shared secret...');
-    console.log(`Private key: ${privateKey.slice(0, 20)}...`);
-    console.log(`Public key: ${publicKey.slice(0, 20)}...`);
-    
-    // Handle different public key formats
-    let cleanPublicKey;
-    if (publicKey.startsWith('0x04')) {
-      // Uncompressed public key format (0x04 + 128 hex chars)
-      cleanPublicKey = publicKey.slice(4);
-      console.log('✅ Detected uncompressed public key format (0x04 prefix)');
-    } else if (publicKey.startsWith('0x')) {
-      // Hex format without 04 prefix
-      cleanPublicKey = publicKey.slice(2);
-      console.log('⚠️ Detected hex format without 04 prefix');
-    } else {
-      // No prefix
-      cleanPublicKey = publicKey;
-      console.log('⚠️ No prefix detected');
-    }
-    
-    console.log(`Clean public key length: ${cleanPublicKey.length}`);
-    
-    // Ensure we have enough data for x coordinate
+    const signingKey = new ethers.utils.SigningKey(privateKey);
+    const sharedPoint = signingKey.computeSharedSecret(normalizePublicKey(publicKey));
+    const messageKey = hkdf(sharedPoint, KDF_SALT, MESSAGE_KEY_INFO);
+
+    return messageKey.slice(2); // Remove '0x' prefix
+  } catch (error) {
+    console.error('❌ Failed to derive shared secret:', error);
+    throw new Error(`Failed to create shared encryption key: ${error.message}`);
+  }
+};
+
+// Legacy (version 1) derivation: keccak256(privateKey || public key X coordinate).
+// Only kept so that envelopes written before ECDH can still be opened.
+export const deriveLegacySharedSecret = (privateKey, publicKey) => {
+  try {
+    const cleanPublicKey = publicKey.startsWith('0x04')
+      ? publicKey.slice(4)
+      : publicKey.startsWith('0x') ? publicKey.slice(2) : publicKey;
+
     if (cleanPublicKey.length < 64) {
       throw new Error(`Public key too short: ${cleanPublicKey.length} chars, need at least 64`);
     }
-    
-    // Split public key into x and y coordinates
-    const x = cleanPublicKey.slice(0, 64);
-    const y = cleanPublicKey.slice(64, 128);
-    
-    console.log(`X coordinate: ${x.slice(0, 20)}...`);
-    console.log(`Y coordinate: ${y.slice(0, 20)}...`);
-    
-    // Create a simple shared secret by combining private key with public key x-coordinate
-    // Note: This is a simplified version. In production, use proper ECDH
+
     const sharedSecret = ethers.utils.keccak256(
       ethers.utils.concat([
         ethers.utils.arrayify(privateKey),
-        ethers.utils.arrayify('0x' + x)
+        ethers.utils.arrayify('0x' + cleanPublicKey.slice(0, 64))
       ])
     );
-    
-    console.log(`✅ Shared secret generated: ${sharedSecret.slice(0, 20)}...`);
+
     return sharedSecret.slice(2); // Remove '0x' prefix
   } catch (error) {
-    console.error('❌ Failed to derive shared secret:', error);
-    console.error('Private key format:', typeof privateKey, privateKey?.length);
-    console.error('Public key format:', typeof publicKey, publicKey?.length);
+    console.error('❌ Failed to derive legacy shared secret:', error);
     throw new Error(`Failed to create shared encryption key: ${error.message}`);
   }
 };
 
-// Encrypt message using AES-GCM
-export const encryptMessage = (message, recipientPublicKey, senderPrivateKey) => {
+// Read the envelope version of an encrypted message (1 for pre-versioned envelopes)
+export const getEnvelopeVersion = (encryptedMessage) => {
+  try {
+    const envelope = typeof encryptedMessage === 'string' ? JSON.parse(encryptedMessage) : encryptedMessage;
+    return Number.isInteger(envelope?.v) ? envelope.v : ENVELOPE_VERSIONS.LEGACY;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Check whether an encrypted message uses the legacy (non-ECDH) key derivation
+export const isLegacyEnvelope = (encryptedMessage) => {
+  return getEnvelopeVersion(encryptedMessage) === ENVELOPE_VERSIONS.LEGACY;
+};
+
+// WebCrypto is required for AES-GCM; it is available in every supported browser
+const getSubtleCrypto = () => {
+  const subtle = window.crypto?.subtle;
+  if (!subtle) {
+    throw new Error('WebCrypto is not available in this environment');
+  }
+  return subtle;
+};
+
+// Import a hex-encoded 256-bit key for AES-GCM
+export const importAesKey = (keyHex) => {
+  const keyBytes = ethers.utils.arrayify(keyHex.startsWith('0x') ? keyHex : '0x' + keyHex);
+  return getSubtleCrypto().importKey('raw', keyBytes, { name: 'AES-GCM' }, false, ['encrypt', 'decrypt']);
+};
+
+// AES-256-GCM encrypt; returns hex IV and hex ciphertext with the 128-bit tag appended
+export const aesGcmEncrypt = async (keyHex, plaintextBytes, associatedData) => {
+  const key = await importAesKey(keyHex);
+  const iv = ethers.utils.randomBytes(12);
+  const ciphertext = await getSubtleCrypto().encrypt(
+    { name: 'AES-GCM', iv, additionalData: associatedData, tagLength: 128 },
+    key,
+    plaintextBytes
+  );
+
+  return {
+    iv: ethers.utils.hexlify(iv).slice(2),
+    data: ethers.utils.hexlify(new Uint8Array(ciphertext)).slice(2)
+  };
+};
+
+// AES-256-GCM decrypt; throws if the tag does not verify
+export const aesGcmDecrypt = async (keyHex, ivHex, dataHex, associatedData) => {
+  const key = await importAesKey(keyHex);
+  try {
+    const plaintext = await getSubtleCrypto().decrypt(
+      { name: 'AES-GCM', iv: ethers.utils.arrayify('0x' + ivHex), additionalData: associatedData, tagLength: 128 },
+      key,
+      ethers.utils.arrayify('0x' + dataHex)
+    );
+    return new Uint8Array(plaintext);
+  } catch (error) {
+    throw new Error('Message authentication failed - content was tampered with or the wrong key was used');
+  }
+};
+
+// Associated data binds the envelope header (version, sender, recipient, timestamp
+// and key versions) to the ciphertext, so re-addressing or downgrading an envelope
+// breaks the tag. Key versions are left out when absent, which keeps envelopes
+// written before they existed verifiable.
+export const buildAssociatedData = (header) => {
+  return ethers.utils.toUtf8Bytes(JSON.stringify({
+    v: header.v,
+    from: header.from.toLowerCase(),
+    to: header.to.toLowerCase(),
+    timestamp: header.timestamp,
+    fromKeyVersion: header.fromKeyVersion ?? undefined,
+    toKeyVersion: header.toKeyVersion ?? undefined
+  }));
+};
+
+const ENVELOPE_SIGNATURE_TAG = 'blockchain-messenger/envelope-signature';
+
+// Outcomes of verifyEnvelopeSignature
+export const SIGNATURE_STATUS = {
+  VERIFIED: 'verified',
+  UNSIGNED: 'unsigned',
+  INVALID: 'invalid'
+};
+
+// Digest the author signs: addresses and timestamp, plus a hash of the whole
+// unsigned envelope (header, IV and ciphertext)
+const getEnvelopeDigest = (envelope) => {
+  const { sig, ...unsigned } = envelope;
+  return ethers.utils.solidityKeccak256(
+    ['string', 'address', 'address', 'uint256', 'bytes32'],
+    [
+      ENVELOPE_SIGNATURE_TAG,
+      unsigned.from,
+      unsigned.to,
+      unsigned.timestamp,
+      ethers.utils.keccak256(ethers.utils.toUtf8Bytes(JSON.stringify(unsigned)))
+    ]
+  );
+};
+
+// Sign an envelope with the author's identity key (EIP-191) and serialize it.
+// The signature proves authorship independently of who sent the transaction.
+export const signEnvelope = async (envelope, privateKey) => {
+  const digest = getEnvelopeDigest(envelope);
+  const sig = await new ethers.Wallet(privateKey).signMessage(ethers.utils.arrayify(digest));
+  return JSON.stringify({ ...envelope, sig });
+};
+
+// Check an envelope's signature against the author's registered public key
+export const verifyEnvelopeSignature = (encryptedMessage, authorPublicKey) => {
+  try {
+    const envelope = JSON.parse(encryptedMessage);
+    if (!envelope.sig) return SIGNATURE_STATUS.UNSIGNED;
+
+    const digest = getEnvelopeDigest(envelope);
+    const signer = ethers.utils.verifyMessage(ethers.utils.arrayify(digest), envelope.sig);
+    return signer === ethers.utils.computeAddress(normalizePublicKey(authorPublicKey))
+      ? SIGNATURE_STATUS.VERIFIED
+      : SIGNATURE_STATUS.INVALID;
+  } catch (error) {
+    return SIGNATURE_STATUS.INVALID;
+  }
+};
+
+// Padded payload layout (version 5 envelopes), all inside the ciphertext:
+//   flags (1 byte) || body length (4 bytes, big endian) || body || zero padding
+// The body is deflate-raw compressed when the flags say so. The total is padded
+// with Padmé (https://lbarman.ch/blog/padme/), which leaks O(log log L) bits of the
+// length with at most 12% overhead, and never below MIN_PADDED_LENGTH so short
+// messages all look alike.
+const PAYLOAD_FLAGS = { COMPRESSED: 0x01 };
+const PAYLOAD_HEADER_LENGTH = 5;
+const MIN_PADDED_LENGTH = 64;
+
+// Upper bound on a message body, which also caps decompression of hostile input
+export const MAX_PLAINTEXT_BYTES = 1 << 22;
+
+// Padmé: round `length` up so that only its top log2(log2(length)) + 1 bits vary
+export const getPaddedLength = (length) => {
+  const target = Math.max(length, MIN_PADDED_LENGTH);
+  const exponent = Math.floor(Math.log2(target));
+  const significantBits = Math.floor(Math.log2(exponent)) + 1;
+  const bitMask = 2 ** (exponent - significantBits) - 1;
+  return Math.ceil(target / (bitMask + 1)) * (bitMask + 1);
+};
+
+// Pipe bytes through a CompressionStream or DecompressionStream, giving up once
+// the output grows past `maxBytes`
+const transformBytes = async (bytes, stream, maxBytes) => {
+  const writer = stream.writable.getWriter();
+  // Errors on the writable side resurface when reading
+  writer.write(bytes).catch(() => {});
+  writer.close().catch(() => {});
+
+  const reader = stream.readable.getReader();
+  const chunks = [];
+  let total = 0;
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    total += value.length;
+    if (total > maxBytes) {
+      await reader.cancel();
+      throw new Error('Message is too large');
+    }
+    chunks.push(value);
+  }
+  return ethers.utils.arrayify(ethers.utils.concat(chunks));
+};
+
+const isCompressionAvailable = () => typeof CompressionStream !== 'undefined';
+
+// Compress (when available, requested and smaller) and pad message bytes
+export const padPlaintext = async (plaintextBytes, { compress = true } = {}) => {
+  if (plaintextBytes.length > MAX_PLAINTEXT_BYTES) {
+    throw new Error('Message is too large');
+  }
+
+  let body = plaintextBytes;
+  let flags = 0;
+  if (compress && isCompressionAvailable()) {
+    const compressed = await transformBytes(plaintextBytes, new CompressionStream('deflate-raw'), MAX_PLAINTEXT_BYTES);
+    if (compressed.length < plaintextBytes.length) {
+      body = compressed;
+      flags |= PAYLOAD_FLAGS.COMPRESSED;
+    }
+  }
+
+  const payload = new Uint8Array(getPaddedLength(PAYLOAD_HEADER_LENGTH + body.length));
+  payload[0] = flags;
+  new DataView(payload.buffer).setUint32(1, body.length);
+  payload.set(body, PAYLOAD_HEADER_LENGTH);
+  return payload;
+};
+
+// Strip the padding (and compression) added by padPlaintext
+export const unpadPlaintext = async (payload) => {
+  if (payload.length < PAYLOAD_HEADER_LENGTH) {
+    throw new Error('Invalid padded payload');
+  }
+
+  const flags = payload[0];
+  const bodyLength = new DataView(payload.buffer, payload.byteOffset, payload.length).getUint32(1);
+  if (flags & ~PAYLOAD_FLAGS.COMPRESSED || PAYLOAD_HEADER_LENGTH + bodyLength > payload.length) {
+    throw new Error('Invalid padded payload');
+  }
+
+  const body = payload.slice(PAYLOAD_HEADER_LENGTH, PAYLOAD_HEADER_LENGTH + bodyLength);
+  if (!(flags & PAYLOAD_FLAGS.COMPRESSED)) {
+    return body;
+  }
+  if (typeof DecompressionStream === 'undefined') {
+    throw new Error('This browser cannot decompress messages');
+  }
+  return transformBytes(body, new DecompressionStream('deflate-raw'), MAX_PLAINTEXT_BYTES);
+};
+
+// Encrypt message using AES-256-GCM; `from` and `to` are the sender and recipient
+// accounts. The optional key versions name the IdentityRegistry key of each side,
+// so the reader knows which of its (possibly rotated) keys to use. The message is
+// compressed unless `compress` is false, and always padded to hide its length.
+export const encryptMessage = async (message, recipientPublicKey, senderPrivateKey, { from, to, fromKeyVersion, toKeyVersion, compress = true }) => {
   try {
+    if (!from || !to) {
+      throw new Error('Sender and recipient addresses are required');
+    }
+
     // Derive shared secret
     const sharedSecret = deriveSharedSecret(senderPrivateKey, recipientPublicKey);
     
-    // Convert shared secret to CryptoJS format
-    const key = CryptoJS.enc.Hex.parse(sharedSecret);
-    
-    // Generate random IV
-    const iv = CryptoJS.lib.WordArray.random(96/8); // 96 bits for GCM
-    
-    // Encrypt message
-    const encrypted = CryptoJS.AES.encrypt(message, key, {
-      iv: iv,
-      mode: CryptoJS.mode.CTR,
-      padding: CryptoJS.pad.NoPadding
-    });
-    
-    // Combine IV and encrypted data
-    const encryptedData = {
-      iv: iv.toString(CryptoJS.enc.Hex),
-      data: encrypted.ciphertext.toString(CryptoJS.enc.Hex),
+    const header = {
+      v: CURRENT_ENVELOPE_VERSION,
+      from: from.toLowerCase(),
+      to: to.toLowerCase(),
       timestamp: Date.now()
     };
+    if (fromKeyVersion) header.fromKeyVersion = fromKeyVersion;
+    if (toKeyVersion) header.toKeyVersion = toKeyVersion;
+    
+    const { iv, data } = await aesGcmEncrypt(
+      sharedSecret,
+      await padPlaintext(ethers.utils.toUtf8Bytes(message), { compress }),
+      buildAssociatedData(header)
+    );
     
-    return JSON.stringify(encryptedData);
+    return await signEnvelope({ ...header, iv, data }, senderPrivateKey);
   } catch (error) {
     console.error('Failed to encrypt message:', error);
     throw new Error('Failed to encrypt message');
   }
 };
 
-// Decrypt message using AES-GCM
-export const decryptMessage = (encryptedMessage, senderPublicKey, recipientPrivateKey) => {
+// Read the cleartext header of an envelope (version, addresses, key versions)
+// without decrypting it. Returns null for content that is not an envelope.
+export const parseEnvelopeHeader = (encryptedMessage) => {
+  try {
+    const { iv, data, sig, ...header } = JSON.parse(encryptedMessage);
+    return { ...header, v: getEnvelopeVersion(header) };
+  } catch (error) {
+    return null;
+  }
+};
+
+// Decrypt a legacy (version 1 or 2) AES-CTR envelope. These carry no tag.
+const decryptLegacyEnvelope = (encryptedData, sharedSecret) => {
+  const decrypted = CryptoJS.AES.decrypt(
+    { ciphertext: CryptoJS.enc.Hex.parse(encryptedData.data) },
+    CryptoJS.enc.Hex.parse(sharedSecret),
+    {
+      iv: CryptoJS.enc.Hex.parse(encryptedData.iv),
+      mode: CryptoJS.mode.CTR,
+      padding: CryptoJS.pad.NoPadding
+    }
+  );
+  
+  return decrypted.toString(CryptoJS.enc.Utf8);
+};
+
+// Decrypt message. `peerPublicKey` is the other party's key (the recipient's for
+// messages we sent); `expected` optionally carries the anchored from/to addresses,
+// which must match the authenticated envelope header.
+export const decryptMessage = async (encryptedMessage, peerPublicKey, privateKey, expected = {}) => {
   try {
-    console.log('🔓 Starting message decryption...');
-    console.log(`Encrypted data length: ${encryptedMessage.length}`);
-    console.log(`Sender public key: ${senderPublicKey.slice(0, 20)}...`);
-    console.log(`Recipient private key: ${recipientPrivateKey.slice(0, 20)}...`);
-    
     // Parse encrypted data
     let encryptedData;
     try {
       encryptedData = JSON.parse(encryptedMessage);
-      console.log('✅ Successfully parsed encrypted JSON');
     } catch (parseError) {
       console.error('❌ Failed to parse encrypted message JSON:', parseError);
       throw new Error('Invalid encrypted message format');
@@ -136,49 +524,49 @@ export const decryptMessage = (encryptedMessage, senderPublicKey, recipientPriva
       throw new Error('Invalid encrypted message structure');
     }
     
-    console.log(`IV: ${encryptedData.iv.slice(0, 20)}...`);
-    console.log(`Data: ${encryptedData.data.slice(0, 20)}...`);
+    const version = getEnvelopeVersion(encryptedData);
+    let decryptedText;
     
-    // Derive shared secret
-    const sharedSecret = deriveSharedSecret(recipientPrivateKey, senderPublicKey);
-    
-    // Convert shared secret to CryptoJS format
-    const key = CryptoJS.enc.Hex.parse(sharedSecret);
-    
-    // Parse IV and encrypted data
-    const iv = CryptoJS.enc.Hex.parse(encryptedData.iv);
-    const ciphertext = CryptoJS.enc.Hex.parse(encryptedData.data);
-    
-    console.log('🔄 Attempting decryption...');
-    
-    // Decrypt message
-    const decrypted = CryptoJS.AES.decrypt(
-      { ciphertext: ciphertext },
-      key,
-      {
-        iv: iv,
-        mode: CryptoJS.mode.CTR,
-        padding: CryptoJS.pad.NoPadding
+    if (version === ENVELOPE_VERSIONS.AEAD || version === ENVELOPE_VERSIONS.PADDED) {
+      if (!encryptedData.from || !encryptedData.to) {
+        throw new Error('Invalid encrypted message structure');
       }
-    );
-    
-    const decryptedText = decrypted.toString(CryptoJS.enc.Utf8);
+      
+      // The anchored addresses must be the ones the envelope was sealed for
+      for (const field of ['from', 'to']) {
+        if (expected[field] && expected[field].toLowerCase() !== encryptedData[field].toLowerCase()) {
+          throw new Error(`Envelope ${field} address does not match the anchored message`);
+        }
+      }
+      
+      const sharedSecret = deriveSharedSecret(privateKey, peerPublicKey);
+      const plaintext = await aesGcmDecrypt(
+        sharedSecret,
+        encryptedData.iv,
+        encryptedData.data,
+        buildAssociatedData(encryptedData)
+      );
+      decryptedText = ethers.utils.toUtf8String(
+        version === ENVELOPE_VERSIONS.PADDED ? await unpadPlaintext(plaintext) : plaintext
+      );
+    } else if (version === ENVELOPE_VERSIONS.ECDH) {
+      console.warn('⚠️ Decrypting unauthenticated v2 envelope');
+      decryptedText = decryptLegacyEnvelope(encryptedData, deriveSharedSecret(privateKey, peerPublicKey));
+    } else if (version === ENVELOPE_VERSIONS.LEGACY) {
+      console.warn('⚠️ Decrypting unauthenticated legacy (v1) envelope');
+      decryptedText = decryptLegacyEnvelope(encryptedData, deriveLegacySharedSecret(privateKey, peerPublicKey));
+    } else {
+      throw new Error(`Unsupported envelope version: ${version}`);
+    }
     
     if (!decryptedText) {
       console.error('❌ Decryption resulted in empty string');
       throw new Error('Decryption failed - empty result');
     }
     
-    console.log(`✅ Successfully decrypted message: "${decryptedText.slice(0, 50)}..."`);
     return decryptedText;
   } catch (error) {
     console.error('❌ Failed to decrypt message:', error);
-    console.error('Error details:', {
-      message: error.message,
-      stack: error.stack,
-      encryptedMessageType: typeof encryptedMessage,
-      encryptedMessageLength: encryptedMessage?.length
-    });
     throw new Error(`Failed to decrypt message: ${error.message}`);
   }
 };
@@ -194,45 +582,293 @@ export const createMessageHash = (encryptedMessage) => {
   }
 };
 
-// Save key pair to localStorage (encrypted, user-specific)
-export const saveKeyPair = (keyPair, password, userAddress = null) => {
+// Check fetched envelope content against the hash anchored by MessageAnchor
+export const verifyMessageHash = (encryptedMessage, anchoredHash) => {
+  if (typeof encryptedMessage !== 'string' || !anchoredHash) return false;
+  return createMessageHash(encryptedMessage).toLowerCase() === anchoredHash.toLowerCase();
+};
+
+// Key vault format. Version 1 vaults are bare CryptoJS passphrase strings (OpenSSL
+// EVP_BytesToKey, MD5-based); version 2 vaults are JSON sealed with scrypt and
+// AES-256-GCM, with the cleartext header authenticated as associated data.
+export const KEY_VAULT_VERSION = 2;
+
+// scrypt cost parameters. N is the tunable work factor; memory use is 128 * N * r bytes.
+export const DEFAULT_VAULT_KDF_PARAMS = { N: 1 << 15, r: 8, p: 1 };
+
+export const VAULT_ERRORS = {
+  WRONG_PASSWORD: 'WRONG_PASSWORD',
+  CORRUPT_VAULT: 'CORRUPT_VAULT'
+};
+
+// Error raised when a password-sealed vault cannot be opened; `code` is one of VAULT_ERRORS
+export class KeyVaultError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'KeyVaultError';
+    this.code = code;
+  }
+}
+
+const corruptVault = (detail) => new KeyVaultError(VAULT_ERRORS.CORRUPT_VAULT, `Key vault is corrupted: ${detail}`);
+const wrongPassword = () => new KeyVaultError(VAULT_ERRORS.WRONG_PASSWORD, 'Incorrect password');
+
+const getKeyStorageKey = (userAddress) => {
+  return userAddress ? `blockchain_messenger_keys_${userAddress.toLowerCase()}` : 'blockchain_messenger_keys';
+};
+
+// Stretch a password with scrypt into an AES key plus a password check value. The
+// check value is what lets a wrong password be told apart from a damaged vault.
+const derivePasswordKeys = async (password, kdf) => {
+  const derived = await scrypt(
+    ethers.utils.toUtf8Bytes(password.normalize('NFKC')),
+    ethers.utils.arrayify('0x' + kdf.salt),
+    kdf.N,
+    kdf.r,
+    kdf.p,
+    64
+  );
+
+  return {
+    encryptionKey: ethers.utils.hexlify(derived.slice(0, 32)).slice(2),
+    check: ethers.utils.sha256(derived.slice(32)).slice(2)
+  };
+};
+
+// Seal a string under a password. `metadata` is stored in cleartext next to the
+// ciphertext and is covered by the GCM tag.
+export const sealWithPassword = async (plaintext, password, metadata = {}, kdfParams = DEFAULT_VAULT_KDF_PARAMS) => {
+  const kdf = {
+    name: 'scrypt',
+    salt: ethers.utils.hexlify(ethers.utils.randomBytes(16)).slice(2),
+    N: kdfParams.N,
+    r: kdfParams.r,
+    p: kdfParams.p
+  };
+  const { encryptionKey, check } = await derivePasswordKeys(password, kdf);
+
+  const header = { version: KEY_VAULT_VERSION, ...metadata, kdf, cipher: 'aes-256-gcm', check };
+  const { iv, data } = await aesGcmEncrypt(
+    encryptionKey,
+    ethers.utils.toUtf8Bytes(plaintext),
+    ethers.utils.toUtf8Bytes(JSON.stringify(header))
+  );
+
+  return { ...header, iv, data };
+};
+
+// Open a vault produced by sealWithPassword. Throws KeyVaultError.
+export const openWithPassword = async (vault, password) => {
+  const { iv, data, ...header } = vault || {};
+  const kdf = header.kdf;
+
+  if (header.version !== KEY_VAULT_VERSION) {
+    throw corruptVault(`unsupported version ${header.version}`);
+  }
+  if (!kdf || kdf.name !== 'scrypt' || !kdf.salt || ![kdf.N, kdf.r, kdf.p].every(Number.isInteger)) {
+    throw corruptVault('missing or invalid KDF parameters');
+  }
+  if (header.cipher !== 'aes-256-gcm' || !iv || !data || !header.check) {
+    throw corruptVault('missing ciphertext');
+  }
+
+  const { encryptionKey, check } = await derivePasswordKeys(password, kdf);
+  if (check !== header.check) {
+    throw wrongPassword();
+  }
+
+  try {
+    const plaintext = await aesGcmDecrypt(encryptionKey, iv, data, ethers.utils.toUtf8Bytes(JSON.stringify(header)));
+    return ethers.utils.toUtf8String(plaintext);
+  } catch (error) {
+    throw corruptVault('authentication tag does not verify');
+  }
+};
+
+// Version 1 vaults are OpenSSL-style base64 strings beginning with "Salted__"
+const isLegacyVault = (stored) => stored.startsWith('U2FsdGVkX1');
+
+// Open a version 1 vault. The format has no integrity check, so a wrong password
+// and a damaged vault look the same until the result fails to parse.
+const openLegacyVault = (stored, password) => {
+  let keyPair;
+  try {
+    keyPair = JSON.parse(CryptoJS.AES.decrypt(stored, password).toString(CryptoJS.enc.Utf8));
+  } catch (error) {
+    throw wrongPassword();
+  }
+
+  if (!validateKeyPair(keyPair)) {
+    throw corruptVault('legacy vault does not contain a valid key pair');
+  }
+  return keyPair;
+};
+
+// Keyring. The key pair used by the app is the active key plus a `keyring` array
+// holding every key the account has used, so messages encrypted to a rotated-out
+// key stay readable. Entries carry the IdentityRegistry key version once known.
+const toKeyringEntry = (keyPair) => ({
+  privateKey: keyPair.privateKey,
+  publicKey: keyPair.publicKey,
+  address: keyPair.address,
+  version: keyPair.version || null
+});
+
+// Get every key held for a key pair (a plain key pair is a keyring of one)
+export const getKeyring = (keyPair) => {
+  if (!keyPair) return [];
+  return keyPair.keyring && keyPair.keyring.length > 0 ? keyPair.keyring : [toKeyringEntry(keyPair)];
+};
+
+// Combine keyrings, keeping one entry per key and any version either side knows
+const mergeKeyrings = (...keyrings) => {
+  const merged = [];
+  keyrings.flat().forEach(entry => {
+    const existing = merged.find(key => key.address === entry.address);
+    if (!existing) {
+      merged.push({ ...entry, version: entry.version || null });
+    } else if (!existing.version && entry.version) {
+      existing.version = entry.version;
+    }
+  });
+  return merged;
+};
+
+// Build the app's key pair object: `active` is the key used for new messages
+export const buildKeyPairWithKeyring = (active, keyring = []) => {
+  const keys = mergeKeyrings(keyring, [toKeyringEntry(active)]);
+  const activeEntry = keys.find(key => key.address === active.address);
+  return { ...activeEntry, keyring: keys };
+};
+
+// Make `newKeyPair` the active key while keeping the keys of `currentKeyPair`
+export const addKeyToKeyring = (currentKeyPair, newKeyPair) => {
+  return buildKeyPairWithKeyring(newKeyPair, getKeyring(currentKeyPair));
+};
+
+// Find the keyring entry for a public key
+export const findKeyringKey = (keyPair, publicKey) => {
+  return getKeyring(keyPair).find(key => publicKeysMatch(key.publicKey, publicKey)) || null;
+};
+
+// Record the registry versions of held keys. `history` is the account's key history
+// ({ publicKey, version } records). Returns the same object when nothing changed.
+export const assignKeyVersions = (keyPair, history) => {
+  if (!keyPair) return keyPair;
+
+  let changed = false;
+  const keyring = getKeyring(keyPair).map(entry => {
+    const record = history.find(item => publicKeysMatch(item.publicKey, entry.publicKey));
+    if (record && record.version !== entry.version) {
+      changed = true;
+      return { ...entry, version: record.version };
+    }
+    return entry;
+  });
+
+  return changed ? buildKeyPairWithKeyring({ ...keyPair, version: null }, keyring) : keyPair;
+};
+
+// Seal a keyring into localStorage, replacing whatever is stored
+const writeKeyring = async (keyPair, password, userAddress, kdfParams = DEFAULT_VAULT_KDF_PARAMS) => {
+  const contents = { active: keyPair.address, keys: getKeyring(keyPair) };
+  const vault = await sealWithPassword(JSON.stringify(contents), password, { type: 'keyring' }, kdfParams);
+  localStorage.setItem(getKeyStorageKey(userAddress), JSON.stringify(vault));
+};
+
+// Open the stored vault. Single key pair vaults (legacy and type 'keypair') are
+// returned as a keyring of one, with `migrate` set so the caller can re-seal them.
+const readKeyring = async (password, userAddress) => {
+  const stored = localStorage.getItem(getKeyStorageKey(userAddress));
+  if (!stored) return null;
+
+  if (isLegacyVault(stored)) {
+    return { keyPair: buildKeyPairWithKeyring(openLegacyVault(stored, password)), migrate: true };
+  }
+
+  let vault;
+  try {
+    vault = JSON.parse(stored);
+  } catch (error) {
+    throw corruptVault('stored data is not valid JSON');
+  }
+
+  const plaintext = await openWithPassword(vault, password);
+
+  let contents;
+  try {
+    contents = JSON.parse(plaintext);
+  } catch (error) {
+    throw corruptVault('decrypted data is not valid JSON');
+  }
+
+  if (vault.type !== 'keyring') {
+    if (!validateKeyPair(contents)) {
+      throw corruptVault('vault does not contain a valid key pair');
+    }
+    return { keyPair: buildKeyPairWithKeyring(contents), migrate: true };
+  }
+
+  if (!Array.isArray(contents.keys) || contents.keys.length === 0 || !contents.keys.every(validateKeyPair)) {
+    throw corruptVault('vault does not contain a valid keyring');
+  }
+  const active = contents.keys.find(key => key.address === contents.active) || contents.keys[contents.keys.length - 1];
+  return { keyPair: buildKeyPairWithKeyring(active, contents.keys), migrate: false };
+};
+
+// Save key pair to localStorage (encrypted, user-specific). Keys already stored
+// for the account are kept in the keyring, so saving never drops an older key;
+// a vault sealed with a different password is reported as WRONG_PASSWORD and one
+// that cannot be read as CORRUPT_VAULT. Either way the stored vault is left as it
+// is; replacing it means clearing it first (see clearStoredKeyPair).
+export const saveKeyPair = async (keyPair, password, userAddress = null, kdfParams = DEFAULT_VAULT_KDF_PARAMS) => {
   try {
-    const storageKey = userAddress ? `blockchain_messenger_keys_${userAddress.toLowerCase()}` : 'blockchain_messenger_keys';
-    const keyData = JSON.stringify(keyPair);
-    const encrypted = CryptoJS.AES.encrypt(keyData, password).toString();
-    localStorage.setItem(storageKey, encrypted);
+    let stored = null;
+    try {
+      stored = await readKeyring(password, userAddress);
+    } catch (error) {
+      if (error.code === VAULT_ERRORS.WRONG_PASSWORD) {
+        throw new KeyVaultError(VAULT_ERRORS.WRONG_PASSWORD, 'Keys are already saved for this account with a different password');
+      }
+      throw error;
+    }
+
+    const keyring = stored ? getKeyring(stored.keyPair) : [];
+    await writeKeyring(buildKeyPairWithKeyring(keyPair, [...keyring, ...getKeyring(keyPair)]), password, userAddress, kdfParams);
     return true;
   } catch (error) {
     console.error('Failed to save key pair:', error);
+    if (error instanceof KeyVaultError) throw error;
     return false;
   }
 };
 
-// Load key pair from localStorage (user-specific)
-export const loadKeyPair = (password, userAddress = null) => {
-  try {
-    const storageKey = userAddress ? `blockchain_messenger_keys_${userAddress.toLowerCase()}` : 'blockchain_messenger_keys';
-    const encrypted = localStorage.getItem(storageKey);
-    if (!encrypted) return null;
-    
-    const decrypted = CryptoJS.AES.decrypt(encrypted, password).toString(CryptoJS.enc.Utf8);
-    return JSON.parse(decrypted);
-  } catch (error) {
-    console.error('Failed to load key pair:', error);
-    return null;
+// Load key pair (with its keyring) from localStorage (user-specific). Returns null
+// when nothing is stored and throws KeyVaultError for a wrong password or a
+// corrupted vault. Older vault formats are re-sealed as a keyring on first load.
+export const loadKeyPair = async (password, userAddress = null) => {
+  const stored = await readKeyring(password, userAddress);
+  if (!stored) return null;
+
+  if (stored.migrate) {
+    try {
+      await writeKeyring(stored.keyPair, password, userAddress);
+      console.log('🔐 Migrated key vault to a keyring');
+    } catch (error) {
+      console.warn('⚠️ Failed to migrate key vault:', error);
+    }
   }
+  return stored.keyPair;
 };
 
 // Check if key pair exists in localStorage (user-specific)
 export const hasStoredKeyPair = (userAddress = null) => {
-  const storageKey = userAddress ? `blockchain_messenger_keys_${userAddress.toLowerCase()}` : 'blockchain_messenger_keys';
-  return localStorage.getItem(storageKey) !== null;
+  return localStorage.getItem(getKeyStorageKey(userAddress)) !== null;
 };
 
 // Clear stored key pair (user-specific)
 export const clearStoredKeyPair = (userAddress = null) => {
-  const storageKey = userAddress ? `blockchain_messenger_keys_${userAddress.toLowerCase()}` : 'blockchain_messenger_keys';
-  localStorage.removeItem(storageKey);
+  localStorage.removeItem(getKeyStorageKey(userAddress));
 };
 
 // Validate key pair format
@@ -256,41 +892,109 @@ export const validateKeyPair = (keyPair) => {
   }
 };
 
-// Export key pair for backup
-export const exportKeyPair = (keyPair) => {
+export const KEY_BACKUP_FORMAT = 'blockchain-messenger-key-backup';
+
+// Checksum over every backup field except the checksum itself, so a truncated or
+// edited file is reported as damaged before any passphrase is tried
+const computeBackupChecksum = (backup) => {
+  const { checksum, ...body } = backup;
+  return ethers.utils.sha256(ethers.utils.toUtf8Bytes(JSON.stringify(body))).slice(2);
+};
+
+// Check whether exported data is a passphrase-protected backup (as opposed to v1.0 JSON)
+export const isEncryptedKeyBackup = (exportedData) => {
   try {
-    const exportData = {
-      privateKey: keyPair.privateKey,
-      publicKey: keyPair.publicKey,
-      address: keyPair.address,
-      exportedAt: new Date().toISOString(),
-      version: '1.0'
-    };
+    return JSON.parse(exportedData).format === KEY_BACKUP_FORMAT;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Export key pair as a passphrase-protected backup file, including every key in
+// its keyring. The account address and creation date are readable without the
+// passphrase; the keys are not.
+export const exportKeyPair = async (keyPair, passphrase, accountAddress = null) => {
+  try {
+    if (!passphrase) {
+      throw new Error('A passphrase is required to export keys');
+    }
+
+    const sealed = await sealWithPassword(
+      JSON.stringify({
+        privateKey: keyPair.privateKey,
+        publicKey: keyPair.publicKey,
+        address: keyPair.address,
+        keyring: getKeyring(keyPair)
+      }),
+      passphrase,
+      {
+        format: KEY_BACKUP_FORMAT,
+        account: (accountAddress || keyPair.address).toLowerCase(),
+        keyAddress: keyPair.address,
+        createdAt: new Date().toISOString()
+      }
+    );
     
-    return JSON.stringify(exportData, null, 2);
+    const backup = { ...sealed, checksum: computeBackupChecksum(sealed) };
+    return JSON.stringify(backup, null, 2);
   } catch (error) {
     console.error('Failed to export key pair:', error);
-    throw new Error('Failed to export keys');
+    throw new Error('Failed to export keys: ' + error.message);
   }
 };
 
-// Import key pair from backup
-export const importKeyPair = (exportedData) => {
+// Suggested file name for a backup produced by exportKeyPair
+export const getKeyBackupFileName = (accountAddress) => {
+  const date = new Date().toISOString().slice(0, 10);
+  return `blockchain-messenger-keys-${accountAddress.toLowerCase().slice(0, 10)}-${date}.json`;
+};
+
+// Import key pair from backup. Accepts passphrase-protected backups and the
+// legacy v1.0 plaintext JSON export. Wrong passphrases and damaged backup files
+// surface as KeyVaultError.
+export const importKeyPair = async (exportedData, passphrase = '') => {
   try {
-    const keyData = JSON.parse(exportedData);
+    let keyData;
+    try {
+      keyData = JSON.parse(exportedData);
+    } catch (parseError) {
+      throw new Error('Backup is not valid JSON');
+    }
+
+    if (keyData.format === KEY_BACKUP_FORMAT) {
+      if (keyData.checksum !== computeBackupChecksum(keyData)) {
+        throw corruptVault('backup checksum does not match');
+      }
+      if (!passphrase) {
+        throw new Error('This backup is encrypted - enter its passphrase');
+      }
+
+      const { checksum, ...sealed } = keyData;
+      try {
+        keyData = JSON.parse(await openWithPassword(sealed, passphrase));
+      } catch (error) {
+        if (error instanceof KeyVaultError) throw error;
+        throw corruptVault('decrypted data is not valid JSON');
+      }
+    }
     
     // Validate imported data
     if (!validateKeyPair(keyData)) {
       throw new Error('Invalid key pair data');
     }
+    const keyring = Array.isArray(keyData.keyring) ? keyData.keyring : [];
+    if (!keyring.every(validateKeyPair)) {
+      throw new Error('Invalid keyring data');
+    }
     
-    return {
+    return buildKeyPairWithKeyring({
       privateKey: keyData.privateKey,
       publicKey: keyData.publicKey,
       address: keyData.address
-    };
+    }, keyring);
   } catch (error) {
     console.error('Failed to import key pair:', error);
+    if (error instanceof KeyVaultError) throw error;
     throw new Error('Failed to import keys: ' + error.message);
   }
 };
@@ -0,0 +1,253 @@
+import { ethers } from 'ethers';
+import {
+  ENVELOPE_VERSIONS,
+  deriveSharedSecret,
+  aesGcmEncrypt,
+  aesGcmDecrypt,
+  padPlaintext,
+  unpadPlaintext,
+  createMessageHash,
+  verifyMessageHash,
+  signEnvelope,
+  verifyEnvelopeSignature,
+  SIGNATURE_STATUS,
+  findKeyringKey,
+  getKeyring
+} from './crypto';
+import {
+  getCurrentKeyRecord,
+  resolvePublicKey,
+  publishSenderKey,
+  getSenderKeyDistributions
+} from './blockchain';
+import { uploadToIPFS, retrieveFromIPFS } from './ipfs';
+
+// Group encryption with sender keys. Each member encrypts its group messages once,
+// with a random key of its own for the group's current epoch. That sender key is
+// distributed by wrapping it for every member pairwise (static ECDH, as in 1:1
+// envelopes) in one document on IPFS, announced by GroupRegistry.publishSenderKey.
+// GroupRegistry bumps the epoch on every membership change and only takes
+// distributions made for the current one, so a removed member never gets the keys
+// used after it left. Messages and distributions are signed with
+// the author's identity key, since every member holds every sender key.
+
+const SENDER_KEY_DISTRIBUTION = 'blockchain-messenger/sender-key-distribution';
+
+// Group envelopes have no single recipient; the signature digest takes the zero address
+const GROUP_RECIPIENT = ethers.constants.AddressZero;
+
+// Sender keys already opened, by reading account, group, sender and epoch
+const senderKeyCache = new Map();
+
+const getCacheKey = (account, groupId, sender, epoch) => {
+  return `${account.toLowerCase()}:${groupId}:${sender.toLowerCase()}:${epoch}`;
+};
+
+// Each wrapped key is bound to its group, epoch, sender and member
+const buildWrapAssociatedData = (groupId, epoch, from, to) => {
+  return ethers.utils.toUtf8Bytes(JSON.stringify({
+    type: SENDER_KEY_DISTRIBUTION,
+    group: groupId,
+    epoch,
+    from: from.toLowerCase(),
+    to: to.toLowerCase()
+  }));
+};
+
+// Group envelopes authenticate their whole header
+const buildGroupAssociatedData = (header) => {
+  return ethers.utils.toUtf8Bytes(JSON.stringify({
+    v: header.v,
+    group: header.group,
+    epoch: header.epoch,
+    from: header.from,
+    timestamp: header.timestamp,
+    fromKeyVersion: header.fromKeyVersion
+  }));
+};
+
+// Create a sender key for the group's current epoch and publish it wrapped for every
+// member (ourselves included, so our own messages stay readable on any device)
+const distributeSenderKey = async (contracts, keyPair, account, group) => {
+  const senderKey = ethers.utils.hexlify(ethers.utils.randomBytes(32)).slice(2);
+  const from = account.toLowerCase();
+
+  const keys = {};
+  for (const member of group.members) {
+    let memberKey;
+    try {
+      memberKey = await getCurrentKeyRecord(contracts, member);
+    } catch (error) {
+      console.warn(`Skipping group member ${member} without a usable key:`, error.message);
+      continue;
+    }
+
+    const sharedSecret = deriveSharedSecret(keyPair.privateKey, memberKey.publicKey);
+    const wrapped = await aesGcmEncrypt(
+      sharedSecret,
+      ethers.utils.arrayify('0x' + senderKey),
+      buildWrapAssociatedData(group.id, group.epoch, from, member)
+    );
+    keys[member.toLowerCase()] = { ...wrapped, toKeyVersion: memberKey.version };
+  }
+
+  const distribution = await signEnvelope({
+    type: SENDER_KEY_DISTRIBUTION,
+    group: group.id,
+    epoch: group.epoch,
+    from,
+    to: GROUP_RECIPIENT,
+    timestamp: Date.now(),
+    fromKeyVersion: keyPair.version,
+    keys
+  }, keyPair.privateKey);
+
+  const ipfsHash = await uploadToIPFS(distribution);
+  try {
+    await publishSenderKey(contracts, group.id, group.epoch, createMessageHash(distribution), ipfsHash);
+  } catch (error) {
+    if (error.message.includes('Epoch has changed')) {
+      // Membership changed in between; the key may be missing members or include removed ones
+      throw new Error('Group membership changed while sending, please try again');
+    }
+    throw error;
+  }
+
+  senderKeyCache.set(getCacheKey(account, group.id, account, group.epoch), senderKey);
+  console.log(`🔑 Distributed sender key for group ${group.id} epoch ${group.epoch}`);
+  return senderKey;
+};
+
+// Open our entry of a published distribution; null if it has none for us
+const openDistribution = async (contracts, keyPair, account, record) => {
+  const distribution = await retrieveFromIPFS(record.ipfsHash);
+  if (!verifyMessageHash(distribution, record.distributionHash)) {
+    console.warn('Sender key distribution does not match its on-chain hash');
+    return null;
+  }
+
+  const parsed = JSON.parse(distribution);
+  if (parsed.type !== SENDER_KEY_DISTRIBUTION
+    || parsed.group !== record.groupId
+    || parsed.epoch !== record.epoch
+    || parsed.from !== record.sender.toLowerCase()) {
+    console.warn('Sender key distribution does not match its announcement');
+    return null;
+  }
+
+  const senderPublicKey = await resolvePublicKey(contracts, record.sender, {
+    version: parsed.fromKeyVersion,
+    blockNumber: record.blockNumber
+  });
+  if (verifyEnvelopeSignature(distribution, senderPublicKey) !== SIGNATURE_STATUS.VERIFIED) {
+    console.warn('Sender key distribution is not signed by the sender');
+    return null;
+  }
+
+  const entry = parsed.keys[account.toLowerCase()];
+  if (!entry) return null;
+
+  // Use the key the entry was wrapped for; fall back to every key we hold
+  let candidates = getKeyring(keyPair);
+  try {
+    const ownPublicKey = await resolvePublicKey(contracts, account, { version: entry.toKeyVersion });
+    const ownKey = findKeyringKey(keyPair, ownPublicKey);
+    if (ownKey) candidates = [ownKey];
+  } catch (error) {
+    console.warn('Could not resolve own key for sender key distribution:', error.message);
+  }
+
+  for (const key of candidates) {
+    try {
+      const senderKey = await aesGcmDecrypt(
+        deriveSharedSecret(key.privateKey, senderPublicKey),
+        entry.iv,
+        entry.data,
+        buildWrapAssociatedData(record.groupId, record.epoch, parsed.from, account)
+      );
+      return ethers.utils.hexlify(senderKey).slice(2);
+    } catch (error) {
+      // Try the next key
+    }
+  }
+  return null;
+};
+
+// Find the sender key a member published for an epoch
+const getSenderKey = async (contracts, keyPair, account, groupId, sender, epoch) => {
+  const cacheKey = getCacheKey(account, groupId, sender, epoch);
+  if (senderKeyCache.has(cacheKey)) {
+    return senderKeyCache.get(cacheKey);
+  }
+
+  const records = await getSenderKeyDistributions(contracts, groupId, sender, epoch);
+  for (const record of records) {
+    const senderKey = await openDistribution(contracts, keyPair, account, record);
+    if (senderKey) {
+      senderKeyCache.set(cacheKey, senderKey);
+      return senderKey;
+    }
+  }
+  return null;
+};
+
+// Encrypt a message for a group (as returned by getGroup), publishing our sender
+// key for the current epoch first if we have not yet
+export const encryptGroupMessage = async (message, { contracts, keyPair, account, group }) => {
+  if (!group.members.some(member => member.toLowerCase() === account.toLowerCase())) {
+    throw new Error('You are not a member of this group');
+  }
+
+  const senderKey = await getSenderKey(contracts, keyPair, account, group.id, account, group.epoch)
+    || await distributeSenderKey(contracts, keyPair, account, group);
+
+  const header = {
+    v: ENVELOPE_VERSIONS.GROUP,
+    group: group.id,
+    epoch: group.epoch,
+    from: account.toLowerCase(),
+    to: GROUP_RECIPIENT,
+    timestamp: Date.now()
+  };
+  if (keyPair.version) header.fromKeyVersion = keyPair.version;
+
+  const { iv, data } = await aesGcmEncrypt(
+    senderKey,
+    await padPlaintext(ethers.utils.toUtf8Bytes(message)),
+    buildGroupAssociatedData(header)
+  );
+  return signEnvelope({ ...header, iv, data }, keyPair.privateKey);
+};
+
+// Decrypt a group envelope anchored as `message` (a GroupRegistry message record).
+// Returns the text and the state of the author's signature.
+export const decryptGroupMessage = async (encryptedMessage, { contracts, keyPair, account, message }) => {
+  let envelope;
+  try {
+    envelope = JSON.parse(encryptedMessage);
+  } catch (error) {
+    throw new Error('Invalid encrypted message format');
+  }
+  const { iv, data, sig, ...header } = envelope;
+
+  if (header.v !== ENVELOPE_VERSIONS.GROUP
+    || header.group !== message.groupId
+    || header.epoch !== message.epoch
+    || header.from !== message.from.toLowerCase()) {
+    throw new Error('Envelope header does not match the anchored group message');
+  }
+
+  const senderKey = await getSenderKey(contracts, keyPair, account, message.groupId, message.from, message.epoch);
+  if (!senderKey) {
+    throw new Error('No sender key for this message was shared with you');
+  }
+
+  const payload = await aesGcmDecrypt(senderKey, iv, data, buildGroupAssociatedData(header));
+  const content = ethers.utils.toUtf8String(await unpadPlaintext(payload));
+
+  const authorPublicKey = await resolvePublicKey(contracts, message.from, {
+    version: header.fromKeyVersion,
+    blockNumber: message.blockNumber
+  });
+  return { content, signature: verifyEnvelopeSignature(encryptedMessage, authorPublicKey) };
+};
@@ -0,0 +1,312 @@
+import { ethers } from 'ethers';
+import { aesGcmEncrypt, aesGcmDecrypt, sealWithPassword, openWithPassword, hkdf } from './crypto';
+
+// Local message store. Each account gets an IndexedDB database of decrypted messages,
+// contacts and sync cursors, so the app renders them straight away instead of going
+// back to IPFS and decrypting everything on every load. Every record is sealed with
+// AES-GCM under a random store key, bound to its table and record key; only record
+// keys are in cleartext. The store key is sealed with the key vault password (see
+// sealWithPassword) and kept in the database, so unlocking the vault unlocks the store.
+// Once a session message is stored its message key is dropped (see forgetMessageKey),
+// so the store can hold the only copy of a message: it is only emptied when the user
+// deletes it.
+// Search index entries are keyed by an HMAC of their term, so not even the words in
+// the index can be read off the database (see search.js).
+
+const DATABASE_PREFIX = 'blockchain_messenger_store_';
+const DATABASE_VERSION = 2;
+
+const TABLES = {
+  MESSAGES: 'messages',
+  CONTACTS: 'contacts',
+  CURSORS: 'cursors',
+  META: 'meta',
+  // Added in version 2
+  SEARCH_INDEX: 'searchIndex'
+};
+
+const SEARCH_INDEX_KEY_INFO = 'blockchain-messenger/v1/search-index-key';
+
+const STORE_KEY_RECORD = 'storeKey';
+
+// Dispatched on window with `detail.account` once an account's store is unlocked
+export const MESSAGE_STORE_UNLOCKED_EVENT = 'messageStoreUnlocked';
+
+// Dispatched on window whenever messages are saved to a store
+export const MESSAGE_STORE_UPDATED_EVENT = 'messageStoreUpdated';
+
+// Unlocked stores (or ones being unlocked), by account
+const openStores = new Map();
+
+const getDatabaseName = (account) => `${DATABASE_PREFIX}${account.toLowerCase()}`;
+
+const requestToPromise = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+const openDatabase = (account) => {
+  const request = indexedDB.open(getDatabaseName(account), DATABASE_VERSION);
+  request.onupgradeneeded = () => {
+    Object.values(TABLES).forEach(table => {
+      if (!request.result.objectStoreNames.contains(table)) {
+        request.result.createObjectStore(table);
+      }
+    });
+  };
+  return requestToPromise(request);
+};
+
+// Run `operation(objectStore)` in a transaction on one table and resolve with the
+// result of the request (or array of requests) it returns once the transaction commits
+const runTransaction = (db, table, mode, operation) => new Promise((resolve, reject) => {
+  const transaction = db.transaction(table, mode);
+  const requests = operation(transaction.objectStore(table));
+  transaction.oncomplete = () => {
+    resolve(Array.isArray(requests) ? requests.map(request => request.result) : requests?.result);
+  };
+  transaction.onerror = () => reject(transaction.error);
+  transaction.onabort = () => reject(transaction.error);
+});
+
+// Every sealed record authenticates where it belongs, so records cannot be swapped
+const buildRecordAssociatedData = (table, key) => {
+  return ethers.utils.toUtf8Bytes(JSON.stringify({ table, key }));
+};
+
+// Key of a message in the store. Group message and channel post IDs are only unique
+// within their group or channel; open and sealed message IDs are global.
+export const getStoredMessageKey = (message) => {
+  if (message.groupId) return `group-${message.groupId}-${message.id}`;
+  if (message.channelId) return `channel-${message.channelId}-${message.id}`;
+  return message.id;
+};
+
+const createMessageStore = (db, storeKey) => {
+  const searchIndexKey = hkdf('0x' + storeKey, ethers.constants.HashZero, SEARCH_INDEX_KEY_INFO);
+  const blindTerm = (term) => ethers.utils.computeHmac(
+    ethers.utils.SupportedAlgorithm.sha256,
+    searchIndexKey,
+    ethers.utils.toUtf8Bytes(term)
+  ).slice(2);
+
+  const seal = async (table, key, value) => {
+    return aesGcmEncrypt(
+      storeKey,
+      ethers.utils.toUtf8Bytes(JSON.stringify(value)),
+      buildRecordAssociatedData(table, key)
+    );
+  };
+
+  const unseal = async (table, key, record) => {
+    const plaintext = await aesGcmDecrypt(storeKey, record.iv, record.data, buildRecordAssociatedData(table, key));
+    return JSON.parse(ethers.utils.toUtf8String(plaintext));
+  };
+
+  // Seal first: a transaction commits as soon as it waits on anything but IndexedDB
+  const putAll = async (table, entries) => {
+    if (entries.length === 0) return;
+    const sealed = await Promise.all(entries.map(async ([key, value]) => [key, await seal(table, key, value)]));
+    await runTransaction(db, table, 'readwrite', objectStore => {
+      sealed.forEach(([key, record]) => objectStore.put(record, key));
+    });
+  };
+
+  // Every record of a table; ones that no longer open are skipped
+  const getAll = async (table) => {
+    const [keys, records] = await runTransaction(db, table, 'readonly', objectStore => [
+      objectStore.getAllKeys(),
+      objectStore.getAll()
+    ]);
+    const values = [];
+    for (let i = 0; i < keys.length; i++) {
+      try {
+        values.push(await unseal(table, keys[i], records[i]));
+      } catch (error) {
+        console.warn(`Skipping unreadable ${table} record ${keys[i]}`);
+      }
+    }
+    return values;
+  };
+
+  return {
+    // Save messages (with their decrypted content), replacing stored ones with the same key
+    putMessages: async (messages) => {
+      await putAll(TABLES.MESSAGES, messages.map(message => [
+        getStoredMessageKey(message),
+        { ...message, timestamp: new Date(message.timestamp).getTime() }
+      ]));
+      window.dispatchEvent(new CustomEvent(MESSAGE_STORE_UPDATED_EVENT));
+    },
+
+    // Get every stored message, in no particular order
+    getMessages: async () => {
+      const messages = await getAll(TABLES.MESSAGES);
+      return messages.map(message => ({ ...message, timestamp: new Date(message.timestamp) }));
+    },
+
+    // Get stored messages by store key, leaving out keys with no message
+    getMessagesByKey: async (keys) => {
+      const records = await runTransaction(db, TABLES.MESSAGES, 'readonly', objectStore => {
+        return keys.map(key => objectStore.get(key));
+      });
+      const messages = [];
+      for (let i = 0; i < keys.length; i++) {
+        if (!records[i]) continue;
+        try {
+          const message = await unseal(TABLES.MESSAGES, keys[i], records[i]);
+          messages.push({ ...message, timestamp: new Date(message.timestamp) });
+        } catch (error) {
+          console.warn(`Skipping unreadable ${TABLES.MESSAGES} record ${keys[i]}`);
+        }
+      }
+      return messages;
+    },
+
+    // Remove messages by store key (see getStoredMessageKey)
+    deleteMessages: async (keys) => {
+      if (keys.length === 0) return;
+      await runTransaction(db, TABLES.MESSAGES, 'readwrite', objectStore => {
+        keys.forEach(key => objectStore.delete(key));
+      });
+    },
+
+    // Save registered users as contacts, by address
+    putContacts: (contacts) => putAll(TABLES.CONTACTS, contacts.map(contact => [
+      contact.address.toLowerCase(),
+      { ...contact, registeredAt: contact.registeredAt ? new Date(contact.registeredAt).getTime() : null }
+    ])),
+
+    getContacts: async () => {
+      const contacts = await getAll(TABLES.CONTACTS);
+      return contacts.map(contact => ({
+        ...contact,
+        registeredAt: contact.registeredAt ? new Date(contact.registeredAt) : null
+      }));
+    },
+
+    // Sync cursors are any JSON value, by name; null when not stored
+    getCursor: async (name) => {
+      const record = await runTransaction(db, TABLES.CURSORS, 'readonly', objectStore => objectStore.get(name));
+      return record ? unseal(TABLES.CURSORS, name, record) : null;
+    },
+
+    putCursor: (name, value) => putAll(TABLES.CURSORS, [[name, value]]),
+
+    // Message keys listed under each search term, as a Map; terms not indexed map to []
+    getIndexEntries: async (terms) => {
+      const blinded = terms.map(blindTerm);
+      const records = await runTransaction(db, TABLES.SEARCH_INDEX, 'readonly', objectStore => {
+        return blinded.map(key => objectStore.get(key));
+      });
+      const entries = new Map();
+      for (let i = 0; i < terms.length; i++) {
+        entries.set(terms[i], records[i] ? await unseal(TABLES.SEARCH_INDEX, blinded[i], records[i]) : []);
+      }
+      return entries;
+    },
+
+    // Replace the message keys listed under search terms (a Map of term to keys)
+    putIndexEntries: (entries) => putAll(TABLES.SEARCH_INDEX, [...entries].map(([term, keys]) => [blindTerm(term), keys])),
+
+    close: () => db.close()
+  };
+};
+
+const getSealedStoreKey = (db) => {
+  return runTransaction(db, TABLES.META, 'readonly', objectStore => objectStore.get(STORE_KEY_RECORD));
+};
+
+// Open the store key sealed in the database, or seal a new one for a new database.
+// A store sealed with another password (say the vault was reset and saved again) is
+// left as it is: openWithPassword's KeyVaultError is thrown, and the store opens
+// once it is moved to the new password (see resealMessageStore) or deleted.
+const unlockStoreKey = async (db, password) => {
+  const sealedKey = await getSealedStoreKey(db);
+  if (sealedKey) {
+    return openWithPassword(sealedKey, password);
+  }
+
+  // Records left without a store key can never be opened
+  await Promise.all(Object.values(TABLES).map(table => {
+    return runTransaction(db, table, 'readwrite', objectStore => objectStore.clear());
+  }));
+  const storeKey = ethers.utils.hexlify(ethers.utils.randomBytes(32)).slice(2);
+  const sealed = await sealWithPassword(storeKey, password, { type: 'message-store-key' });
+  await runTransaction(db, TABLES.META, 'readwrite', objectStore => objectStore.put(sealed, STORE_KEY_RECORD));
+  return storeKey;
+};
+
+// Unlock an account's store with the key vault password. Call it after the vault
+// has been opened or saved with that password. Throws KeyVaultError (WRONG_PASSWORD)
+// for a store sealed with another password.
+export const unlockMessageStore = async (account, password) => {
+  const key = account.toLowerCase();
+  if (!openStores.has(key)) {
+    const unlocking = (async () => {
+      const db = await openDatabase(account);
+      let storeKey;
+      try {
+        storeKey = await unlockStoreKey(db, password);
+      } catch (error) {
+        db.close();
+        throw error;
+      }
+      const store = createMessageStore(db, storeKey);
+      console.log('🗄️ Unlocked local message store');
+      window.dispatchEvent(new CustomEvent(MESSAGE_STORE_UNLOCKED_EVENT, { detail: { account: key } }));
+      return store;
+    })();
+    openStores.set(key, unlocking);
+    unlocking.catch(error => {
+      console.error('Failed to unlock message store:', error);
+      openStores.delete(key);
+    });
+  }
+  return openStores.get(key);
+};
+
+// Seal an account's store key with `newPassword`, given the password it is sealed
+// with, so the store opens with the key vault again after the vault password changed.
+// Throws KeyVaultError when `oldPassword` does not open it.
+export const resealMessageStore = async (account, oldPassword, newPassword) => {
+  const db = await openDatabase(account);
+  try {
+    const sealedKey = await getSealedStoreKey(db);
+    if (!sealedKey) return;
+
+    const storeKey = await openWithPassword(sealedKey, oldPassword);
+    const sealed = await sealWithPassword(storeKey, newPassword, { type: 'message-store-key' });
+    await runTransaction(db, TABLES.META, 'readwrite', objectStore => objectStore.put(sealed, STORE_KEY_RECORD));
+    console.log('🗄️ Moved local message store to the new password');
+  } finally {
+    db.close();
+  }
+};
+
+// Get an account's store if it is unlocked, or null
+export const getMessageStore = async (account) => {
+  if (!account) return null;
+  try {
+    return (await openStores.get(account.toLowerCase())) || null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Close an account's store; it stays on disk, sealed
+export const lockMessageStore = async (account) => {
+  const store = await getMessageStore(account);
+  openStores.delete(account.toLowerCase());
+  if (store) store.close();
+};
+
+// Remove an account's store from this browser
+export const deleteMessageStore = async (account) => {
+  await lockMessageStore(account);
+  try {
+    await requestToPromise(indexedDB.deleteDatabase(getDatabaseName(account)));
+  } catch (error) {
+    console.warn('Failed to delete message store:', error);
+  }
+};
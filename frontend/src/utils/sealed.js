@@ -0,0 +1,137 @@
+import { ethers } from 'ethers';
+import {
+  ENVELOPE_VERSIONS,
+  hkdf,
+  aesGcmEncrypt,
+  aesGcmDecrypt,
+  normalizePublicKey,
+  getKeyring
+} from './crypto';
+import { getKeyHistory, getSealedMessageEvents, getSealedMessagesById } from './blockchain';
+
+// Sealed sender. Open messages anchor `from` and `to` as event topics, which publishes
+// who talks to whom. A sealed message is anchored under a tag instead: a hash of a
+// key only the two parties share, the recipient and the epoch, so tags of one pair
+// are unlinkable across epochs and directions. The envelope (whose header names both
+// parties) is wrapped in an outer layer keyed by the same shared secret, and the
+// recipient finds its messages by recomputing tags for its contacts.
+
+const SEALED_TAG_INFO = 'blockchain-messenger/v1/sealed-tag';
+const SEALED_ENVELOPE_INFO = 'blockchain-messenger/v1/sealed-envelope';
+const ZERO_SALT = ethers.constants.HashZero;
+
+// Pairwise keys of two identity keys; either party derives the same ones
+const derivePairKeys = (privateKey, peerPublicKey) => {
+  const signingKey = new ethers.utils.SigningKey(privateKey);
+  const sharedPoint = signingKey.computeSharedSecret(normalizePublicKey(peerPublicKey));
+  return {
+    tagKey: hkdf(sharedPoint, ZERO_SALT, SEALED_TAG_INFO),
+    sealKey: hkdf(sharedPoint, ZERO_SALT, SEALED_ENVELOPE_INFO).slice(2)
+  };
+};
+
+// Tag of a message to `recipient` in `epoch` (MessageAnchor.getCurrentEpoch)
+export const computeSealedTag = (tagKey, recipient, epoch) => {
+  return ethers.utils.solidityKeccak256(['bytes32', 'address', 'uint256'], [tagKey, recipient, epoch]);
+};
+
+// The outer layer is bound to the tag and epoch it was anchored under
+const buildSealedAssociatedData = (tag, epoch) => {
+  return ethers.utils.toUtf8Bytes(JSON.stringify({ v: ENVELOPE_VERSIONS.SEALED, tag, epoch }));
+};
+
+// Wrap a (signed) envelope for anchoring in sealed mode. `privateKey` is the sender's
+// active identity key and `peerPublicKey` the recipient's registered key.
+export const sealEnvelope = async (envelope, { privateKey, peerPublicKey, recipient, epoch }) => {
+  const { tagKey, sealKey } = derivePairKeys(privateKey, peerPublicKey);
+  const tag = computeSealedTag(tagKey, recipient, epoch);
+
+  const { iv, data } = await aesGcmEncrypt(
+    sealKey,
+    ethers.utils.toUtf8Bytes(envelope),
+    buildSealedAssociatedData(tag, epoch)
+  );
+
+  return { sealed: JSON.stringify({ v: ENVELOPE_VERSIONS.SEALED, iv, data }), tag };
+};
+
+// Unwrap a sealed envelope matched by a scanner; returns the inner envelope
+export const unsealEnvelope = async (sealedMessage, { sealKey, tag, epoch }) => {
+  let outer;
+  try {
+    outer = JSON.parse(sealedMessage);
+  } catch (error) {
+    throw new Error('Invalid encrypted message format');
+  }
+  if (outer.v !== ENVELOPE_VERSIONS.SEALED || !outer.iv || !outer.data) {
+    throw new Error('Invalid sealed envelope');
+  }
+
+  const envelope = await aesGcmDecrypt(sealKey, outer.iv, outer.data, buildSealedAssociatedData(tag, epoch));
+  return ethers.utils.toUtf8String(envelope);
+};
+
+// Build a matcher for sealed message records. `peers` lists each contact's address and
+// every key they have registered; each of our keyring keys is paired with each of
+// them. A record is ours when its tag is a pair's tag in either direction, and the
+// match says which way it went and which key opens it.
+export const createSealedScanner = (keyPair, account, peers) => {
+  const self = ethers.utils.getAddress(account);
+  const pairs = [];
+  for (const ownKey of getKeyring(keyPair)) {
+    for (const peer of peers) {
+      for (const peerPublicKey of peer.publicKeys) {
+        try {
+          pairs.push({ peer: ethers.utils.getAddress(peer.address), ...derivePairKeys(ownKey.privateKey, peerPublicKey) });
+        } catch (error) {
+          console.warn('Skipping unusable key for', peer.address);
+        }
+      }
+    }
+  }
+
+  const tagsByEpoch = new Map();
+  const getEpochTags = (epoch) => {
+    if (!tagsByEpoch.has(epoch)) {
+      const tags = new Map();
+      for (const { peer, tagKey, sealKey } of pairs) {
+        tags.set(computeSealedTag(tagKey, self, epoch), { from: peer, to: self, sealKey });
+        tags.set(computeSealedTag(tagKey, peer, epoch), { from: self, to: peer, sealKey });
+      }
+      tagsByEpoch.set(epoch, tags);
+    }
+    return tagsByEpoch.get(epoch);
+  };
+
+  return (record) => {
+    const match = getEpochTags(record.epoch).get(record.tag.toLowerCase());
+    // Sealed message ids are numbered apart from open ones, hence the prefix
+    return match ? { ...record, ...match, id: `sealed-${record.id}`, sealedId: record.id, sealed: true } : null;
+  };
+};
+
+// Load the registered keys of `peerAddresses` in the shape createSealedScanner takes
+export const loadSealedPeers = async (contracts, peerAddresses) => {
+  const peers = [];
+  for (const address of peerAddresses) {
+    try {
+      const history = await getKeyHistory(contracts, address);
+      peers.push({ address, publicKeys: history.map(record => record.publicKey) });
+    } catch (error) {
+      console.warn('Could not load keys of', address);
+    }
+  }
+  return peers;
+};
+
+// Find the sealed messages exchanged with `peerAddresses`
+export const findSealedMessages = async (contracts, keyPair, account, peerAddresses) => {
+  const scan = createSealedScanner(keyPair, account, await loadSealedPeers(contracts, peerAddresses));
+  const matches = (await getSealedMessageEvents(contracts)).map(scan).filter(Boolean);
+
+  // Only the timestamps are missing from the events; read them in batches
+  const records = await getSealedMessagesById(contracts, matches.map(match => match.sealedId));
+  const messages = matches.map((match, i) => ({ ...match, timestamp: records[i].timestamp }));
+  console.log(`🔎 Found ${messages.length} sealed messages`);
+  return messages;
+};
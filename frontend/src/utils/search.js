@@ -0,0 +1,154 @@
+import { getMessageStore, getStoredMessageKey } from './messageStore';
+
+// Full-text search over decrypted messages. Message text and attachment file names
+// are split into words, and every word is indexed under each of its prefixes, so a
+// query matches words as they are typed. The inverted index lives in the local
+// message store, sealed like everything else there; results are read back from the
+// stored messages and checked against their text before they are returned.
+
+const MIN_TERM_LENGTH = 2;
+
+// Longer prefixes are not indexed; query words are cut to this length for lookup
+const MAX_TERM_LENGTH = 20;
+
+export const MAX_SEARCH_RESULTS = 100;
+
+// Bump to rebuild every account's index from its stored messages
+const SEARCH_INDEX_VERSION = 1;
+const SEARCH_INDEX_CURSOR = 'searchIndex';
+
+// Index updates are read-modify-write, so they run one at a time per account
+const indexQueues = new Map();
+
+// Text and attachment of decrypted message content (text, or JSON with a file)
+export const parseSearchableContent = (content) => {
+  try {
+    const parsed = JSON.parse(content);
+    if (parsed.text !== undefined && parsed.file) {
+      return { text: parsed.text || '', fileName: parsed.file.name || '', hasAttachment: true };
+    }
+  } catch (e) {
+    // Not JSON, treat as plain text
+  }
+  return { text: typeof content === 'string' ? content : '', fileName: '', hasAttachment: false };
+};
+
+// Lowercase words with diacritics removed
+export const tokenize = (text) => {
+  return text
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(word => word.length >= MIN_TERM_LENGTH);
+};
+
+const getMessageWords = (message) => {
+  const { text, fileName } = parseSearchableContent(message.content);
+  return tokenize(`${text} ${fileName}`);
+};
+
+// Every indexed prefix of a message's words
+const getIndexTerms = (message) => {
+  const terms = new Set();
+  getMessageWords(message).forEach(word => {
+    for (let length = MIN_TERM_LENGTH; length <= Math.min(word.length, MAX_TERM_LENGTH); length++) {
+      terms.add(word.slice(0, length));
+    }
+  });
+  return terms;
+};
+
+const addToIndex = async (store, messages) => {
+  const additions = new Map();
+  messages.forEach(message => {
+    const key = getStoredMessageKey(message);
+    getIndexTerms(message).forEach(term => {
+      if (!additions.has(term)) additions.set(term, new Set());
+      additions.get(term).add(key);
+    });
+  });
+  if (additions.size === 0) return;
+
+  const existing = await store.getIndexEntries([...additions.keys()]);
+  const updated = new Map();
+  additions.forEach((keys, term) => {
+    updated.set(term, [...new Set([...existing.get(term), ...keys])]);
+  });
+  await store.putIndexEntries(updated);
+};
+
+const runIndexUpdate = (account, update) => {
+  const queueKey = account.toLowerCase();
+  const run = (indexQueues.get(queueKey) || Promise.resolve()).then(update);
+  indexQueues.set(queueKey, run.catch(() => {}));
+  return run;
+};
+
+// Add decrypted messages to the account's index, if its store is unlocked
+export const indexMessages = (account, messages) => runIndexUpdate(account, async () => {
+  const store = await getMessageStore(account);
+  if (store) {
+    await addToIndex(store, messages);
+  }
+});
+
+// Index the messages stored before the index existed (or before its current version)
+const ensureIndex = (account, store) => runIndexUpdate(account, async () => {
+  const state = await store.getCursor(SEARCH_INDEX_CURSOR);
+  if (state?.version === SEARCH_INDEX_VERSION) return;
+
+  const messages = await store.getMessages();
+  await addToIndex(store, messages);
+  await store.putCursor(SEARCH_INDEX_CURSOR, { version: SEARCH_INDEX_VERSION });
+  console.log(`🔎 Indexed ${messages.length} stored messages for search`);
+});
+
+// Where a message was sent: a direct conversation (with `peer`), a group or a channel
+export const getMessageConversation = (message, account) => {
+  if (message.groupId) return { type: 'group', groupId: message.groupId };
+  if (message.channelId) return { type: 'channel', channelId: message.channelId };
+  const isOutgoing = message.from.toLowerCase() === account.toLowerCase();
+  return { type: 'direct', peer: isOutgoing ? message.to : message.from };
+};
+
+// Search the account's decrypted messages. Every query word must start a word of the
+// message text or attachment name. Filters: `contact` (sender or recipient address),
+// `since` and `until` (Dates, inclusive) and `hasAttachment`. Results are stored
+// messages with their `conversation`, newest first, at most MAX_SEARCH_RESULTS.
+export const searchMessages = async (account, query, { contact = null, since = null, until = null, hasAttachment = false } = {}) => {
+  const store = await getMessageStore(account);
+  if (!store) {
+    throw new Error('Load your saved keys to search messages');
+  }
+  await ensureIndex(account, store);
+
+  const queryWords = [...new Set(tokenize(query))];
+  let candidates;
+  if (queryWords.length === 0) {
+    candidates = await store.getMessages();
+  } else {
+    const terms = [...new Set(queryWords.map(word => word.slice(0, MAX_TERM_LENGTH)))];
+    const entries = await store.getIndexEntries(terms);
+    const keys = terms
+      .map(term => entries.get(term))
+      .reduce((matching, termKeys) => matching.filter(key => termKeys.includes(key)));
+    candidates = await store.getMessagesByKey(keys);
+  }
+
+  const contactAddress = contact?.toLowerCase();
+  return candidates
+    .filter(message => {
+      const words = getMessageWords(message);
+      return queryWords.every(queryWord => words.some(word => word.startsWith(queryWord)));
+    })
+    .filter(message => !contactAddress || [message.from, message.to].some(
+      address => address?.toLowerCase() === contactAddress
+    ))
+    .filter(message => !since || message.timestamp >= since)
+    .filter(message => !until || message.timestamp <= until)
+    .filter(message => !hasAttachment || parseSearchableContent(message.content).hasAttachment)
+    .sort((a, b) => b.timestamp - a.timestamp)
+    .slice(0, MAX_SEARCH_RESULTS)
+    .map(message => ({ ...message, key: getStoredMessageKey(message), conversation: getMessageConversation(message, account) }));
+};
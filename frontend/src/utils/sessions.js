@@ -0,0 +1,608 @@
+import { ethers } from 'ethers';
+import {
+  ENVELOPE_VERSIONS,
+  hkdf,
+  aesGcmEncrypt,
+  aesGcmDecrypt,
+  padPlaintext,
+  unpadPlaintext,
+  createMessageHash,
+  signEnvelope,
+  normalizePublicKey,
+  publicKeysMatch,
+  findKeyringKey,
+  getKeyring
+} from './crypto';
+import {
+  getPrekeyBundleInfo,
+  publishPrekeys,
+  addOneTimePrekeys,
+  claimOneTimePrekey
+} from './blockchain';
+
+// Forward-secret sessions. An X3DH-style key agreement over secp256k1 bootstraps a
+// Double Ratchet per peer (https://signal.org/docs/specifications/doubleratchet/),
+// so every message gets its own key and a leaked identity key no longer opens the
+// anchored history. Anchored messages are re-read on every load, so the keys of
+// messages already read are cached in the session store, which is encrypted at rest,
+// until their plaintext is kept in the local message store (see forgetMessageKey)
+// and for MESSAGE_KEY_MAX_AGE at most.
+
+export const ONE_TIME_PREKEY_COUNT = 20;
+
+// Mirrors PrekeyRegistry.LOW_PREKEY_THRESHOLD
+export const PREKEY_POOL_LOW = 5;
+
+// Upper bound on message keys derived ahead for out-of-order or missing messages
+const MAX_SKIP = 200;
+
+// Cached message keys are dropped after this long even when no message store keeps
+// the plaintext, so forward secrecy does not depend on one being unlocked. Older
+// messages then cannot be read again on this device.
+const MESSAGE_KEY_MAX_AGE = 30 * 24 * 60 * 60 * 1000;
+
+const X3DH_INFO = 'blockchain-messenger/v1/x3dh';
+const ROOT_KEY_INFO = 'blockchain-messenger/v1/ratchet-root';
+const SESSION_STORE_INFO = 'blockchain-messenger/v1/session-store';
+const SIGNED_PREKEY_TAG = 'blockchain-messenger/signed-prekey';
+const ZERO_SALT = ethers.constants.HashZero;
+
+// Compressed 33-byte encoding used for every key inside sessions and bundles
+const compressPublicKey = (publicKey) => ethers.utils.computePublicKey(normalizePublicKey(publicKey), true);
+
+const generateDhKeyPair = () => {
+  const signingKey = new ethers.utils.SigningKey(ethers.utils.randomBytes(32));
+  return { privateKey: signingKey.privateKey, publicKey: signingKey.compressedPublicKey };
+};
+
+// Raw secp256k1 ECDH output (the shared point's X coordinate)
+const dh = (privateKey, publicKey) => {
+  return new ethers.utils.SigningKey(privateKey).computeSharedSecret(normalizePublicKey(publicKey));
+};
+
+// KDF_RK: advance the root key with a DH output, yielding a new chain key
+const kdfRootKey = (rootKey, dhOutput) => {
+  const output = ethers.utils.arrayify(hkdf(dhOutput, rootKey, ROOT_KEY_INFO, 64));
+  return {
+    rootKey: ethers.utils.hexlify(output.slice(0, 32)),
+    chainKey: ethers.utils.hexlify(output.slice(32))
+  };
+};
+
+// KDF_CK: step a sending or receiving chain, yielding one message key
+const kdfChainKey = (chainKey) => {
+  const { computeHmac, SupportedAlgorithm } = ethers.utils;
+  return {
+    chainKey: computeHmac(SupportedAlgorithm.sha256, chainKey, [2]),
+    messageKey: computeHmac(SupportedAlgorithm.sha256, chainKey, [1])
+  };
+};
+
+// Session store: prekey secrets, ratchet states and cached message keys, sealed
+// with AES-GCM under a key derived from the identity key that last saved it.
+
+const getSessionStorageKey = (account) => `blockchain_messenger_sessions_${account.toLowerCase()}`;
+
+const createEmptyStore = () => ({
+  prekeys: { nextId: 1, signed: {}, oneTime: {} },
+  sessions: {},
+  messageKeys: {}
+});
+
+const getStoreKey = (privateKey) => hkdf(privateKey, ZERO_SALT, SESSION_STORE_INFO);
+
+const loadSessionStore = async (account, keyPair) => {
+  const stored = localStorage.getItem(getSessionStorageKey(account));
+  if (!stored) return createEmptyStore();
+
+  const { keyAddress, iv, data } = JSON.parse(stored);
+  const sealingKey = getKeyring(keyPair).find(key => key.address === keyAddress);
+  if (!sealingKey) {
+    throw new Error('Session data on this device belongs to a key that is not loaded');
+  }
+
+  const plaintext = await aesGcmDecrypt(
+    getStoreKey(sealingKey.privateKey),
+    iv,
+    data,
+    ethers.utils.toUtf8Bytes(account.toLowerCase())
+  );
+  return JSON.parse(ethers.utils.toUtf8String(plaintext));
+};
+
+const saveSessionStore = async (account, keyPair, store) => {
+  const { iv, data } = await aesGcmEncrypt(
+    getStoreKey(keyPair.privateKey),
+    ethers.utils.toUtf8Bytes(JSON.stringify(store)),
+    ethers.utils.toUtf8Bytes(account.toLowerCase())
+  );
+  localStorage.setItem(getSessionStorageKey(account), JSON.stringify({ keyAddress: keyPair.address, iv, data }));
+};
+
+// Forget cached message keys older than MESSAGE_KEY_MAX_AGE. Keys cached before
+// their age was recorded count from now.
+const dropExpiredMessageKeys = (store) => {
+  const now = Date.now();
+  Object.entries(store.messageKeys).forEach(([messageHash, cached]) => {
+    if (!cached.cachedAt) {
+      cached.cachedAt = now;
+    } else if (now - cached.cachedAt > MESSAGE_KEY_MAX_AGE) {
+      delete store.messageKeys[messageHash];
+    }
+  });
+};
+
+// Ratchet updates must not interleave (messages are decrypted concurrently), so
+// every read-modify-write of an account's store runs through a promise queue.
+// The store is only written back when `update` succeeds.
+const storeQueues = new Map();
+
+const withSessionStore = (account, keyPair, update) => {
+  const queueKey = account.toLowerCase();
+  const run = (storeQueues.get(queueKey) || Promise.resolve()).then(async () => {
+    const store = await loadSessionStore(account, keyPair);
+    const result = await update(store);
+    dropExpiredMessageKeys(store);
+    await saveSessionStore(account, keyPair, store);
+    return result;
+  });
+
+  storeQueues.set(queueKey, run.catch(() => {}));
+  return run;
+};
+
+// Remove all session data for an account (e.g. when its keys are cleared)
+export const clearSessionStore = (account) => {
+  localStorage.removeItem(getSessionStorageKey(account));
+};
+
+// Prekey bundles live in PrekeyRegistry. The signed prekey is signed by the
+// identity key (EIP-191 over the digest below), which binds it to the account's
+// registered key; the contract only checks who publishes it.
+
+const getSignedPrekeyDigest = (account, id, publicKey) => {
+  return ethers.utils.solidityKeccak256(
+    ['string', 'address', 'uint256', 'bytes'],
+    [SIGNED_PREKEY_TAG, account.toLowerCase(), id, compressPublicKey(publicKey)]
+  );
+};
+
+// Check a signed prekey against the identity key registered for `account`
+export const verifySignedPrekey = (signedPrekey, account, identityPublicKey) => {
+  try {
+    if (!signedPrekey) return false;
+
+    const { id, publicKey, signature } = signedPrekey;
+    const digest = getSignedPrekeyDigest(account, id, publicKey);
+    const signer = ethers.utils.verifyMessage(ethers.utils.arrayify(digest), signature);
+    return signer === ethers.utils.computeAddress(normalizePublicKey(identityPublicKey));
+  } catch (error) {
+    return false;
+  }
+};
+
+// Fetch a peer's bundle and, when `useOneTimePrekey` is set, claim one of its
+// one-time prekeys. Returns null when the peer has not published prekeys for its
+// current identity key.
+const claimPrekeyBundle = async (contracts, peer, peerIdentityKey, useOneTimePrekey) => {
+  const published = await getPrekeyBundleInfo(contracts, peer);
+  if (!published) return null;
+
+  // Bundles signed by a rotated-out key stay on chain until the owner republishes
+  if (!verifySignedPrekey(published.signedPrekey, peer, peerIdentityKey)) {
+    console.warn('⚠️ Prekey bundle of', peer, 'is not signed by their current key');
+    return null;
+  }
+
+  return {
+    identityKey: peerIdentityKey,
+    signedPrekey: published.signedPrekey,
+    oneTimePrekey: useOneTimePrekey ? await claimOneTimePrekey(contracts, peer) : null
+  };
+};
+
+const generateOneTimePrekeys = (store, count) => {
+  const prekeys = [];
+  for (let i = 0; i < count; i++) {
+    const id = store.prekeys.nextId++;
+    const prekey = generateDhKeyPair();
+    store.prekeys.oneTime[id] = prekey.privateKey;
+    prekeys.push({ id, publicKey: prekey.publicKey });
+  }
+  return prekeys;
+};
+
+// Publish a prekey bundle for the active key, or top up the one-time prekeys of
+// the published one when fewer than PREKEY_POOL_LOW are left. Safe to call on
+// every key load; only sends a transaction when something has to change. Old
+// signed prekeys are kept so sessions started from them can still be accepted.
+export const ensurePrekeyBundle = async (keyPair, account, contracts) => {
+  return withSessionStore(account, keyPair, async (store) => {
+    const published = await getPrekeyBundleInfo(contracts, account);
+    const localSignedPrekey = published && store.prekeys.signed[published.signedPrekey.id];
+    const isCurrent = localSignedPrekey
+      && publicKeysMatch(localSignedPrekey.publicKey, published.signedPrekey.publicKey)
+      && verifySignedPrekey(published.signedPrekey, account, keyPair.publicKey);
+
+    if (isCurrent) {
+      if (published.oneTimePrekeyCount >= PREKEY_POOL_LOW) {
+        return false;
+      }
+
+      await addOneTimePrekeys(contracts, generateOneTimePrekeys(store, ONE_TIME_PREKEY_COUNT - published.oneTimePrekeyCount));
+      console.log('🔑 Replenished one-time prekeys');
+      return true;
+    }
+
+    const id = store.prekeys.nextId++;
+    const signedPrekey = generateDhKeyPair();
+    store.prekeys.signed[id] = signedPrekey;
+
+    const digest = getSignedPrekeyDigest(account, id, signedPrekey.publicKey);
+    const signature = await new ethers.Wallet(keyPair.privateKey).signMessage(ethers.utils.arrayify(digest));
+
+    await publishPrekeys(
+      contracts,
+      { id, publicKey: signedPrekey.publicKey, signature },
+      generateOneTimePrekeys(store, ONE_TIME_PREKEY_COUNT)
+    );
+    console.log('🔑 Published new prekey bundle');
+    return true;
+  });
+};
+
+// X3DH. The initiator combines its identity key and a fresh ephemeral key with
+// the responder's identity, signed and (optional) one-time prekeys.
+
+const getSessionId = (initiatorIdentityKey, ephemeralKey) => {
+  const digest = ethers.utils.keccak256(
+    ethers.utils.concat([compressPublicKey(initiatorIdentityKey), compressPublicKey(ephemeralKey)])
+  );
+  return ethers.utils.hexDataSlice(digest, 0, 16);
+};
+
+const deriveX3dhSecret = (dhOutputs) => {
+  return hkdf(ethers.utils.concat([new Uint8Array(32).fill(0xff), ...dhOutputs]), ZERO_SALT, X3DH_INFO);
+};
+
+// Both sides bind the session to the two identity keys, initiator first
+const getSessionAssociatedData = (initiatorIdentityKey, responderIdentityKey) => {
+  return ethers.utils.hexlify(ethers.utils.concat([
+    compressPublicKey(initiatorIdentityKey),
+    compressPublicKey(responderIdentityKey)
+  ]));
+};
+
+const initiateSession = (keyPair, bundle) => {
+  const ephemeral = generateDhKeyPair();
+  const signedPrekey = bundle.signedPrekey.publicKey;
+
+  const dhOutputs = [
+    dh(keyPair.privateKey, signedPrekey),
+    dh(ephemeral.privateKey, bundle.identityKey),
+    dh(ephemeral.privateKey, signedPrekey)
+  ];
+  if (bundle.oneTimePrekey) {
+    dhOutputs.push(dh(ephemeral.privateKey, bundle.oneTimePrekey.publicKey));
+  }
+
+  const sendingRatchet = generateDhKeyPair();
+  const { rootKey, chainKey } = kdfRootKey(deriveX3dhSecret(dhOutputs), dh(sendingRatchet.privateKey, signedPrekey));
+
+  const init = {
+    ik: compressPublicKey(keyPair.publicKey),
+    ek: ephemeral.publicKey,
+    rik: compressPublicKey(bundle.identityKey),
+    spk: bundle.signedPrekey.id
+  };
+  if (bundle.oneTimePrekey) {
+    init.opk = bundle.oneTimePrekey.id;
+  }
+
+  return {
+    id: getSessionId(keyPair.publicKey, ephemeral.publicKey),
+    ad: getSessionAssociatedData(keyPair.publicKey, bundle.identityKey),
+    localIdentityKey: init.ik,
+    remoteIdentityKey: init.rik,
+    init,
+    acked: false,
+    dhSelf: sendingRatchet,
+    dhRemote: compressPublicKey(signedPrekey),
+    rootKey,
+    sendChain: chainKey,
+    recvChain: null,
+    ns: 0,
+    nr: 0,
+    pn: 0,
+    skipped: {}
+  };
+};
+
+const acceptSession = (store, keyPair, init) => {
+  const identity = findKeyringKey(keyPair, init.rik);
+  if (!identity) {
+    throw new Error('Session was started with a key that is not in your keyring');
+  }
+  const signedPrekey = store.prekeys.signed[init.spk];
+  if (!signedPrekey) {
+    throw new Error('Session was started with an unknown signed prekey');
+  }
+
+  const dhOutputs = [
+    dh(signedPrekey.privateKey, init.ik),
+    dh(identity.privateKey, init.ek),
+    dh(signedPrekey.privateKey, init.ek)
+  ];
+  if (init.opk) {
+    const oneTimePrekey = store.prekeys.oneTime[init.opk];
+    if (!oneTimePrekey) {
+      throw new Error('Session was started with a one-time prekey that was already used');
+    }
+    dhOutputs.push(dh(oneTimePrekey, init.ek));
+  }
+
+  return {
+    id: getSessionId(init.ik, init.ek),
+    ad: getSessionAssociatedData(init.ik, identity.publicKey),
+    localIdentityKey: compressPublicKey(identity.publicKey),
+    remoteIdentityKey: compressPublicKey(init.ik),
+    init: null,
+    acked: true,
+    dhSelf: signedPrekey,
+    dhRemote: null,
+    rootKey: deriveX3dhSecret(dhOutputs),
+    sendChain: null,
+    recvChain: null,
+    ns: 0,
+    nr: 0,
+    pn: 0,
+    skipped: {}
+  };
+};
+
+// Double Ratchet steps. States are plain JSON so they can live in the store.
+
+const ratchetEncrypt = (state) => {
+  const { chainKey, messageKey } = kdfChainKey(state.sendChain);
+  state.sendChain = chainKey;
+
+  const header = { dh: state.dhSelf.publicKey, pn: state.pn, n: state.ns };
+  state.ns += 1;
+  return { header, messageKey };
+};
+
+const skipMessageKeys = (state, until) => {
+  if (!state.recvChain) return;
+  if (until - state.nr > MAX_SKIP) {
+    throw new Error('Too many skipped messages in session');
+  }
+
+  while (state.nr < until) {
+    const { chainKey, messageKey } = kdfChainKey(state.recvChain);
+    state.recvChain = chainKey;
+    state.skipped[`${state.dhRemote}:${state.nr}`] = messageKey;
+    state.nr += 1;
+  }
+};
+
+const dhRatchetStep = (state, remoteKey) => {
+  state.pn = state.ns;
+  state.ns = 0;
+  state.nr = 0;
+  state.dhRemote = remoteKey;
+
+  const receiving = kdfRootKey(state.rootKey, dh(state.dhSelf.privateKey, remoteKey));
+  state.rootKey = receiving.rootKey;
+  state.recvChain = receiving.chainKey;
+
+  state.dhSelf = generateDhKeyPair();
+  const sending = kdfRootKey(state.rootKey, dh(state.dhSelf.privateKey, remoteKey));
+  state.rootKey = sending.rootKey;
+  state.sendChain = sending.chainKey;
+};
+
+const ratchetDecrypt = (state, header) => {
+  if (!Number.isInteger(header.n) || !Number.isInteger(header.pn) || header.n < 0 || header.pn < 0) {
+    throw new Error('Invalid session message header');
+  }
+  const remoteKey = compressPublicKey(header.dh);
+
+  const skippedId = `${remoteKey}:${header.n}`;
+  if (state.skipped[skippedId]) {
+    const messageKey = state.skipped[skippedId];
+    delete state.skipped[skippedId];
+    return messageKey;
+  }
+
+  if (remoteKey !== state.dhRemote) {
+    skipMessageKeys(state, header.pn);
+    dhRatchetStep(state, remoteKey);
+  }
+  skipMessageKeys(state, header.n);
+
+  const { chainKey, messageKey } = kdfChainKey(state.recvChain);
+  state.recvChain = chainKey;
+  state.nr += 1;
+  return messageKey;
+};
+
+// Session envelopes authenticate every header field plus the session's identity
+// keys; `iv` and `data` are the only unauthenticated fields. Version 9 envelopes
+// carry a compressed and padded payload (see padPlaintext); version 4 ones, sent
+// before that, carry the bare message and are still read.
+const SESSION_ENVELOPE_VERSIONS = [ENVELOPE_VERSIONS.SESSION, ENVELOPE_VERSIONS.PADDED_SESSION];
+
+const buildSessionAssociatedData = (sessionAd, header) => {
+  return ethers.utils.toUtf8Bytes(JSON.stringify({
+    ad: sessionAd,
+    v: header.v,
+    from: header.from,
+    to: header.to,
+    timestamp: header.timestamp,
+    fromKeyVersion: header.fromKeyVersion,
+    toKeyVersion: header.toKeyVersion,
+    sid: header.sid,
+    init: header.init,
+    dh: header.dh,
+    pn: header.pn,
+    n: header.n
+  }));
+};
+
+// Check whether an envelope belongs to a ratchet session
+export const isSessionEnvelope = (encryptedMessage) => {
+  try {
+    return SESSION_ENVELOPE_VERSIONS.includes(JSON.parse(encryptedMessage).v);
+  } catch (error) {
+    return false;
+  }
+};
+
+// Encrypt a message for `peer` in the active session, starting one from the peer's
+// prekey bundle when needed (which claims a one-time prekey in a transaction).
+// `peerIdentityKey` is the peer's registered key. Sealed messages pass
+// `useOneTimePrekey: false`: the claim is sent from our account and names the
+// peer, so such sessions start from the signed prekey alone. Returns null when the
+// peer has no session and no usable bundle (use static mode).
+export const encryptSessionMessage = async (message, { contracts, keyPair, account, peer, peerIdentityKey, fromKeyVersion, toKeyVersion, useOneTimePrekey = true }) => {
+  return withSessionStore(account, keyPair, async (store) => {
+    const peerId = peer.toLowerCase();
+    const peerSessions = store.sessions[peerId] || { active: null, byId: {} };
+
+    // A rotated key on either side means the old session no longer applies
+    let state = peerSessions.byId[peerSessions.active];
+    if (!state
+      || !publicKeysMatch(state.remoteIdentityKey, peerIdentityKey)
+      || !publicKeysMatch(state.localIdentityKey, keyPair.publicKey)) {
+      const bundle = await claimPrekeyBundle(contracts, peer, peerIdentityKey, useOneTimePrekey);
+      if (!bundle) return null;
+
+      state = initiateSession(keyPair, bundle);
+      peerSessions.byId[state.id] = state;
+      peerSessions.active = state.id;
+      console.log('🤝 Started new session with', peer);
+    }
+
+    const { header: ratchetHeader, messageKey } = ratchetEncrypt(state);
+    const header = {
+      v: ENVELOPE_VERSIONS.PADDED_SESSION,
+      from: account.toLowerCase(),
+      to: peerId,
+      timestamp: Date.now(),
+      sid: state.id,
+      ...ratchetHeader
+    };
+    if (fromKeyVersion) header.fromKeyVersion = fromKeyVersion;
+    if (toKeyVersion) header.toKeyVersion = toKeyVersion;
+    // Until the peer replies, every message carries what it needs to start the session
+    if (!state.acked) header.init = state.init;
+
+    const { iv, data } = await aesGcmEncrypt(
+      messageKey,
+      await padPlaintext(ethers.utils.toUtf8Bytes(message)),
+      buildSessionAssociatedData(state.ad, header)
+    );
+    const envelope = await signEnvelope({ ...header, iv, data }, keyPair.privateKey);
+
+    store.sessions[peerId] = peerSessions;
+    store.messageKeys[createMessageHash(envelope)] = { key: messageKey, ad: state.ad, cachedAt: Date.now() };
+    return envelope;
+  });
+};
+
+// Decrypt a session envelope. `peerIdentityKey` is the sender's registered key for
+// the envelope, which must match the key that started the session; `expected`
+// optionally carries the anchored from/to addresses.
+export const decryptSessionMessage = async (encryptedMessage, { keyPair, account, peerIdentityKey, expected = {} }) => {
+  let envelope;
+  try {
+    envelope = JSON.parse(encryptedMessage);
+  } catch (error) {
+    throw new Error('Invalid encrypted message format');
+  }
+  const { iv, data, sig, ...header } = envelope;
+
+  for (const field of ['from', 'to']) {
+    if (expected[field] && expected[field].toLowerCase() !== header[field]) {
+      throw new Error(`Envelope ${field} address does not match the anchored message`);
+    }
+  }
+
+  return withSessionStore(account, keyPair, async (store) => {
+    const open = async (messageKey, sessionAd) => {
+      const plaintext = await aesGcmDecrypt(messageKey, iv, data, buildSessionAssociatedData(sessionAd, header));
+      return ethers.utils.toUtf8String(
+        header.v === ENVELOPE_VERSIONS.PADDED_SESSION ? await unpadPlaintext(plaintext) : plaintext
+      );
+    };
+
+    const messageHash = createMessageHash(encryptedMessage);
+    const cached = store.messageKeys[messageHash];
+    if (cached) {
+      return open(cached.key, cached.ad);
+    }
+
+    if (header.from === account.toLowerCase()) {
+      throw new Error('Keys for this sent message are not stored on this device');
+    }
+    if (header.to !== account.toLowerCase()) {
+      throw new Error('Message is not addressed to this account');
+    }
+
+    const peerSessions = store.sessions[header.from] || { active: null, byId: {} };
+    let state = peerSessions.byId[header.sid];
+    const isNewSession = !state;
+
+    if (isNewSession) {
+      if (!header.init) {
+        throw new Error('The session for this message is not stored on this device');
+      }
+      if (!publicKeysMatch(header.init.ik, peerIdentityKey)) {
+        throw new Error('Session was started with a key the sender has not registered');
+      }
+      if (getSessionId(header.init.ik, header.init.ek) !== header.sid) {
+        throw new Error('Invalid session id');
+      }
+      state = acceptSession(store, keyPair, header.init);
+    } else if (!publicKeysMatch(state.remoteIdentityKey, peerIdentityKey)) {
+      throw new Error('Session belongs to a different key than the one the sender registered');
+    }
+
+    // Work on a copy so a message that fails to authenticate leaves the session untouched
+    const working = JSON.parse(JSON.stringify(state));
+    const messageKey = ratchetDecrypt(working, header);
+    const plaintext = await open(messageKey, working.ad);
+
+    working.acked = true;
+    peerSessions.byId[header.sid] = working;
+
+    if (isNewSession) {
+      if (header.init.opk) {
+        delete store.prekeys.oneTime[header.init.opk];
+      }
+
+      // When both sides started a session at once, both settle on the lower id;
+      // a new session from a peer otherwise replaces ours (they lost their state)
+      const active = peerSessions.byId[peerSessions.active];
+      if (!active || active.acked || header.sid < active.id) {
+        peerSessions.active = header.sid;
+      }
+      console.log('🤝 Accepted session from', header.from);
+    }
+
+    store.sessions[header.from] = peerSessions;
+    store.messageKeys[messageHash] = { key: messageKey, ad: working.ad, cachedAt: Date.now() };
+    return plaintext;
+  });
+};
+
+// Drop the cached key of a session message once its plaintext is kept in the local
+// message store, which is sealed with the vault password and never emptied without
+// the user asking (see unlockMessageStore). The session store is
+// sealed with a key derived from the identity key, so a cached key would let a
+// leaked identity key open the message after all.
+export const forgetMessageKey = (encryptedMessage, { keyPair, account }) => {
+  return withSessionStore(account, keyPair, async (store) => {
+    delete store.messageKeys[createMessageHash(encryptedMessage)];
+  });
+};
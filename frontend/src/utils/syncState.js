@@ -0,0 +1,108 @@
+// Chain-following state of the inbox sync engine (see createInboxSync in
+// blockchain.js): the synced messages, the last block synced and the hashes of recent
+// blocks synced up to. It holds no provider or storage, so the reorganization and
+// confirmation rules can be driven directly against a node (see the contract tests).
+
+// Confirmations after which a message is shown (and notified) as confirmed, and
+// after which it is treated as final and no longer checked for reorganizations
+export const SAFE_CONFIRMATIONS = 2;
+export const FINALITY_DEPTH = 12;
+
+export const CONFIRMATION_STATUS = {
+  PENDING: 'pending',
+  CONFIRMED: 'confirmed',
+  FINAL: 'final'
+};
+
+// Confirmation state of something mined in `blockNumber`, given the chain head
+export const getConfirmationState = (blockNumber, head) => {
+  const confirmations = Math.max(head - blockNumber + 1, 0);
+  let status = CONFIRMATION_STATUS.PENDING;
+  if (confirmations >= FINALITY_DEPTH) {
+    status = CONFIRMATION_STATUS.FINAL;
+  } else if (confirmations >= SAFE_CONFIRMATIONS) {
+    status = CONFIRMATION_STATUS.CONFIRMED;
+  }
+  return { status, confirmations };
+};
+
+// Sync state starting at `startBlock`. Messages are { id, blockNumber, ... } records.
+export const createSyncState = (startBlock = 0) => {
+  const messages = new Map();
+  // Hashes of blocks synced up to, by number, for the last FINALITY_DEPTH blocks
+  const checkpoints = new Map();
+  let lastSyncedBlock = startBlock - 1;
+
+  // Forget everything synced after `blockNumber`; returns the IDs of dropped messages
+  const rollBack = (blockNumber) => {
+    const removed = [];
+    messages.forEach((message, id) => {
+      if (message.blockNumber > blockNumber) {
+        messages.delete(id);
+        removed.push(id);
+      }
+    });
+    [...checkpoints.keys()].filter(number => number > blockNumber).forEach(number => checkpoints.delete(number));
+    lastSyncedBlock = blockNumber;
+    return removed;
+  };
+
+  return {
+    // Synced messages by ID
+    messages,
+
+    getLastSyncedBlock: () => lastSyncedBlock,
+
+    // What is stored between sessions; messages are read back from the chain
+    getCursor: () => ({ lastSyncedBlock, checkpoints: Object.fromEntries(checkpoints) }),
+
+    // Pick up a stored cursor and the messages synced up to it
+    restore: (cursor, syncedMessages) => {
+      syncedMessages.forEach(message => messages.set(message.id, message));
+      Object.entries(cursor.checkpoints || {}).forEach(([number, hash]) => checkpoints.set(Number(number), hash));
+      lastSyncedBlock = cursor.lastSyncedBlock;
+    },
+
+    // Record a synced range: the messages anchored in it and the hash of its last block
+    advance: (toBlock, blockHash, added) => {
+      added.forEach(message => messages.set(message.id, message));
+      checkpoints.set(toBlock, blockHash);
+      lastSyncedBlock = toBlock;
+    },
+
+    // Keep a checkpoint at the finality depth below `head` (or at the start block) and
+    // drop older ones, so a reorganization never has to walk back further than that.
+    // `getBlockHash(number)` resolves the chain's hash of a block, or null when the
+    // node cannot serve it.
+    keepFinalCheckpoint: async (head, getBlockHash) => {
+      const finalBlock = Math.max(head - FINALITY_DEPTH, startBlock);
+      if (lastSyncedBlock >= finalBlock && !checkpoints.has(finalBlock)) {
+        const hash = await getBlockHash(finalBlock);
+        if (hash) checkpoints.set(finalBlock, hash);
+      }
+      [...checkpoints.keys()].filter(number => number < finalBlock).forEach(number => checkpoints.delete(number));
+      return finalBlock;
+    },
+
+    rollBack,
+
+    // Compare checkpoints with the chain (see keepFinalCheckpoint), newest first, and
+    // roll back to the newest one still in it. Without any, the reorganization went
+    // deeper than FINALITY_DEPTH (or the chain was reset, like a restarted Hardhat
+    // node) and everything is dropped. Returns the dropped IDs and the block rolled
+    // back to, which is null when the chain still has the last synced block.
+    checkForReorg: async (head, getBlockHash) => {
+      if (lastSyncedBlock < startBlock) return { removed: [], rolledBackTo: null };
+
+      const numbers = [...checkpoints.keys()].sort((a, b) => b - a);
+      for (const number of numbers) {
+        if (number <= head && await getBlockHash(number) === checkpoints.get(number)) {
+          return number === lastSyncedBlock
+            ? { removed: [], rolledBackTo: null }
+            : { removed: rollBack(number), rolledBackTo: number };
+        }
+      }
+      return { removed: rollBack(startBlock - 1), rolledBackTo: startBlock - 1 };
+    }
+  };
+};
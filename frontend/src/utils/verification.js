@@ -0,0 +1,127 @@
+import { ethers } from 'ethers';
+import { normalizePublicKey } from './crypto';
+
+// Safety numbers, after Signal's numeric fingerprints
+// (https://signal.org/blog/safety-number-updates/). Each party's fingerprint is an
+// iterated SHA-512 over their registered identity key and address; the safety number
+// is both fingerprints in a fixed order, so the two parties see the same 60 digits.
+
+const FINGERPRINT_VERSION = 0;
+const FINGERPRINT_ITERATIONS = 5200;
+const FINGERPRINT_BYTES = 30;
+
+// Prefix of the QR code payload, so a scanned code from another app is rejected
+const QR_PAYLOAD_PREFIX = 'blockchain-messenger-safety:';
+
+export const VERIFICATION_STATUS = {
+  VERIFIED: 'verified',
+  UNVERIFIED: 'unverified',
+  // Marked verified, but the contact's registered key has changed since
+  KEY_CHANGED: 'key-changed'
+};
+
+// 30 digits for one party: six 5-digit chunks of the iterated hash
+const computeFingerprint = (address, publicKey) => {
+  const key = ethers.utils.arrayify(normalizePublicKey(publicKey));
+  const identifier = ethers.utils.arrayify(ethers.utils.getAddress(address));
+
+  let hash = ethers.utils.arrayify(ethers.utils.sha512(
+    ethers.utils.concat([[0, FINGERPRINT_VERSION], key, identifier])
+  ));
+  for (let i = 0; i < FINGERPRINT_ITERATIONS; i++) {
+    hash = ethers.utils.arrayify(ethers.utils.sha512(ethers.utils.concat([hash, key])));
+  }
+
+  let digits = '';
+  for (let offset = 0; offset < FINGERPRINT_BYTES; offset += 5) {
+    const chunk = ethers.BigNumber.from(hash.slice(offset, offset + 5)).mod(100000);
+    digits += chunk.toString().padStart(5, '0');
+  }
+  return digits;
+};
+
+// Split a safety number into 5-digit groups for display
+export const formatSafetyNumber = (safetyNumber) => safetyNumber.match(/\d{5}/g).join(' ');
+
+// Compute the safety number between two registered identities. Both sides get the same
+// number; the QR payload additionally orders the fingerprints as seen by the local side.
+export const computeSafetyNumber = (localAddress, localPublicKey, remoteAddress, remotePublicKey) => {
+  const local = computeFingerprint(localAddress, localPublicKey);
+  const remote = computeFingerprint(remoteAddress, remotePublicKey);
+
+  return {
+    safetyNumber: local < remote ? local + remote : remote + local,
+    qrPayload: `${QR_PAYLOAD_PREFIX}${FINGERPRINT_VERSION}:${local}:${remote}`
+  };
+};
+
+// Compare a safety number or QR payload received from the contact with our own.
+// A scanned QR payload lists the contact's fingerprint first, so it must mirror ours.
+export const compareSafetyNumber = ({ safetyNumber, qrPayload }, input) => {
+  const value = input.trim();
+
+  if (value.startsWith(QR_PAYLOAD_PREFIX)) {
+    const [version, theirLocal, theirRemote] = value.slice(QR_PAYLOAD_PREFIX.length).split(':');
+    const [, ourLocal, ourRemote] = qrPayload.slice(QR_PAYLOAD_PREFIX.length).split(':');
+    return Number(version) === FINGERPRINT_VERSION && theirLocal === ourRemote && theirRemote === ourLocal;
+  }
+
+  return value.replace(/\s+/g, '') === safetyNumber;
+};
+
+// Verified contacts, per account. Each entry is bound to the hash of the contact key
+// that was verified, so a rotated or replaced key shows as changed instead of verified.
+const getVerifiedStorageKey = (account) => `blockchain_messenger_verified_${account.toLowerCase()}`;
+
+const getKeyHash = (publicKey) => ethers.utils.keccak256(normalizePublicKey(publicKey));
+
+export const loadVerifiedContacts = (account) => {
+  try {
+    const stored = localStorage.getItem(getVerifiedStorageKey(account));
+    return stored ? JSON.parse(stored) : {};
+  } catch (error) {
+    console.error('Failed to load verified contacts:', error);
+    return {};
+  }
+};
+
+const saveVerifiedContacts = (account, contacts) => {
+  localStorage.setItem(getVerifiedStorageKey(account), JSON.stringify(contacts));
+};
+
+export const markContactVerified = (account, contact, publicKey) => {
+  const contacts = loadVerifiedContacts(account);
+  contacts[contact.toLowerCase()] = {
+    keyHash: getKeyHash(publicKey),
+    verifiedAt: Date.now()
+  };
+  saveVerifiedContacts(account, contacts);
+  console.log('✅ Contact marked as verified:', contact);
+  return contacts;
+};
+
+export const clearContactVerification = (account, contact) => {
+  const contacts = loadVerifiedContacts(account);
+  delete contacts[contact.toLowerCase()];
+  saveVerifiedContacts(account, contacts);
+  return contacts;
+};
+
+// Status of a contact given their currently registered key. Without a known key a
+// verified contact is reported as verified; callers re-check once the key is fetched.
+export const getVerificationStatus = (verifiedContacts, contact, publicKey) => {
+  const entry = verifiedContacts[contact.toLowerCase()];
+  if (!entry) {
+    return VERIFICATION_STATUS.UNVERIFIED;
+  }
+  if (publicKey) {
+    try {
+      if (getKeyHash(publicKey) !== entry.keyHash) {
+        return VERIFICATION_STATUS.KEY_CHANGED;
+      }
+    } catch (error) {
+      return VERIFICATION_STATUS.KEY_CHANGED;
+    }
+  }
+  return VERIFICATION_STATUS.VERIFIED;
+};
@@ -6,6 +6,8 @@ async function main() {
     // Get the contract factories
     const IdentityRegistry = await ethers.getContractFactory("IdentityRegistry");
     const MessageAnchor = await ethers.getContractFactory("MessageAnchor");
+    const PrekeyRegistry = await ethers.getContractFactory("PrekeyRegistry");
+    const GroupRegistry = await ethers.getContractFactory("GroupRegistry");
     
     console.log("Deploying IdentityRegistry...");
     const identityRegistry = await IdentityRegistry.deploy();
@@ -15,12 +17,27 @@ async function main() {
     console.log("Deploying MessageAnchor...");
     const messageAnchor = await MessageAnchor.deploy();
     await messageAnchor.deployed();
-    console.log("MessageAnchor deployed to:", messageAnchor.address);
+    // The frontend's inbox sync starts from this block instead of the genesis block
+    const messageAnchorDeployBlock = (await messageAnchor.deployTransaction.wait()).blockNumber;
+    console.log("MessageAnchor deployed to:", messageAnchor.address, "in block", messageAnchorDeployBlock);
+    
+    console.log("Deploying PrekeyRegistry...");
+    const prekeyRegistry = await PrekeyRegistry.deploy(identityRegistry.address);
+    await prekeyRegistry.deployed();
+    console.log("PrekeyRegistry deployed to:", prekeyRegistry.address);
+    
+    console.log("Deploying GroupRegistry...");
+    const groupRegistry = await GroupRegistry.deploy(identityRegistry.address);
+    await groupRegistry.deployed();
+    console.log("GroupRegistry deployed to:", groupRegistry.address);
     
     // Save deployment addresses for frontend
     const deploymentInfo = {
         identityRegistry: identityRegistry.address,
         messageAnchor: messageAnchor.address,
+        messageAnchorDeployBlock,
+        prekeyRegistry: prekeyRegistry.address,
+        groupRegistry: groupRegistry.address,
         network: "localhost",
         deployedAt: new Date().toISOString()
     };
@@ -29,6 +46,8 @@ async function main() {
     console.log("Contract addresses:");
     console.log("- IdentityRegistry:", identityRegistry.address);
     console.log("- MessageAnchor:", messageAnchor.address);
+    console.log("- PrekeyRegistry:", prekeyRegistry.address);
+    console.log("- GroupRegistry:", groupRegistry.address);
     console.log("\nSave these addresses for your frontend configuration.");
     
     // Optionally save to a file
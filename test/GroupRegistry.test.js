@@ -0,0 +1,207 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+describe("GroupRegistry", function () {
+    let identityRegistry, groupRegistry;
+    let owner, user1, user2, user3, outsider;
+    const KeyMode = { Random: 0, WalletDerived: 1 };
+    const sampleMessageHash = "0x1234567890123456789012345678901234567890123456789012345678901234";
+    const sampleIPFSHash = "QmTestHashExample123456789";
+
+    async function register(user) {
+        const keyWallet = ethers.Wallet.createRandom();
+        const proofHash = await identityRegistry.getKeyProofHash(user.address, keyWallet.publicKey);
+        const proof = await keyWallet.signMessage(ethers.utils.arrayify(proofHash));
+        return identityRegistry.connect(user).registerKey(keyWallet.publicKey, KeyMode.Random, proof);
+    }
+
+    async function memberAddresses(groupId) {
+        return (await groupRegistry.getMembers(groupId)).slice().sort();
+    }
+
+    beforeEach(async function () {
+        [owner, user1, user2, user3, outsider] = await ethers.getSigners();
+
+        const IdentityRegistry = await ethers.getContractFactory("IdentityRegistry");
+        identityRegistry = await IdentityRegistry.deploy();
+        await identityRegistry.deployed();
+
+        const GroupRegistry = await ethers.getContractFactory("GroupRegistry");
+        groupRegistry = await GroupRegistry.deploy(identityRegistry.address);
+        await groupRegistry.deployed();
+
+        await register(user1);
+        await register(user2);
+        await register(user3);
+    });
+
+    describe("Group Creation", function () {
+        it("Should create a group with the creator as admin", async function () {
+            await expect(groupRegistry.connect(user1).createGroup("Team", [user2.address]))
+                .to.emit(groupRegistry, "GroupCreated")
+                .withArgs(1, user1.address, "Team")
+                .and.to.emit(groupRegistry, "MemberAdded")
+                .withArgs(1, user2.address, user1.address, 1);
+
+            const group = await groupRegistry.getGroup(1);
+            expect(group.name).to.equal("Team");
+            expect(group.creator).to.equal(user1.address);
+            expect(group.epoch).to.equal(1);
+            expect(group.memberCount).to.equal(2);
+
+            expect(await groupRegistry.isAdmin(1, user1.address)).to.be.true;
+            expect(await groupRegistry.isAdmin(1, user2.address)).to.be.false;
+            expect(await memberAddresses(1)).to.deep.equal([user1.address, user2.address].sort());
+            expect(await groupRegistry.getUserGroups(user2.address)).to.deep.equal([ethers.BigNumber.from(1)]);
+        });
+
+        it("Should fail to create a group for an unregistered user", async function () {
+            await expect(groupRegistry.connect(outsider).createGroup("Team", []))
+                .to.be.revertedWith("User not registered");
+        });
+
+        it("Should reject empty names, unregistered and duplicate members", async function () {
+            await expect(groupRegistry.connect(user1).createGroup("", []))
+                .to.be.revertedWith("Group name cannot be empty");
+            await expect(groupRegistry.connect(user1).createGroup("Team", [outsider.address]))
+                .to.be.revertedWith("Member not registered");
+            await expect(groupRegistry.connect(user1).createGroup("Team", [user1.address]))
+                .to.be.revertedWith("Already a group member");
+        });
+
+        it("Should fail to read a group that does not exist", async function () {
+            await expect(groupRegistry.getGroup(1))
+                .to.be.revertedWith("Group does not exist");
+        });
+    });
+
+    describe("Membership", function () {
+        beforeEach(async function () {
+            await groupRegistry.connect(user1).createGroup("Team", [user2.address]);
+        });
+
+        it("Should let admins add and remove members, bumping the epoch", async function () {
+            await expect(groupRegistry.connect(user1).addMembers(1, [user3.address]))
+                .to.emit(groupRegistry, "MemberAdded")
+                .withArgs(1, user3.address, user1.address, 2);
+
+            await expect(groupRegistry.connect(user1).removeMember(1, user2.address))
+                .to.emit(groupRegistry, "MemberRemoved")
+                .withArgs(1, user2.address, user1.address, 3);
+
+            const group = await groupRegistry.getGroup(1);
+            expect(group.epoch).to.equal(3);
+            expect(group.memberCount).to.equal(2);
+            expect(await groupRegistry.isMember(1, user2.address)).to.be.false;
+            expect(await memberAddresses(1)).to.deep.equal([user1.address, user3.address].sort());
+            expect(await groupRegistry.getUserGroups(user2.address)).to.be.empty;
+        });
+
+        it("Should not let members manage the group", async function () {
+            await expect(groupRegistry.connect(user2).addMembers(1, [user3.address]))
+                .to.be.revertedWith("Not a group admin");
+            await expect(groupRegistry.connect(user2).removeMember(1, user1.address))
+                .to.be.revertedWith("Not a group admin");
+            await expect(groupRegistry.connect(user2).addAdmin(1, user2.address))
+                .to.be.revertedWith("Not a group admin");
+        });
+
+        it("Should let members leave", async function () {
+            await expect(groupRegistry.connect(user2).leaveGroup(1))
+                .to.emit(groupRegistry, "MemberRemoved")
+                .withArgs(1, user2.address, user2.address, 2);
+
+            await expect(groupRegistry.connect(user2).leaveGroup(1))
+                .to.be.revertedWith("Not a group member");
+        });
+
+        it("Should keep an admin while members remain", async function () {
+            await expect(groupRegistry.connect(user1).leaveGroup(1))
+                .to.be.revertedWith("Group needs an admin");
+            await expect(groupRegistry.connect(user1).removeAdmin(1, user1.address))
+                .to.be.revertedWith("Group needs an admin");
+
+            await expect(groupRegistry.connect(user1).addAdmin(1, user2.address))
+                .to.emit(groupRegistry, "AdminAdded")
+                .withArgs(1, user2.address);
+            await expect(groupRegistry.connect(user1).leaveGroup(1))
+                .to.emit(groupRegistry, "AdminRemoved")
+                .withArgs(1, user1.address);
+
+            expect(await groupRegistry.isAdmin(1, user2.address)).to.be.true;
+            await expect(groupRegistry.connect(user2).leaveGroup(1))
+                .to.emit(groupRegistry, "MemberRemoved");
+        });
+
+        it("Should only promote members", async function () {
+            await expect(groupRegistry.connect(user1).addAdmin(1, user3.address))
+                .to.be.revertedWith("Not a group member");
+            await expect(groupRegistry.connect(user1).addAdmin(1, user1.address))
+                .to.be.revertedWith("Already an admin");
+        });
+    });
+
+    describe("Messages and Sender Keys", function () {
+        beforeEach(async function () {
+            await groupRegistry.connect(user1).createGroup("Team", [user2.address]);
+        });
+
+        it("Should anchor group messages from members", async function () {
+            await expect(groupRegistry.connect(user2).anchorGroupMessage(1, sampleMessageHash, sampleIPFSHash))
+                .to.emit(groupRegistry, "GroupMessageAnchored")
+                .withArgs(1, 0, user2.address, 1, sampleMessageHash, sampleIPFSHash);
+
+            const message = await groupRegistry.getGroupMessage(1, 0);
+            expect(message.from).to.equal(user2.address);
+            expect(message.epoch).to.equal(1);
+            expect(message.ipfsHash).to.equal(sampleIPFSHash);
+            expect(message.blockNumber).to.be.gt(0);
+            expect(await groupRegistry.getGroupMessageCount(1)).to.equal(1);
+        });
+
+        it("Should reject messages from non-members", async function () {
+            await expect(groupRegistry.connect(user3).anchorGroupMessage(1, sampleMessageHash, sampleIPFSHash))
+                .to.be.revertedWith("Not a group member");
+            await expect(groupRegistry.connect(user1).anchorGroupMessage(1, ethers.constants.HashZero, sampleIPFSHash))
+                .to.be.revertedWith("Invalid message hash");
+            await expect(groupRegistry.getGroupMessage(1, 0))
+                .to.be.revertedWith("Message does not exist");
+        });
+
+        it("Should return pages of group messages", async function () {
+            for (let i = 0; i < 3; i++) {
+                await groupRegistry.connect(user1).anchorGroupMessage(1, sampleMessageHash, `${sampleIPFSHash}${i}`);
+            }
+
+            const page = await groupRegistry.getGroupMessagesPage(1, 1, 5);
+            expect(page.map(message => message.ipfsHash)).to.deep.equal([`${sampleIPFSHash}1`, `${sampleIPFSHash}2`]);
+            expect(page[0].from).to.equal(user1.address);
+            expect(await groupRegistry.getGroupMessagesPage(1, 3, 5)).to.be.empty;
+
+            const maxPageSize = await groupRegistry.MAX_PAGE_SIZE();
+            await expect(groupRegistry.getGroupMessagesPage(1, 0, maxPageSize.add(1)))
+                .to.be.revertedWith("Limit too large");
+            await expect(groupRegistry.getGroupMessagesPage(2, 0, 1))
+                .to.be.revertedWith("Group does not exist");
+        });
+
+        it("Should announce sender keys for the current epoch", async function () {
+            await groupRegistry.connect(user1).addMembers(1, [user3.address]);
+
+            await expect(groupRegistry.connect(user3).publishSenderKey(1, 2, sampleMessageHash, sampleIPFSHash))
+                .to.emit(groupRegistry, "SenderKeyPublished")
+                .withArgs(1, user3.address, 2, sampleMessageHash, sampleIPFSHash);
+            await expect(groupRegistry.connect(outsider).publishSenderKey(1, 2, sampleMessageHash, sampleIPFSHash))
+                .to.be.revertedWith("Not a group member");
+        });
+
+        it("Should reject sender keys distributed for another epoch", async function () {
+            await groupRegistry.connect(user1).removeMember(1, user2.address);
+
+            await expect(groupRegistry.connect(user1).publishSenderKey(1, 1, sampleMessageHash, sampleIPFSHash))
+                .to.be.revertedWith("Epoch has changed");
+            await expect(groupRegistry.connect(user1).publishSenderKey(1, 3, sampleMessageHash, sampleIPFSHash))
+                .to.be.revertedWith("Epoch has changed");
+        });
+    });
+});
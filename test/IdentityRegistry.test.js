@@ -4,11 +4,25 @@ const { ethers } = require("hardhat");
 describe("IdentityRegistry", function () {
     let identityRegistry;
     let owner, user1, user2;
-    const samplePublicKey = "0x04a1b2c3d4e5f6789012345678901234567890123456789012345678901234567890123456789012345678901234567890";
+    let messagingKey, newMessagingKey;
+    const KeyMode = { Random: 0, WalletDerived: 1 };
+
+    // Sign the registry's proof hash with the messaging key's private key
+    async function signKeyProof(registry, user, keyWallet, publicKey = keyWallet.publicKey) {
+        const proofHash = await registry.getKeyProofHash(user.address, publicKey);
+        return keyWallet.signMessage(ethers.utils.arrayify(proofHash));
+    }
+
+    async function register(user, keyWallet, mode = KeyMode.Random) {
+        const proof = await signKeyProof(identityRegistry, user, keyWallet);
+        return identityRegistry.connect(user).registerKey(keyWallet.publicKey, mode, proof);
+    }
 
     beforeEach(async function () {
         [owner, user1, user2] = await ethers.getSigners();
-        
+        messagingKey = ethers.Wallet.createRandom();
+        newMessagingKey = ethers.Wallet.createRandom();
+
         const IdentityRegistry = await ethers.getContractFactory("IdentityRegistry");
         identityRegistry = await IdentityRegistry.deploy();
         await identityRegistry.deployed();
@@ -16,34 +30,140 @@ describe("IdentityRegistry", function () {
 
     describe("Registration", function () {
         it("Should register a new public key", async function () {
-            await expect(identityRegistry.connect(user1).registerKey(samplePublicKey))
+            await expect(register(user1, messagingKey))
                 .to.emit(identityRegistry, "KeyRegistered")
-                .withArgs(user1.address, samplePublicKey);
+                .withArgs(user1.address, messagingKey.publicKey.toLowerCase(), KeyMode.Random);
 
             expect(await identityRegistry.isRegistered(user1.address)).to.be.true;
         });
 
+        it("Should register a compressed public key", async function () {
+            const compressedKey = ethers.utils.computePublicKey(messagingKey.publicKey, true);
+            const proof = await signKeyProof(identityRegistry, user1, messagingKey, compressedKey);
+
+            await identityRegistry.connect(user1).registerKey(compressedKey, KeyMode.Random, proof);
+
+            expect(await identityRegistry.getKey(user1.address)).to.equal(compressedKey.toLowerCase());
+        });
+
+        it("Should record the key mode", async function () {
+            await register(user1, messagingKey, KeyMode.WalletDerived);
+
+            expect(await identityRegistry.getKeyMode(user1.address)).to.equal(KeyMode.WalletDerived);
+        });
+
+        it("Should fail to get key mode for unregistered user", async function () {
+            await expect(identityRegistry.getKeyMode(user2.address))
+                .to.be.revertedWith("User not registered");
+        });
+
         it("Should fail to register empty public key", async function () {
-            await expect(identityRegistry.connect(user1).registerKey("0x"))
+            await expect(identityRegistry.connect(user1).registerKey("0x", KeyMode.Random, "0x"))
                 .to.be.revertedWith("Public key cannot be empty");
         });
 
         it("Should fail to register twice", async function () {
-            await identityRegistry.connect(user1).registerKey(samplePublicKey);
-            
-            await expect(identityRegistry.connect(user1).registerKey(samplePublicKey))
+            await register(user1, messagingKey);
+
+            await expect(register(user1, messagingKey))
                 .to.be.revertedWith("User already registered");
         });
     });
 
+    describe("Proof of Possession", function () {
+        it("Should reject a proof signed by a different key", async function () {
+            const forgedProof = await signKeyProof(identityRegistry, user1, newMessagingKey, messagingKey.publicKey);
+
+            await expect(identityRegistry.connect(user1).registerKey(messagingKey.publicKey, KeyMode.Random, forgedProof))
+                .to.be.revertedWith("Invalid key proof");
+        });
+
+        it("Should reject a proof signed by the registrant's wallet instead of the key", async function () {
+            const proofHash = await identityRegistry.getKeyProofHash(user1.address, messagingKey.publicKey);
+            const walletProof = await user1.signMessage(ethers.utils.arrayify(proofHash));
+
+            await expect(identityRegistry.connect(user1).registerKey(messagingKey.publicKey, KeyMode.Random, walletProof))
+                .to.be.revertedWith("Invalid key proof");
+        });
+
+        it("Should not let another account register someone else's key with their proof", async function () {
+            const proof = await signKeyProof(identityRegistry, user1, messagingKey);
+
+            await expect(identityRegistry.connect(user2).registerKey(messagingKey.publicKey, KeyMode.Random, proof))
+                .to.be.revertedWith("Invalid key proof");
+        });
+
+        it("Should reject a replayed proof", async function () {
+            const oldProof = await signKeyProof(identityRegistry, user1, messagingKey);
+            await identityRegistry.connect(user1).registerKey(messagingKey.publicKey, KeyMode.Random, oldProof);
+            expect(await identityRegistry.nonces(user1.address)).to.equal(1);
+
+            const newProof = await signKeyProof(identityRegistry, user1, newMessagingKey);
+            await identityRegistry.connect(user1).updateKey(newMessagingKey.publicKey, KeyMode.Random, newProof);
+
+            // Rolling back to the first key with its original proof must fail
+            await expect(identityRegistry.connect(user1).updateKey(messagingKey.publicKey, KeyMode.Random, oldProof))
+                .to.be.revertedWith("Invalid key proof");
+        });
+
+        it("Should reject a proof made for another registry deployment", async function () {
+            const IdentityRegistry = await ethers.getContractFactory("IdentityRegistry");
+            const otherRegistry = await IdentityRegistry.deploy();
+            await otherRegistry.deployed();
+            const otherProof = await signKeyProof(otherRegistry, user1, messagingKey);
+
+            await expect(identityRegistry.connect(user1).registerKey(messagingKey.publicKey, KeyMode.Random, otherProof))
+                .to.be.revertedWith("Invalid key proof");
+        });
+
+        it("Should reject a malformed proof", async function () {
+            await expect(identityRegistry.connect(user1).registerKey(messagingKey.publicKey, KeyMode.Random, "0x1234"))
+                .to.be.revertedWith("Invalid key proof length");
+        });
+
+        it("Should reject a high-s proof", async function () {
+            const proof = ethers.utils.splitSignature(await signKeyProof(identityRegistry, user1, messagingKey));
+            const curveOrder = ethers.BigNumber.from("0xFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFEBAAEDCE6AF48A03BBFD25E8CD0364141");
+            const highS = ethers.utils.hexZeroPad(curveOrder.sub(proof.s).toHexString(), 32);
+            const malleated = ethers.utils.hexConcat([proof.r, highS, proof.v === 27 ? "0x1c" : "0x1b"]);
+
+            await expect(identityRegistry.connect(user1).registerKey(messagingKey.publicKey, KeyMode.Random, malleated))
+                .to.be.revertedWith("Invalid key proof");
+        });
+
+        it("Should reject keys with an invalid length or prefix", async function () {
+            const proof = await signKeyProof(identityRegistry, user1, messagingKey);
+            const rawKey = ethers.utils.hexDataSlice(messagingKey.publicKey, 1);
+            const wrongPrefix = ethers.utils.hexConcat(["0x05", rawKey]);
+
+            await expect(identityRegistry.connect(user1).registerKey(rawKey, KeyMode.Random, proof))
+                .to.be.revertedWith("Invalid public key format");
+            await expect(identityRegistry.connect(user1).registerKey(wrongPrefix, KeyMode.Random, proof))
+                .to.be.revertedWith("Invalid public key format");
+        });
+
+        it("Should reject points that are not on the curve", async function () {
+            const proof = await signKeyProof(identityRegistry, user1, messagingKey);
+            const x = ethers.utils.hexDataSlice(messagingKey.publicKey, 1, 33);
+            const offCurve = ethers.utils.hexConcat(["0x04", x, ethers.utils.hexZeroPad("0x01", 32)]);
+            // x = 5 has no matching y on secp256k1 (5^3 + 7 is not a square mod p)
+            const compressedOffCurve = ethers.utils.hexConcat(["0x02", ethers.utils.hexZeroPad("0x05", 32)]);
+
+            await expect(identityRegistry.connect(user1).registerKey(offCurve, KeyMode.Random, proof))
+                .to.be.revertedWith("Public key is not on the secp256k1 curve");
+            await expect(identityRegistry.connect(user1).registerKey(compressedOffCurve, KeyMode.Random, proof))
+                .to.be.revertedWith("Public key is not on the secp256k1 curve");
+        });
+    });
+
     describe("Key Retrieval", function () {
         beforeEach(async function () {
-            await identityRegistry.connect(user1).registerKey(samplePublicKey);
+            await register(user1, messagingKey);
         });
 
         it("Should return correct public key", async function () {
             const retrievedKey = await identityRegistry.getKey(user1.address);
-            expect(retrievedKey).to.equal(samplePublicKey);
+            expect(retrievedKey).to.equal(messagingKey.publicKey.toLowerCase());
         });
 
         it("Should fail to get key for unregistered user", async function () {
@@ -53,29 +173,130 @@ describe("IdentityRegistry", function () {
     });
 
     describe("Key Update", function () {
-        const newPublicKey = "0x04b1c2d3e4f5g6789012345678901234567890123456789012345678901234567890123456789012345678901234567890";
-
         beforeEach(async function () {
-            await identityRegistry.connect(user1).registerKey(samplePublicKey);
+            await register(user1, messagingKey);
         });
 
         it("Should update existing public key", async function () {
-            await expect(identityRegistry.connect(user1).updateKey(newPublicKey))
+            const proof = await signKeyProof(identityRegistry, user1, newMessagingKey);
+
+            await expect(identityRegistry.connect(user1).updateKey(newMessagingKey.publicKey, KeyMode.WalletDerived, proof))
                 .to.emit(identityRegistry, "KeyUpdated")
-                .withArgs(user1.address, newPublicKey);
+                .withArgs(user1.address, newMessagingKey.publicKey.toLowerCase(), KeyMode.WalletDerived);
 
             const retrievedKey = await identityRegistry.getKey(user1.address);
-            expect(retrievedKey).to.equal(newPublicKey);
+            expect(retrievedKey).to.equal(newMessagingKey.publicKey.toLowerCase());
+            expect(await identityRegistry.getKeyMode(user1.address)).to.equal(KeyMode.WalletDerived);
         });
 
         it("Should fail to update if not registered", async function () {
-            await expect(identityRegistry.connect(user2).updateKey(newPublicKey))
+            const proof = await signKeyProof(identityRegistry, user2, newMessagingKey);
+
+            await expect(identityRegistry.connect(user2).updateKey(newMessagingKey.publicKey, KeyMode.Random, proof))
                 .to.be.revertedWith("User not registered");
         });
 
         it("Should fail to update with empty key", async function () {
-            await expect(identityRegistry.connect(user1).updateKey("0x"))
+            await expect(identityRegistry.connect(user1).updateKey("0x", KeyMode.Random, "0x"))
                 .to.be.revertedWith("Public key cannot be empty");
         });
+
+        it("Should fail to update without a valid proof", async function () {
+            const forgedProof = await signKeyProof(identityRegistry, user1, messagingKey, newMessagingKey.publicKey);
+
+            await expect(identityRegistry.connect(user1).updateKey(newMessagingKey.publicKey, KeyMode.Random, forgedProof))
+                .to.be.revertedWith("Invalid key proof");
+        });
+    });
+
+    describe("Key History and Revocation", function () {
+        let firstBlock, secondBlock;
+
+        beforeEach(async function () {
+            const registerTx = await register(user1, messagingKey);
+            firstBlock = (await registerTx.wait()).blockNumber;
+
+            const proof = await signKeyProof(identityRegistry, user1, newMessagingKey);
+            const updateTx = await identityRegistry.connect(user1).updateKey(newMessagingKey.publicKey, KeyMode.WalletDerived, proof);
+            secondBlock = (await updateTx.wait()).blockNumber;
+        });
+
+        it("Should keep every registered key in the history", async function () {
+            expect(await identityRegistry.getKeyCount(user1.address)).to.equal(2);
+
+            const first = await identityRegistry.getKeyRecord(user1.address, 1);
+            expect(first.publicKey).to.equal(messagingKey.publicKey.toLowerCase());
+            expect(first.version).to.equal(1);
+            expect(first.mode).to.equal(KeyMode.Random);
+            expect(first.activatedAt).to.equal(firstBlock);
+            expect(first.revokedAt).to.equal(0);
+
+            const second = await identityRegistry.getKeyRecord(user1.address, 2);
+            expect(second.version).to.equal(2);
+            expect(second.activatedAt).to.equal(secondBlock);
+        });
+
+        it("Should fail to get a key version that does not exist", async function () {
+            await expect(identityRegistry.getKeyRecord(user1.address, 0))
+                .to.be.revertedWith("Key version does not exist");
+            await expect(identityRegistry.getKeyRecord(user1.address, 3))
+                .to.be.revertedWith("Key version does not exist");
+        });
+
+        it("Should return the key valid at a given block", async function () {
+            expect((await identityRegistry.getKeyAt(user1.address, firstBlock)).version).to.equal(1);
+            expect((await identityRegistry.getKeyAt(user1.address, secondBlock - 1)).version).to.equal(1);
+            expect((await identityRegistry.getKeyAt(user1.address, secondBlock)).version).to.equal(2);
+
+            await expect(identityRegistry.getKeyAt(user1.address, firstBlock - 1))
+                .to.be.revertedWith("No key valid at block");
+        });
+
+        it("Should report whether a key version was valid at a block", async function () {
+            expect(await identityRegistry.isKeyValidAt(user1.address, 1, firstBlock)).to.be.true;
+            expect(await identityRegistry.isKeyValidAt(user1.address, 1, secondBlock)).to.be.false;
+            expect(await identityRegistry.isKeyValidAt(user1.address, 2, firstBlock)).to.be.false;
+            expect(await identityRegistry.isKeyValidAt(user1.address, 2, secondBlock)).to.be.true;
+            expect(await identityRegistry.isKeyValidAt(user1.address, 3, secondBlock)).to.be.false;
+        });
+
+        it("Should revoke the current key", async function () {
+            const revokeTx = await identityRegistry.connect(user1).revokeKey(2);
+            const revokedBlock = (await revokeTx.wait()).blockNumber;
+            await expect(revokeTx).to.emit(identityRegistry, "KeyRevoked").withArgs(user1.address, 2);
+
+            expect((await identityRegistry.getKeyRecord(user1.address, 2)).revokedAt).to.equal(revokedBlock);
+            await expect(identityRegistry.getKey(user1.address)).to.be.revertedWith("Key revoked");
+            await expect(identityRegistry.getKeyAt(user1.address, revokedBlock)).to.be.revertedWith("Key revoked");
+            expect(await identityRegistry.isKeyValidAt(user1.address, 2, revokedBlock)).to.be.false;
+
+            // Messages sent before the revocation still resolve to the key
+            expect((await identityRegistry.getKeyAt(user1.address, revokedBlock - 1)).version).to.equal(2);
+        });
+
+        it("Should make a new key current after revocation", async function () {
+            await identityRegistry.connect(user1).revokeKey(2);
+
+            const replacementKey = ethers.Wallet.createRandom();
+            const proof = await signKeyProof(identityRegistry, user1, replacementKey);
+            await identityRegistry.connect(user1).updateKey(replacementKey.publicKey, KeyMode.Random, proof);
+
+            expect(await identityRegistry.getKey(user1.address)).to.equal(replacementKey.publicKey.toLowerCase());
+            expect(await identityRegistry.getKeyCount(user1.address)).to.equal(3);
+        });
+
+        it("Should fail to revoke twice", async function () {
+            await identityRegistry.connect(user1).revokeKey(1);
+
+            await expect(identityRegistry.connect(user1).revokeKey(1))
+                .to.be.revertedWith("Key already revoked");
+        });
+
+        it("Should fail to revoke a missing version or without registering", async function () {
+            await expect(identityRegistry.connect(user1).revokeKey(5))
+                .to.be.revertedWith("Key version does not exist");
+            await expect(identityRegistry.connect(user2).revokeKey(1))
+                .to.be.revertedWith("User not registered");
+        });
     });
 });
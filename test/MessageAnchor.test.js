@@ -1,3 +1,5 @@
+const path = require("path");
+const { pathToFileURL } = require("url");
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
 
@@ -85,6 +87,7 @@ describe("MessageAnchor", function () {
             expect(message.messageHash).to.equal(sampleMessageHash);
             expect(message.ipfsHash).to.equal(sampleIPFSHash);
             expect(message.timestamp).to.be.gt(0);
+            expect(message.blockNumber).to.be.gt(0);
         });
 
         it("Should fail to retrieve non-existent message", async function () {
@@ -92,6 +95,25 @@ describe("MessageAnchor", function () {
                 .to.be.revertedWith("Message does not exist");
         });
 
+        it("Should retrieve several messages in one call", async function () {
+            const [second, first] = await messageAnchor.getMessages([1, 0]);
+            
+            expect(first.from).to.equal(user1.address);
+            expect(first.messageHash).to.equal(sampleMessageHash);
+            expect(second.from).to.equal(user2.address);
+            expect(second.ipfsHash).to.equal("QmTestHashExample234567890");
+            expect(await messageAnchor.getMessages([])).to.be.empty;
+        });
+
+        it("Should fail to retrieve a batch with a non-existent message", async function () {
+            await expect(messageAnchor.getMessages([0, 999]))
+                .to.be.revertedWith("Message does not exist");
+
+            const maxPageSize = (await messageAnchor.MAX_PAGE_SIZE()).toNumber();
+            await expect(messageAnchor.getMessages(new Array(maxPageSize + 1).fill(0)))
+                .to.be.revertedWith("Too many messages");
+        });
+
         it("Should get user messages", async function () {
             const user1Messages = await messageAnchor.getUserMessages(user1.address);
             const user2Messages = await messageAnchor.getUserMessages(user2.address);
@@ -154,4 +176,337 @@ describe("MessageAnchor", function () {
             expect(await messageAnchor.getMessageCount()).to.equal(3);
         });
     });
+
+    describe("Pagination", function () {
+        const toNumbers = (ids) => ids.map(id => id.toNumber());
+
+        beforeEach(async function () {
+            await messageAnchor.connect(user1).anchorMessage(user2.address, sampleMessageHash, sampleIPFSHash); // 0
+            await messageAnchor.connect(user1).anchorMessage(user3.address, sampleMessageHash, sampleIPFSHash); // 1
+            await messageAnchor.connect(user2).anchorMessage(user1.address, sampleMessageHash, sampleIPFSHash); // 2
+            await messageAnchor.connect(user1).anchorMessage(user2.address, sampleMessageHash, sampleIPFSHash); // 3
+        });
+
+        it("Should index conversations by the ordered address pair", async function () {
+            expect(await messageAnchor.getConversationKey(user1.address, user2.address))
+                .to.equal(await messageAnchor.getConversationKey(user2.address, user1.address));
+
+            expect(toNumbers(await messageAnchor.getConversationMessages(user2.address, user1.address)))
+                .to.deep.equal([0, 2, 3]);
+            expect(await messageAnchor.getConversationMessageCount(user1.address, user2.address)).to.equal(3);
+            expect(await messageAnchor.getConversationMessageCount(user2.address, user3.address)).to.equal(0);
+            expect(await messageAnchor.getUserMessageCount(user1.address)).to.equal(4);
+        });
+
+        it("Should return pages of user and conversation messages", async function () {
+            expect(toNumbers(await messageAnchor.getUserMessagesPage(user1.address, 1, 2))).to.deep.equal([1, 2]);
+            expect(toNumbers(await messageAnchor.getUserMessagesPage(user1.address, 3, 5))).to.deep.equal([3]);
+            expect(await messageAnchor.getUserMessagesPage(user1.address, 10, 5)).to.be.empty;
+
+            expect(toNumbers(await messageAnchor.getConversationMessagesPage(user2.address, user1.address, 1, 10)))
+                .to.deep.equal([2, 3]);
+            expect(toNumbers(await messageAnchor.getConversationMessagesPage(user1.address, user3.address, 0, 10)))
+                .to.deep.equal([1]);
+        });
+
+        it("Should reject oversized pages", async function () {
+            const maxPageSize = await messageAnchor.MAX_PAGE_SIZE();
+            await expect(messageAnchor.getUserMessagesPage(user1.address, 0, maxPageSize.add(1)))
+                .to.be.revertedWith("Limit too large");
+            await expect(messageAnchor.getConversationMessagesPage(user1.address, user2.address, 0, maxPageSize.add(1)))
+                .to.be.revertedWith("Limit too large");
+        });
+
+        it("Should get messages after a timestamp", async function () {
+            const { timestamp } = await messageAnchor.getMessage(1);
+
+            expect(toNumbers(await messageAnchor.getRecentMessages(user1.address, timestamp))).to.deep.equal([2, 3]);
+            expect(toNumbers(await messageAnchor.getRecentMessages(user1.address, 0))).to.deep.equal([0, 1, 2, 3]);
+            expect(await messageAnchor.getRecentMessages(user3.address, timestamp)).to.be.empty;
+        });
+    });
+
+    describe("Sealed Messages", function () {
+        const sampleTag = ethers.utils.id("tag-1");
+        let epoch;
+
+        beforeEach(async function () {
+            epoch = await messageAnchor.getCurrentEpoch();
+        });
+
+        it("Should anchor a sealed message without addresses", async function () {
+            await expect(messageAnchor.connect(user1).anchorSealedMessage(
+                sampleTag,
+                epoch,
+                sampleMessageHash,
+                sampleIPFSHash
+            )).to.emit(messageAnchor, "SealedMessageAnchored")
+              .withArgs(0, sampleTag, epoch, sampleMessageHash, sampleIPFSHash);
+
+            const message = await messageAnchor.getSealedMessage(0);
+            expect(message.tag).to.equal(sampleTag);
+            expect(message.epoch).to.equal(epoch);
+            expect(message.messageHash).to.equal(sampleMessageHash);
+            expect(message.ipfsHash).to.equal(sampleIPFSHash);
+            expect(message.blockNumber).to.be.gt(0);
+
+            // Sealed messages are not attributed to anyone
+            expect(await messageAnchor.getUserMessages(user1.address)).to.be.empty;
+            expect(await messageAnchor.getMessageCount()).to.equal(0);
+            expect(await messageAnchor.getSealedMessageCount()).to.equal(1);
+        });
+
+        it("Should look up sealed messages by tag", async function () {
+            const otherTag = ethers.utils.id("tag-2");
+            await messageAnchor.connect(user1).anchorSealedMessage(sampleTag, epoch, sampleMessageHash, sampleIPFSHash);
+            await messageAnchor.connect(user2).anchorSealedMessage(otherTag, epoch, sampleMessageHash, sampleIPFSHash);
+            await messageAnchor.connect(user3).anchorSealedMessage(sampleTag, epoch, sampleMessageHash, sampleIPFSHash);
+
+            const ids = await messageAnchor.getSealedMessagesByTag(sampleTag);
+            expect(ids.map(id => id.toNumber())).to.deep.equal([0, 2]);
+        });
+
+        it("Should fetch several sealed messages in one call", async function () {
+            const otherTag = ethers.utils.id("tag-2");
+            await messageAnchor.connect(user1).anchorSealedMessage(sampleTag, epoch, sampleMessageHash, sampleIPFSHash);
+            await messageAnchor.connect(user2).anchorSealedMessage(otherTag, epoch, sampleMessageHash, sampleIPFSHash);
+
+            const [second, first] = await messageAnchor.getSealedMessages([1, 0]);
+            expect(second.tag).to.equal(otherTag);
+            expect(first.tag).to.equal(sampleTag);
+
+            await expect(messageAnchor.getSealedMessages([0, 999]))
+                .to.be.revertedWith("Message does not exist");
+            const maxPageSize = (await messageAnchor.MAX_PAGE_SIZE()).toNumber();
+            await expect(messageAnchor.getSealedMessages(new Array(maxPageSize + 1).fill(0)))
+                .to.be.revertedWith("Too many messages");
+        });
+
+        it("Should accept the previous epoch and reject others", async function () {
+            await expect(messageAnchor.connect(user1).anchorSealedMessage(sampleTag, epoch.sub(1), sampleMessageHash, sampleIPFSHash))
+                .to.emit(messageAnchor, "SealedMessageAnchored");
+            await expect(messageAnchor.connect(user1).anchorSealedMessage(sampleTag, epoch.add(1), sampleMessageHash, sampleIPFSHash))
+                .to.be.revertedWith("Invalid epoch");
+            await expect(messageAnchor.connect(user1).anchorSealedMessage(sampleTag, epoch.sub(2), sampleMessageHash, sampleIPFSHash))
+                .to.be.revertedWith("Invalid epoch");
+        });
+
+        it("Should reject invalid sealed messages", async function () {
+            await expect(messageAnchor.connect(user1).anchorSealedMessage(ethers.constants.HashZero, epoch, sampleMessageHash, sampleIPFSHash))
+                .to.be.revertedWith("Invalid tag");
+            await expect(messageAnchor.connect(user1).anchorSealedMessage(sampleTag, epoch, ethers.constants.HashZero, sampleIPFSHash))
+                .to.be.revertedWith("Invalid message hash");
+            await expect(messageAnchor.connect(user1).anchorSealedMessage(sampleTag, epoch, sampleMessageHash, ""))
+                .to.be.revertedWith("IPFS hash cannot be empty");
+            await expect(messageAnchor.getSealedMessage(0))
+                .to.be.revertedWith("Message does not exist");
+        });
+    });
+
+    describe("Channels", function () {
+        beforeEach(async function () {
+            await messageAnchor.connect(user1).createChannel("Announcements");
+        });
+
+        it("Should create a channel owned by the caller", async function () {
+            await expect(messageAnchor.connect(user2).createChannel("News"))
+                .to.emit(messageAnchor, "ChannelCreated")
+                .withArgs(1, user2.address, "News");
+
+            const channel = await messageAnchor.getChannel(0);
+            expect(channel.name).to.equal("Announcements");
+            expect(channel.owner).to.equal(user1.address);
+            expect(channel.subscriberCount).to.equal(0);
+            expect(await messageAnchor.getChannelCount()).to.equal(2);
+
+            await expect(messageAnchor.connect(user1).createChannel(""))
+                .to.be.revertedWith("Channel name cannot be empty");
+            await expect(messageAnchor.getChannel(2))
+                .to.be.revertedWith("Channel does not exist");
+        });
+
+        it("Should let users subscribe and unsubscribe", async function () {
+            await expect(messageAnchor.connect(user2).subscribe(0))
+                .to.emit(messageAnchor, "ChannelSubscribed")
+                .withArgs(0, user2.address);
+            await messageAnchor.connect(user3).subscribe(0);
+
+            await expect(messageAnchor.connect(user2).subscribe(0))
+                .to.be.revertedWith("Already subscribed");
+            expect(await messageAnchor.isSubscribed(0, user2.address)).to.be.true;
+            expect(await messageAnchor.getSubscriptions(user2.address)).to.deep.equal([ethers.BigNumber.from(0)]);
+
+            await expect(messageAnchor.connect(user2).unsubscribe(0))
+                .to.emit(messageAnchor, "ChannelUnsubscribed")
+                .withArgs(0, user2.address);
+
+            expect(await messageAnchor.isSubscribed(0, user2.address)).to.be.false;
+            expect(await messageAnchor.getChannelSubscribers(0)).to.deep.equal([user3.address]);
+            expect(await messageAnchor.getSubscriptions(user2.address)).to.be.empty;
+            expect((await messageAnchor.getChannel(0)).subscriberCount).to.equal(1);
+
+            await expect(messageAnchor.connect(user2).unsubscribe(0))
+                .to.be.revertedWith("Not subscribed");
+            await expect(messageAnchor.connect(user2).subscribe(5))
+                .to.be.revertedWith("Channel does not exist");
+        });
+
+        it("Should only let the owner post", async function () {
+            await messageAnchor.connect(user2).subscribe(0);
+
+            await expect(messageAnchor.connect(user2).postToChannel(0, sampleMessageHash, sampleIPFSHash))
+                .to.be.revertedWith("Not the channel owner");
+            await expect(messageAnchor.connect(user3).postToChannel(0, sampleMessageHash, sampleIPFSHash))
+                .to.be.revertedWith("Not the channel owner");
+
+            await expect(messageAnchor.connect(user1).postToChannel(0, sampleMessageHash, sampleIPFSHash))
+                .to.emit(messageAnchor, "ChannelPostAnchored")
+                .withArgs(0, 0, sampleMessageHash, sampleIPFSHash);
+
+            const post = await messageAnchor.getChannelPost(0, 0);
+            expect(post.messageHash).to.equal(sampleMessageHash);
+            expect(post.ipfsHash).to.equal(sampleIPFSHash);
+            expect(post.blockNumber).to.be.gt(0);
+            expect(await messageAnchor.getChannelPostCount(0)).to.equal(1);
+
+            // Posts are not direct messages
+            expect(await messageAnchor.getMessageCount()).to.equal(0);
+        });
+
+        it("Should return pages of channel posts", async function () {
+            for (let i = 0; i < 3; i++) {
+                await messageAnchor.connect(user1).postToChannel(0, sampleMessageHash, `${sampleIPFSHash}${i}`);
+            }
+
+            const page = await messageAnchor.getChannelPostsPage(0, 1, 5);
+            expect(page.map(post => post.ipfsHash)).to.deep.equal([`${sampleIPFSHash}1`, `${sampleIPFSHash}2`]);
+            expect(await messageAnchor.getChannelPostsPage(0, 3, 5)).to.be.empty;
+
+            const maxPageSize = await messageAnchor.MAX_PAGE_SIZE();
+            await expect(messageAnchor.getChannelPostsPage(0, 0, maxPageSize.add(1)))
+                .to.be.revertedWith("Limit too large");
+            await expect(messageAnchor.getChannelPostsPage(1, 0, 1))
+                .to.be.revertedWith("Channel does not exist");
+        });
+
+        it("Should reject invalid posts", async function () {
+            await expect(messageAnchor.connect(user1).postToChannel(0, ethers.constants.HashZero, sampleIPFSHash))
+                .to.be.revertedWith("Invalid message hash");
+            await expect(messageAnchor.connect(user1).postToChannel(0, sampleMessageHash, ""))
+                .to.be.revertedWith("IPFS hash cannot be empty");
+            await expect(messageAnchor.connect(user1).postToChannel(1, sampleMessageHash, sampleIPFSHash))
+                .to.be.revertedWith("Channel does not exist");
+            await expect(messageAnchor.getChannelPost(0, 0))
+                .to.be.revertedWith("Post does not exist");
+        });
+    });
+
+    // The rules the frontend's inbox sync engine follows reorganizations with
+    // (frontend/src/utils/syncState.js), fed the way the engine feeds them
+    describe("Reorganizations", function () {
+        let syncState;
+        let state;
+
+        before(async function () {
+            syncState = await import(pathToFileURL(path.join(__dirname, "../frontend/src/utils/syncState.js")).href);
+        });
+
+        beforeEach(async function () {
+            state = syncState.createSyncState(messageAnchor.deployTransaction.blockNumber);
+        });
+
+        const getBlockHash = async (blockNumber) => {
+            const block = await ethers.provider.getBlock(blockNumber);
+            return block ? block.hash : null;
+        };
+
+        // One engine pass for user2's inbox: roll back replaced blocks, then sync to the head
+        const sync = async () => {
+            const head = (await ethers.provider.getBlock("latest")).number;
+            const { removed } = await state.checkForReorg(head, getBlockHash);
+            const fromBlock = state.getLastSyncedBlock() + 1;
+            const events = await messageAnchor.queryFilter(messageAnchor.filters.MessageAnchored(null, null, user2.address), fromBlock, head);
+            const added = events
+                .filter(event => !state.messages.has(event.args.messageId.toString()))
+                .map(event => ({
+                    id: event.args.messageId.toString(),
+                    messageHash: event.args.messageHash,
+                    blockNumber: event.blockNumber
+                }));
+            state.advance(head, await getBlockHash(head), added);
+            await state.keepFinalCheckpoint(head, getBlockHash);
+            return { head, added, removed };
+        };
+
+        const mine = async (blocks) => {
+            for (let i = 0; i < blocks; i++) {
+                await ethers.provider.send("evm_mine", []);
+            }
+        };
+
+        it("Should drop messages anchored in replaced blocks and sync their replacements", async function () {
+            await messageAnchor.connect(user1).anchorMessage(user2.address, sampleMessageHash, sampleIPFSHash);
+            await sync();
+            const forkBlock = state.getLastSyncedBlock();
+            const snapshot = await ethers.provider.send("evm_snapshot", []);
+
+            const replacedHash = ethers.utils.id("replaced");
+            await messageAnchor.connect(user1).anchorMessage(user2.address, replacedHash, sampleIPFSHash);
+            await mine(2);
+            const { added } = await sync();
+            expect(added.map(message => message.id)).to.deep.equal(["1"]);
+
+            // The replacing chain reuses message ID 1 and grows past the old head
+            await ethers.provider.send("evm_revert", [snapshot]);
+            const replacementHash = ethers.utils.id("replacement");
+            await messageAnchor.connect(user3).anchorMessage(user2.address, replacementHash, sampleIPFSHash);
+            await mine(4);
+
+            const result = await sync();
+            expect(result.removed).to.deep.equal(["1"]);
+            expect(result.added.map(message => message.id)).to.deep.equal(["1"]);
+            expect(state.messages.get("1").messageHash).to.equal(replacementHash);
+            expect(state.messages.get("0").blockNumber).to.be.at.most(forkBlock);
+        });
+
+        it("Should start over when no synced block is left in the chain", async function () {
+            // Deployed after the snapshot, so the revert replaces every synced block
+            const snapshot = await ethers.provider.send("evm_snapshot", []);
+            messageAnchor = await (await ethers.getContractFactory("MessageAnchor")).deploy();
+            await messageAnchor.deployed();
+            state = syncState.createSyncState(messageAnchor.deployTransaction.blockNumber);
+            await messageAnchor.connect(user1).anchorMessage(user2.address, sampleMessageHash, sampleIPFSHash);
+            await sync();
+
+            await ethers.provider.send("evm_revert", [snapshot]);
+            await mine(3);
+            const { removed } = await state.checkForReorg((await ethers.provider.getBlock("latest")).number, getBlockHash);
+            expect(removed).to.deep.equal(["0"]);
+            expect(state.getLastSyncedBlock()).to.equal(messageAnchor.deployTransaction.blockNumber - 1);
+            expect(state.getCursor().checkpoints).to.deep.equal({});
+        });
+
+        it("Should report confirmations until messages are final", async function () {
+            const { SAFE_CONFIRMATIONS, FINALITY_DEPTH, CONFIRMATION_STATUS, getConfirmationState } = syncState;
+            await messageAnchor.connect(user1).anchorMessage(user2.address, sampleMessageHash, sampleIPFSHash);
+            let { head } = await sync();
+            const message = state.messages.get("0");
+            expect(getConfirmationState(message.blockNumber, head).status).to.equal(CONFIRMATION_STATUS.PENDING);
+
+            await mine(SAFE_CONFIRMATIONS - 1);
+            ({ head } = await sync());
+            expect(getConfirmationState(message.blockNumber, head).status).to.equal(CONFIRMATION_STATUS.CONFIRMED);
+
+            await mine(FINALITY_DEPTH - SAFE_CONFIRMATIONS);
+            ({ head } = await sync());
+            expect(getConfirmationState(message.blockNumber, head)).to.deep.equal({
+                status: CONFIRMATION_STATUS.FINAL,
+                confirmations: FINALITY_DEPTH
+            });
+
+            // Only the checkpoint at the finality depth and newer ones are kept
+            const checkpoints = Object.keys(state.getCursor().checkpoints).map(Number);
+            expect(Math.min(...checkpoints)).to.equal(head - FINALITY_DEPTH);
+        });
+    });
 });
@@ -0,0 +1,212 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+describe("PrekeyRegistry", function () {
+    let identityRegistry, prekeyRegistry;
+    let owner, user1, user2, user3;
+    let messagingKey;
+    const KeyMode = { Random: 0, WalletDerived: 1 };
+
+    async function register(user, keyWallet) {
+        const proofHash = await identityRegistry.getKeyProofHash(user.address, keyWallet.publicKey);
+        const proof = await keyWallet.signMessage(ethers.utils.arrayify(proofHash));
+        return identityRegistry.connect(user).registerKey(keyWallet.publicKey, KeyMode.Random, proof);
+    }
+
+    function randomPrekey() {
+        return ethers.utils.computePublicKey(ethers.Wallet.createRandom().publicKey, true);
+    }
+
+    function randomPrekeys(count, firstId = 1) {
+        const ids = [];
+        const keys = [];
+        for (let i = 0; i < count; i++) {
+            ids.push(firstId + i);
+            keys.push(randomPrekey());
+        }
+        return { ids, keys };
+    }
+
+    async function publish(user, prekeyCount = 10) {
+        const signedPrekey = randomPrekey();
+        const signature = await messagingKey.signMessage(ethers.utils.arrayify(ethers.utils.keccak256(signedPrekey)));
+        const { ids, keys } = randomPrekeys(prekeyCount, 100);
+        await prekeyRegistry.connect(user).publishPrekeys(1, signedPrekey, signature, ids, keys);
+        return { signedPrekey, signature, ids, keys };
+    }
+
+    beforeEach(async function () {
+        [owner, user1, user2, user3] = await ethers.getSigners();
+        messagingKey = ethers.Wallet.createRandom();
+
+        const IdentityRegistry = await ethers.getContractFactory("IdentityRegistry");
+        identityRegistry = await IdentityRegistry.deploy();
+        await identityRegistry.deployed();
+
+        const PrekeyRegistry = await ethers.getContractFactory("PrekeyRegistry");
+        prekeyRegistry = await PrekeyRegistry.deploy(identityRegistry.address);
+        await prekeyRegistry.deployed();
+
+        await register(user1, messagingKey);
+        await register(user2, ethers.Wallet.createRandom());
+    });
+
+    describe("Publishing", function () {
+        it("Should publish a signed prekey and one-time prekeys", async function () {
+            const { signedPrekey, signature } = await publish(user1, 10);
+
+            const record = await prekeyRegistry.getSignedPrekey(user1.address);
+            expect(record.id).to.equal(1);
+            expect(record.publicKey).to.equal(signedPrekey.toLowerCase());
+            expect(record.signature).to.equal(signature.toLowerCase());
+            expect(record.keyVersion).to.equal(1);
+            expect(await prekeyRegistry.hasPrekeys(user1.address)).to.be.true;
+            expect(await prekeyRegistry.getOneTimePrekeyCount(user1.address)).to.equal(10);
+        });
+
+        it("Should emit events when publishing", async function () {
+            const { ids, keys } = randomPrekeys(3);
+            const signature = await messagingKey.signMessage("prekey");
+
+            await expect(prekeyRegistry.connect(user1).publishPrekeys(7, randomPrekey(), signature, ids, keys))
+                .to.emit(prekeyRegistry, "SignedPrekeyPublished")
+                .withArgs(user1.address, 7, 1)
+                .and.to.emit(prekeyRegistry, "OneTimePrekeysAdded")
+                .withArgs(user1.address, 3, 3);
+        });
+
+        it("Should replace the pool when publishing again", async function () {
+            await publish(user1, 10);
+            await publish(user1, 4);
+
+            expect(await prekeyRegistry.getOneTimePrekeyCount(user1.address)).to.equal(4);
+        });
+
+        it("Should add one-time prekeys to the pool", async function () {
+            await publish(user1, 2);
+            const { ids, keys } = randomPrekeys(5, 200);
+
+            await expect(prekeyRegistry.connect(user1).addOneTimePrekeys(ids, keys))
+                .to.emit(prekeyRegistry, "OneTimePrekeysAdded")
+                .withArgs(user1.address, 5, 7);
+        });
+
+        it("Should fail to publish for an unregistered user", async function () {
+            const signature = await messagingKey.signMessage("prekey");
+
+            await expect(prekeyRegistry.connect(user3).publishPrekeys(1, randomPrekey(), signature, [], []))
+                .to.be.revertedWith("User not registered");
+        });
+
+        it("Should fail to add one-time prekeys before a signed prekey", async function () {
+            const { ids, keys } = randomPrekeys(1);
+
+            await expect(prekeyRegistry.connect(user1).addOneTimePrekeys(ids, keys))
+                .to.be.revertedWith("No signed prekey published");
+        });
+
+        it("Should reject malformed prekeys", async function () {
+            const signature = await messagingKey.signMessage("prekey");
+            const rawKey = ethers.utils.hexDataSlice(ethers.Wallet.createRandom().publicKey, 1);
+
+            await expect(prekeyRegistry.connect(user1).publishPrekeys(1, rawKey, signature, [], []))
+                .to.be.revertedWith("Invalid prekey format");
+            await expect(prekeyRegistry.connect(user1).publishPrekeys(1, randomPrekey(), signature, [1], [rawKey]))
+                .to.be.revertedWith("Invalid prekey format");
+            await expect(prekeyRegistry.connect(user1).publishPrekeys(1, randomPrekey(), "0x1234", [], []))
+                .to.be.revertedWith("Invalid prekey signature length");
+        });
+
+        it("Should reject mismatched, zero-id or oversized uploads", async function () {
+            const signature = await messagingKey.signMessage("prekey");
+            const tooMany = randomPrekeys(51);
+
+            await expect(prekeyRegistry.connect(user1).publishPrekeys(1, randomPrekey(), signature, [1, 2], [randomPrekey()]))
+                .to.be.revertedWith("Prekey ids and keys length mismatch");
+            await expect(prekeyRegistry.connect(user1).publishPrekeys(1, randomPrekey(), signature, [0], [randomPrekey()]))
+                .to.be.revertedWith("Invalid prekey id");
+            await expect(prekeyRegistry.connect(user1).publishPrekeys(1, randomPrekey(), signature, tooMany.ids, tooMany.keys))
+                .to.be.revertedWith("Too many prekeys");
+        });
+    });
+
+    describe("Claiming", function () {
+        it("Should hand out each one-time prekey once", async function () {
+            const { ids, keys } = await publish(user1, 10);
+
+            await expect(prekeyRegistry.connect(user2).claimPrekey(user1.address))
+                .to.emit(prekeyRegistry, "OneTimePrekeyClaimed")
+                .withArgs(user1.address, user2.address, ids[9], keys[9].toLowerCase());
+            await expect(prekeyRegistry.connect(user2).claimPrekey(user1.address))
+                .to.emit(prekeyRegistry, "OneTimePrekeyClaimed")
+                .withArgs(user1.address, user2.address, ids[8], keys[8].toLowerCase());
+
+            expect(await prekeyRegistry.getOneTimePrekeyCount(user1.address)).to.equal(8);
+        });
+
+        it("Should return the claimed prekey from a static call", async function () {
+            const { ids, keys } = await publish(user1, 1);
+
+            const [id, publicKey] = await prekeyRegistry.connect(user2).callStatic.claimPrekey(user1.address);
+            expect(id).to.equal(ids[0]);
+            expect(publicKey).to.equal(keys[0].toLowerCase());
+        });
+
+        it("Should emit PrekeyPoolLow when the pool runs low", async function () {
+            await publish(user1, 6);
+
+            await expect(prekeyRegistry.connect(user2).claimPrekey(user1.address))
+                .to.not.emit(prekeyRegistry, "PrekeyPoolLow");
+            await expect(prekeyRegistry.connect(user2).claimPrekey(user1.address))
+                .to.emit(prekeyRegistry, "PrekeyPoolLow")
+                .withArgs(user1.address, 4);
+        });
+
+        it("Should claim nothing from an empty pool", async function () {
+            await publish(user1, 0);
+
+            await expect(prekeyRegistry.connect(user2).claimPrekey(user1.address))
+                .to.not.emit(prekeyRegistry, "OneTimePrekeyClaimed");
+
+            const [id, publicKey] = await prekeyRegistry.connect(user2).callStatic.claimPrekey(user1.address);
+            expect(id).to.equal(0);
+            expect(publicKey).to.equal("0x");
+        });
+
+        it("Should fail to claim from a user without prekeys", async function () {
+            await expect(prekeyRegistry.connect(user2).claimPrekey(user1.address))
+                .to.be.revertedWith("No signed prekey published");
+        });
+
+        it("Should fail to claim as an unregistered user", async function () {
+            await publish(user1);
+
+            await expect(prekeyRegistry.connect(user3).claimPrekey(user1.address))
+                .to.be.revertedWith("Claimer not registered");
+        });
+
+        it("Should fail to claim own prekey", async function () {
+            await publish(user1);
+
+            await expect(prekeyRegistry.connect(user1).claimPrekey(user1.address))
+                .to.be.revertedWith("Cannot claim own prekey");
+        });
+    });
+
+    describe("Key Rotation", function () {
+        it("Should record the identity key version that signed the prekey", async function () {
+            await publish(user1);
+
+            const newKey = ethers.Wallet.createRandom();
+            const proofHash = await identityRegistry.getKeyProofHash(user1.address, newKey.publicKey);
+            const proof = await newKey.signMessage(ethers.utils.arrayify(proofHash));
+            await identityRegistry.connect(user1).updateKey(newKey.publicKey, KeyMode.Random, proof);
+
+            // The old bundle stays until republished, tagged with the old key version
+            expect((await prekeyRegistry.getSignedPrekey(user1.address)).keyVersion).to.equal(1);
+
+            await publish(user1);
+            expect((await prekeyRegistry.getSignedPrekey(user1.address)).keyVersion).to.equal(2);
+        });
+    });
+});